@@ -1,28 +1,83 @@
 // index.js - FIXED VERSION
 import { 
     Client, GatewayIntentBits, Partials, SlashCommandBuilder, Routes, 
-    AttachmentBuilder, PermissionsBitField, ActivityType, 
-    Collection, ChannelType
+    AttachmentBuilder, PermissionsBitField, ActivityType, ChannelType,
+    ContextMenuCommandBuilder, ApplicationCommandType, ActionRowBuilder, ButtonBuilder, ButtonStyle,
+    ModalBuilder, TextInputBuilder, TextInputStyle
 } from 'discord.js';
 import { REST } from '@discordjs/rest';
 import express from 'express';
 import { 
     initGemini, processAndUploadFile, generateText, generateImage, 
-    editImage, decideToReply, geminiClient
+    editImage, decideToReply, deleteUploadedFile, setUsageRecorder
 } from './src/geminiService.js';
 import { 
-    connectDB, saveMessage, getConversationHistory, setBotActiveStatus, 
-    getBotActiveStatus, editMessage, incrementIgnoredCount, resetIgnoredCount, 
-    getIgnoredCount, setContinuousReplyStatus, getContinuousReplyStatus, 
+    connectDB, closeDB, saveMessage, getConversationHistory,
+    editMessage, setContinuousReplyStatus, getContinuousReplyStatus,
     checkAndIncrementImageUsage, setAllowedChannels, getAllowedChannels,
-    isChannelAllowed
+    isChannelAllowed, backfillEmbeddings, isPrivacyOptedOut, setPrivacyOptOut,
+    getUserData, deleteUserData, getModerationEvents, getImageUsage, resetImageUsage, getQuotaSettings,
+    setQuotaSettings, setRoleQuota, createImageSession, getImageSession, addImageVersion, updateImageVersion,
+    saveGeneratedImage, getGeneratedImageByMessage, findGeneratedImages,
+    deleteGeneratedImageByMessage, deleteConversationMessages, getReplyTo,
+    getConversationMessage, rateReply, removeReplyRating, clearReplyRatings, getLowRatedReplies
 } from './src/dbService.js';
+import { UNLIMITED, isValidTimezone } from './src/quotas.js';
+import { recordModelUsage, getUsageReport, getBudgetStatus, setBudget, startOfMonth } from './src/usageService.js';
+import { buildUserArchive } from './src/exportService.js';
+import { DIGEST_MAX_MESSAGES, summarizeChannel } from './src/channelDigest.js';
+import {
+    MAX_REMINDERS_PER_USER, MAX_ANNOUNCEMENTS_PER_GUILD, parseWhen, parseNaturalReminder, scheduleReminder,
+    scheduleAnnouncement, listReminders, listAnnouncements, cancelReminder, cancelAnnouncement, startReminderScheduler
+} from './src/reminderService.js';
+import { splitLongResponse } from './src/textUtils.js';
+import { createStreamingReply } from './src/streamingReply.js';
+import { createChannelQueue } from './src/messageQueue.js';
+import { checkRateLimit } from './src/rateLimiter.js';
+import {
+    LISTABLE_CHANNEL_TYPES, THREADABLE_CHANNEL_TYPES, parentChannelOf, exchangeCount, recordExchange, clearExchange
+} from './src/threads.js';
+import {
+    setModerationAlerter, getModeration, updateModeration, addBlockedTerms, removeBlockedTerms,
+    screensReplies, moderate
+} from './src/moderation.js';
+import {
+    BUILT_IN_PERSONAS, getDefaultPersona, getPersonaForGuild, setPersonaForGuild,
+    createPersona, removePersona, listPersonas, personaReply, getLanguageForGuild
+} from './src/personas.js';
+import { LANGUAGES, translate, localizeCommands } from './src/i18n.js';
+import {
+    CONFIG_KEYS, getGuildConfig, setGuildConfig, resetGuildConfig, parseConfigValue, matchConfigKeys, describeConfig,
+    describeChannelChattiness, channelChattiness
+} from './src/guildConfig.js';
+import {
+    MIN_CHATTINESS, MAX_CHATTINESS, scoreMessage, replyVerdict, settleWithoutModel, recordChannelMessage, recordBotReply
+} from './src/replyScoring.js';
+import { markForSummary, startSummarizer } from './src/memoryService.js';
+import { createAdminRouter } from './src/adminApi.js';
+import { createHealthRouter } from './src/healthApi.js';
+import {
+    observeModelCall, recordMessageSeen, recordReplySent, recordReplyDecision,
+    recordImageGeneration, recordError
+} from './src/metrics.js';
 import { log } from 'console';
 
 const DISCORD_BOT_TOKEN = process.env.DISCORD_BOT_TOKEN;
 const DISCORD_CLIENT_ID = process.env.DISCORD_CLIENT_ID;
 const PORT = process.env.PORT || 3000;
-const MAX_IGNORE_COUNT = 1;
+const STREAMING_REPLIES = process.env.STREAMING_REPLIES === 'true';
+const EDIT_IMAGE_COMMAND = 'Edit image with Goku';
+const SUMMARIZE_FROM_HERE_COMMAND = 'Summarize from here';
+const GALLERY_PAGE_SIZE = 10;
+const EMBEDDING_INTERVAL_MS = 60 * 1000;
+// Batches embedded per interval at most, so a backlog is worked off gradually.
+const MAX_EMBEDDING_BATCHES = 10;
+// Edits to a message made longer than this after the bot answered it leave the answer alone.
+const REGENERATE_WINDOW_MS = 10 * 60 * 1000;
+// Reactions the bot acts on when they're added to one of its replies.
+const REACTION_REGENERATE = '🔄';
+const REACTION_DELETE = '🗑';
+const REACTION_RATINGS = { '👍': 1, '👎': -1 };
 
 const client = new Client({
     intents: [
@@ -31,15 +86,24 @@ const client = new Client({
         GatewayIntentBits.DirectMessages,
         GatewayIntentBits.MessageContent, 
         GatewayIntentBits.GuildMembers, 
+        GatewayIntentBits.GuildMessageReactions,
+        GatewayIntentBits.DirectMessageReactions,
     ],
-    partials: [Partials.Channel, Partials.Message],
+    partials: [Partials.Channel, Partials.Message, Partials.Reaction, Partials.User],
 });
-const isBotResponding = new Map(); 
-const activeDrawInteractions = new Collection(); 
+// Replies to these commands only concern the caller, so nobody else sees them.
+const PRIVATE_COMMANDS = new Set([
+    'export', 'forget', 'privacy', 'usage', 'quota', 'stats', 'moderation', 'summarize', SUMMARIZE_FROM_HERE_COMMAND,
+    'remind', 'announce', 'gallery',
+]);
 
 connectDB();
 try {
     initGemini();
+    setUsageRecorder(entry => {
+        observeModelCall(entry);
+        return recordModelUsage(entry);
+    });
 } catch (e) {
     log(e.message);
     process.exit(1);
@@ -47,120 +111,115 @@ try {
 
 const app = express();
 app.get('/', (req, res) => res.send('Son Goku Bot is running!'));
+app.use(createHealthRouter({ client }));
+if (process.env.ADMIN_API_TOKEN) {
+    app.use('/api', createAdminRouter({ client, token: process.env.ADMIN_API_TOKEN, reloadCommands: deployCommands }));
+} else {
+    console.log('ADMIN_API_TOKEN is not set. Admin API disabled.');
+}
 app.listen(PORT, () => console.log(`Express server listening on port ${PORT}`));
 
-function splitLongResponse(text) {
-    const MAX_LENGTH = 2000;
-    const messages = [];
+setModerationAlerter(async (alertChannelId, event) => {
+    const alertChannel = await client.channels.fetch(alertChannelId);
+    const language = await getLanguageForGuild(alertChannel.guildId);
+    const where = event.channelId ? ` ${translate(language, 'inChannel', { channel: `<#${event.channelId}>` })}` : '';
+    await alertChannel.send({
+        content: translate(language, 'moderationAlert', {
+            stage: event.stage, user: `<@${event.userId}>`, where, reason: event.reason, category: event.category,
+            excerpt: event.excerpt || translate(language, 'moderationAlertImage'),
+        }),
+        allowedMentions: { parse: [] },
+    });
+});
+
+// `typing` is the guild's typing config (see src/guildConfig.js).
+function calculateTypingDelay(responseText, typing) {
+    const length = responseText.length;
+    if (length < 100) return typing.minDelayMs;
+    return Math.min(typing.maxDelayMs, typing.minDelayMs + length * typing.msPerChar);
+}
 
-    if (text.length <= MAX_LENGTH) {
-        messages.push(text);
-        return messages;
+// Sends a finished reply with a simulated typing delay, occasionally splitting it in two like a person would.
+// `channel` is where it goes, normally the message's own channel.
+async function sendHumanizedReply(message, responseText, isTagged, channel = message.channel, typing) {
+    const typingDelay = calculateTypingDelay(responseText, typing);
+    const typingStartTime = Date.now();
+    await channel.sendTyping().catch(console.error); 
+    const typingInterval = setInterval(() => {
+        channel.sendTyping().catch(console.error);
+    }, 5000);
+    
+    const elapsed = Date.now() - typingStartTime;
+    if (elapsed < typingDelay) {
+        await new Promise(resolve => setTimeout(resolve, typingDelay - elapsed));
     }
+    clearInterval(typingInterval);
     
-    let currentText = text;
-    while (currentText.length > 0) {
-        let chunk = currentText.substring(0, MAX_LENGTH);
-        let splitIndex = MAX_LENGTH;
-
-        if (currentText.length > MAX_LENGTH) {
-            let lastNewline = chunk.lastIndexOf('\n');
-            let lastSentenceEnd = Math.max(chunk.lastIndexOf('.'), chunk.lastIndexOf('!'), chunk.lastIndexOf('?'));
-
-            if (lastNewline !== -1 && MAX_LENGTH - lastNewline < 100) {
-                splitIndex = lastNewline + 1;
-            } else if (lastSentenceEnd !== -1 && MAX_LENGTH - lastSentenceEnd < 100) {
-                splitIndex = lastSentenceEnd + 1;
-            } else {
-                splitIndex = MAX_LENGTH;
-            }
-        } else {
-            splitIndex = currentText.length;
-        }
+    let responseMessages = splitLongResponse(responseText);
+    
+    const splitChance = Math.random() < typing.splitChance;
+    if (responseMessages.length === 1 && splitChance && responseText.length > typing.splitMinLength) {
+        const text = responseMessages[0];
+        const midIndex = Math.floor(text.length / 2);
+        const splitPoint = text.lastIndexOf('.', midIndex) !== -1 ? text.lastIndexOf('.', midIndex) + 1 : midIndex;
+        responseMessages = [
+            text.substring(0, splitPoint).trim(),
+            text.substring(splitPoint).trim()
+        ].filter(m => m.length > 0);
+    }
 
-        messages.push(currentText.substring(0, splitIndex).trim());
-        currentText = currentText.substring(splitIndex).trim();
+    let replyMessage;
+    const replyOptions = { content: responseMessages[0] };
+    
+    // FIXED: Only use reply feature when tagged, otherwise send normal message
+    if (isTagged) {
+        replyMessage = await message.reply(replyOptions);
+    } else {
+        replyMessage = await channel.send(replyOptions);
+    }
+    
+    // FIXED: Add proper delay between split messages
+    for (let i = 1; i < responseMessages.length; i++) {
+        const additionalDelay = calculateTypingDelay(responseMessages[i], typing);
+        await new Promise(resolve => setTimeout(resolve, additionalDelay));
+        await channel.sendTyping().catch(console.error);
+        await new Promise(resolve => setTimeout(resolve, 1000)); // Small additional delay
+        await channel.send({ content: responseMessages[i] });
     }
-    return messages.filter(m => m.length > 0);
+
+    return replyMessage;
 }
 
-function calculateTypingDelay(responseText) {
-    const length = responseText.length;
-    if (length < 100) return 2000; 
-    return Math.min(5000, 2000 + (length / 50));
+let embeddingRunning = false;
+
+// Saved messages are embedded in batches (see backfillEmbeddings) rather than one call per message.
+async function embedPendingMessages() {
+    if (embeddingRunning) return;
+    embeddingRunning = true;
+    try {
+        for (let i = 0; i < MAX_EMBEDDING_BATCHES; i++) {
+            if ((await backfillEmbeddings()) === 0) break;
+        }
+    } finally {
+        embeddingRunning = false;
+    }
 }
 
-async function ensureKakarotRole(guild) {
-    const ROLE_NAME = 'KAKAROT';
-    const ROLE_COLOR = 'YELLOW';
-    
-    let kakarotRole = guild.roles.cache.find(role => role.name === ROLE_NAME);
-    if (!kakarotRole) {
+async function ensurePersonaRole(guild, persona) {
+    let personaRole = guild.roles.cache.find(role => role.name === persona.roleName);
+    if (!personaRole) {
         try {
-            kakarotRole = await guild.roles.create({
-                name: ROLE_NAME,
-                color: ROLE_COLOR,
-                reason: 'Son Goku requires a role to mark his presence.',
+            personaRole = await guild.roles.create({
+                name: persona.roleName,
+                color: persona.roleColor,
+                reason: `${persona.name} requires a role to mark their presence.`,
                 permissions: [],
             });
         } catch (error) {
-            console.error(`Failed to create KAKAROT role in ${guild.name}:`, error.message);
-        }
-    }
-}
-
-const GOKU_ACTIVITIES = [
-    { name: 'Kame Hame Ha!', type: ActivityType.Playing },
-    { name: 'Training with Vegeta', type: ActivityType.Playing },
-    { name: 'Searching for Dragon Balls', type: ActivityType.Watching },
-    { name: 'Eating a Senzu Bean', type: ActivityType.Custom },
-    { name: 'Instant Transmission practice', type: ActivityType.Playing },
-    { name: 'Waiting for the next tournament', type: ActivityType.Watching },
-    { name: 'Powering up to Super Saiyan', type: ActivityType.Playing },
-    { name: 'Trying to catch Bubbles', type: ActivityType.Playing },
-    { name: 'Learning the Kaioken', type: ActivityType.Playing },
-    { name: 'Fighting Frieza', type: ActivityType.Playing },
-    { name: 'Eating 50 bowls of rice', type: ActivityType.Custom },
-    { name: 'Charging a Spirit Bomb', type: ActivityType.Playing },
-    { name: 'Chasing after Krillin', type: ActivityType.Watching },
-    { name: 'Visiting King Kai', type: ActivityType.Listening },
-    { name: 'Napping with Gohan', type: ActivityType.Playing },
-    { name: 'Looking for a giant meal', type: ActivityType.Watching },
-    { name: 'Meditating on Namek', type: ActivityType.Listening },
-    { name: 'Sparring with Piccolo', type: ActivityType.Playing },
-    { name: 'Defending Earth', type: ActivityType.Playing },
-    { name: 'Mastering Ultra Instinct', type: ActivityType.Playing },
-    { name: 'Looking for Chi-Chi', type: ActivityType.Watching },
-    { name: 'Driving a car (badly)', type: ActivityType.Playing },
-    { name: 'Doing push-ups in 100x gravity', type: ActivityType.Playing },
-    { name: 'Eating a giant fish', type: ActivityType.Custom },
-    { name: 'Fighting Beerus', type: ActivityType.Playing },
-    { name: 'Counting his strength', type: ActivityType.Watching },
-    { name: 'Testing his limits', type: ActivityType.Playing },
-    { name: 'Looking for a new rival', type: ActivityType.Watching },
-    { name: 'Listening to Bulma complain', type: ActivityType.Listening },
-    { name: 'Trying to understand girls', type: ActivityType.Custom },
-    { name: 'Practicing the Destructo Disk', type: ActivityType.Playing },
-    { name: 'Watching Hercule lose', type: ActivityType.Watching },
-    { name: 'Talking to Shenron', type: ActivityType.Watching },
-    { name: 'Making new friends', type: ActivityType.Playing },
-    { name: 'Getting yelled at by Chi-Chi', type: ActivityType.Listening },
-    { name: 'Training Goten', type: ActivityType.Playing },
-    { name: 'Visiting Kami\'s Lookout', type: ActivityType.Listening },
-    { name: 'Challenging Whis', type: ActivityType.Playing },
-    { name: 'Powering down for a snack', type: ActivityType.Custom },
-    { name: 'Waiting for Vegeta to cool off', type: ActivityType.Watching },
-    { name: 'Practicing Fusion Dance', type: ActivityType.Playing },
-    { name: 'Eating all the food in the fridge', type: ActivityType.Custom },
-    { name: 'Punching mountains', type: ActivityType.Playing },
-    { name: 'Traveling to other planets', type: ActivityType.Watching },
-    { name: 'Looking for a worthy opponent', type: ActivityType.Watching },
-    { name: 'Doing warm-ups', type: ActivityType.Playing },
-    { name: 'Getting a new Gi', type: ActivityType.Custom },
-    { name: 'Flying around the world', type: ActivityType.Playing },
-    { name: 'Talking about fighting', type: ActivityType.Listening },
-    { name: 'Fighting Cell', type: ActivityType.Playing },
-];
+            console.error(`Failed to create ${persona.roleName} role in ${guild.name}:`, error.message);
+        }
+    }
+}
 
 const commands = [
     new SlashCommandBuilder()
@@ -175,7 +234,7 @@ const commands = [
         .toJSON(),
     new SlashCommandBuilder()
         .setName('imagine')
-        .setDescription('Power up and create an epic image! (5 uses/day)')
+        .setDescription('Power up and create an epic image! (limited uses per day)')
         .addStringOption(option =>
             option.setName('prompt')
                 .setDescription('What kind of epic scene do you want to imagine?')
@@ -183,7 +242,318 @@ const commands = [
         .toJSON(),
     new SlashCommandBuilder() 
         .setName('draw')
-        .setDescription('Wanna make changes to an image? Give me a picture and tell me what to do! (5 uses/day)')
+        .setDescription('Wanna make changes to an image? Give me a picture and tell me what to do! (limited uses per day)')
+        .addAttachmentOption(option =>
+            option.setName('image')
+                .setDescription('The picture to change')
+                .setRequired(true))
+        .addStringOption(option =>
+            option.setName('prompt')
+                .setDescription('What should I change?')
+                .setRequired(true))
+        .toJSON(),
+    new ContextMenuCommandBuilder()
+        .setName(EDIT_IMAGE_COMMAND)
+        .setType(ApplicationCommandType.Message)
+        .toJSON(),
+    new SlashCommandBuilder()
+        .setName('summarize')
+        .setDescription('Catch up on what you missed in this channel. Only you see the summary.')
+        .addIntegerOption(option =>
+            option.setName('messages')
+                .setDescription('How many recent messages to cover (default: 100)')
+                .setMinValue(1)
+                .setMaxValue(DIGEST_MAX_MESSAGES)
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('since')
+                .setDescription('Cover everything since then: 30m, 2h, 1d or YYYY-MM-DD HH:MM (UTC)')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('style')
+                .setDescription('In character, or a plain summary?')
+                .setRequired(false)
+                .addChoices(
+                    { name: 'in character', value: 'character' },
+                    { name: 'plain', value: 'plain' }
+                ))
+        .toJSON(),
+    new ContextMenuCommandBuilder()
+        .setName(SUMMARIZE_FROM_HERE_COMMAND)
+        .setType(ApplicationCommandType.Message)
+        .toJSON(),
+    new SlashCommandBuilder()
+        .setName('remind')
+        .setDescription('Have Goku remind you of something later.')
+        .addSubcommand(sub =>
+            sub.setName('set')
+                .setDescription('Set a reminder.')
+                .addStringOption(option =>
+                    option.setName('when')
+                        .setDescription('2h, 30m, 1d12h or YYYY-MM-DD HH:MM (UTC)')
+                        .setRequired(true))
+                .addStringOption(option =>
+                    option.setName('what')
+                        .setDescription('What should I remind you about?')
+                        .setMaxLength(1500)
+                        .setRequired(true))
+                .addStringOption(option =>
+                    option.setName('where')
+                        .setDescription('Remind you in this channel or by DM? (default: here)')
+                        .setRequired(false)
+                        .addChoices(
+                            { name: 'here', value: 'channel' },
+                            { name: 'DM', value: 'dm' }
+                        )))
+        .addSubcommand(sub =>
+            sub.setName('list')
+                .setDescription('Show your pending reminders.'))
+        .addSubcommand(sub =>
+            sub.setName('cancel')
+                .setDescription('Cancel a reminder.')
+                .addIntegerOption(option =>
+                    option.setName('number')
+                        .setDescription('Its number in /remind list')
+                        .setMinValue(1)
+                        .setRequired(true)))
+        .toJSON(),
+    new SlashCommandBuilder()
+        .setName('announce')
+        .setDescription('Schedule announcements for this server.')
+        .setDefaultMemberPermissions(PermissionsBitField.Flags.ManageGuild)
+        .addSubcommand(sub =>
+            sub.setName('add')
+                .setDescription('Schedule an announcement.')
+                .addChannelOption(option =>
+                    option.setName('channel')
+                        .setDescription('Where to post it')
+                        .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+                        .setRequired(true))
+                .addStringOption(option =>
+                    option.setName('when')
+                        .setDescription('First post: 2h, 1d or YYYY-MM-DD HH:MM (UTC)')
+                        .setRequired(true))
+                .addStringOption(option =>
+                    option.setName('message')
+                        .setDescription('What to post')
+                        .setMaxLength(1500)
+                        .setRequired(true))
+                .addStringOption(option =>
+                    option.setName('repeat')
+                        .setDescription('Post it again every day or week? (default: once)')
+                        .setRequired(false)
+                        .addChoices(
+                            { name: 'once', value: 'none' },
+                            { name: 'daily', value: 'daily' },
+                            { name: 'weekly', value: 'weekly' }
+                        )))
+        .addSubcommand(sub =>
+            sub.setName('list')
+                .setDescription('Show scheduled announcements.'))
+        .addSubcommand(sub =>
+            sub.setName('cancel')
+                .setDescription('Cancel a scheduled announcement.')
+                .addIntegerOption(option =>
+                    option.setName('number')
+                        .setDescription('Its number in /announce list')
+                        .setMinValue(1)
+                        .setRequired(true)))
+        .toJSON(),
+    new SlashCommandBuilder()
+        .setName('gallery')
+        .setDescription('Browse images made with /imagine and /draw.')
+        .addStringOption(option =>
+            option.setName('scope')
+                .setDescription('Your own images or the whole server\'s? (default: yours)')
+                .setRequired(false)
+                .addChoices(
+                    { name: 'mine', value: 'mine' },
+                    { name: 'server', value: 'server' }
+                ))
+        .addIntegerOption(option =>
+            option.setName('page')
+                .setDescription('Page number (default: 1)')
+                .setMinValue(1)
+                .setRequired(false))
+        .toJSON(),
+    new SlashCommandBuilder()
+        .setName('usage')
+        .setDescription('See how many image creations you have left and when they refill.')
+        .toJSON(),
+    new SlashCommandBuilder()
+        .setName('quota')
+        .setDescription('Configure image limits for this server.')
+        .setDefaultMemberPermissions(PermissionsBitField.Flags.ManageGuild)
+        .addSubcommand(sub =>
+            sub.setName('view')
+                .setDescription('Show the current image limits.'))
+        .addSubcommand(sub =>
+            sub.setName('set')
+                .setDescription('Change the server-wide image limits.')
+                .addIntegerOption(option =>
+                    option.setName('daily_limit')
+                        .setDescription('Images each member may create per window')
+                        .setMinValue(0)
+                        .setRequired(false))
+                .addIntegerOption(option =>
+                    option.setName('pool_limit')
+                        .setDescription('Images the whole server may create per window (0 turns the pool off)')
+                        .setMinValue(0)
+                        .setRequired(false))
+                .addStringOption(option =>
+                    option.setName('reset_mode')
+                        .setDescription('When usage refills')
+                        .setRequired(false)
+                        .addChoices(
+                            { name: 'rolling (24 hours after the first image)', value: 'rolling' },
+                            { name: 'daily (at a fixed hour)', value: 'daily' }
+                        ))
+                .addIntegerOption(option =>
+                    option.setName('reset_hour')
+                        .setDescription('Hour of the daily reset, 0-23')
+                        .setMinValue(0)
+                        .setMaxValue(23)
+                        .setRequired(false))
+                .addStringOption(option =>
+                    option.setName('timezone')
+                        .setDescription('IANA timezone for the daily reset (e.g. Europe/Berlin)')
+                        .setRequired(false)))
+        .addSubcommand(sub =>
+            sub.setName('role')
+                .setDescription('Give a role its own image limit.')
+                .addRoleOption(option =>
+                    option.setName('role')
+                        .setDescription('Role to configure')
+                        .setRequired(true))
+                .addIntegerOption(option =>
+                    option.setName('limit')
+                        .setDescription('Images per window for this role, -1 for unlimited. Leave empty to remove the override.')
+                        .setMinValue(UNLIMITED)
+                        .setRequired(false)))
+        .addSubcommand(sub =>
+            sub.setName('reset')
+                .setDescription('Clear image usage so it starts counting from zero.')
+                .addUserOption(option =>
+                    option.setName('user')
+                        .setDescription('Only reset this member (default: everyone)')
+                        .setRequired(false)))
+        .toJSON(),
+    new SlashCommandBuilder()
+        .setName('stats')
+        .setDescription('Model usage and budgets for this server.')
+        .setDefaultMemberPermissions(PermissionsBitField.Flags.ManageGuild)
+        .addSubcommand(sub =>
+            sub.setName('usage')
+                .setDescription('Show tokens, images and estimated cost.')
+                .addStringOption(option =>
+                    option.setName('period')
+                        .setDescription('Time range (default: this month)')
+                        .setRequired(false)
+                        .addChoices(
+                            { name: 'last 24 hours', value: 'day' },
+                            { name: 'last 7 days', value: 'week' },
+                            { name: 'this month', value: 'month' }
+                        ))
+                .addStringOption(option =>
+                    option.setName('group')
+                        .setDescription('Break the totals down by (default: feature)')
+                        .setRequired(false)
+                        .addChoices(
+                            { name: 'feature', value: 'feature' },
+                            { name: 'model', value: 'model' },
+                            { name: 'user', value: 'userId' }
+                        )))
+        .addSubcommand(sub =>
+            sub.setName('budget')
+                .setDescription('Set a monthly budget. Over budget, the bot falls back to cheaper behaviour.')
+                .addIntegerOption(option =>
+                    option.setName('tokens')
+                        .setDescription('Monthly token limit, 0 for none')
+                        .setMinValue(0)
+                        .setRequired(false))
+                .addNumberOption(option =>
+                    option.setName('cost')
+                        .setDescription('Monthly estimated cost limit in USD, 0 for none')
+                        .setMinValue(0)
+                        .setRequired(false))
+                .addBooleanOption(option =>
+                    option.setName('force_lite')
+                        .setDescription('Only use the cheapest chat model when over budget (default: true)')
+                        .setRequired(false))
+                .addBooleanOption(option =>
+                    option.setName('disable_images')
+                        .setDescription('Turn off /imagine and /draw when over budget (default: true)')
+                        .setRequired(false)))
+        .addSubcommand(sub =>
+            sub.setName('feedback')
+                .setDescription('List the replies members rated 👎 more than 👍.')
+                .addStringOption(option =>
+                    option.setName('period')
+                        .setDescription('Count ratings given in (default: this month)')
+                        .setRequired(false)
+                        .addChoices(
+                            { name: 'last 24 hours', value: 'day' },
+                            { name: 'last 7 days', value: 'week' },
+                            { name: 'this month', value: 'month' }
+                        )))
+        .toJSON(),
+    new SlashCommandBuilder()
+        .setName('moderation')
+        .setDescription('Configure content moderation for this server.')
+        .setDefaultMemberPermissions(PermissionsBitField.Flags.ManageGuild)
+        .addSubcommand(sub =>
+            sub.setName('view')
+                .setDescription('Show moderation settings and recent flags.'))
+        .addSubcommand(sub =>
+            sub.setName('set')
+                .setDescription('Change what gets checked and what happens when something is flagged.')
+                .addBooleanOption(option =>
+                    option.setName('all_ages')
+                        .setDescription('Apply the strict all-ages rules and check every message and reply')
+                        .setRequired(false))
+                .addBooleanOption(option =>
+                    option.setName('check_messages')
+                        .setDescription('Classify incoming messages with the model (one extra call per message)')
+                        .setRequired(false))
+                .addBooleanOption(option =>
+                    option.setName('check_replies')
+                        .setDescription('Classify the bot\'s replies before sending them')
+                        .setRequired(false))
+                .addBooleanOption(option =>
+                    option.setName('check_images')
+                        .setDescription('Classify generated images before posting them')
+                        .setRequired(false))
+                .addBooleanOption(option =>
+                    option.setName('refuse')
+                        .setDescription('Answer flagged content with an in-character refusal instead of silence')
+                        .setRequired(false))
+                .addBooleanOption(option =>
+                    option.setName('log')
+                        .setDescription('Keep a log of flagged content (shown in /moderation view)')
+                        .setRequired(false))
+                .addChannelOption(option =>
+                    option.setName('alert_channel')
+                        .setDescription('Channel where moderators are alerted about flagged content')
+                        .addChannelTypes(ChannelType.GuildText)
+                        .setRequired(false))
+                .addBooleanOption(option =>
+                    option.setName('clear_alert_channel')
+                        .setDescription('Stop sending moderator alerts')
+                        .setRequired(false)))
+        .addSubcommand(sub =>
+            sub.setName('block')
+                .setDescription('Add blocked terms.')
+                .addStringOption(option =>
+                    option.setName('terms')
+                        .setDescription('Comma-separated words or phrases')
+                        .setRequired(true)))
+        .addSubcommand(sub =>
+            sub.setName('unblock')
+                .setDescription('Remove blocked terms.')
+                .addStringOption(option =>
+                    option.setName('terms')
+                        .setDescription('Comma-separated words or phrases')
+                        .setRequired(true)))
         .toJSON(),
     new SlashCommandBuilder() 
         .setName('reply')
@@ -212,35 +582,785 @@ const commands = [
                 ))
         .addStringOption(option =>
             option.setName('channels')
-                .setDescription('Channel mentions separated by spaces (e.g., #general #chat)')
+                .setDescription('Channel, thread or forum mentions separated by spaces (e.g., #general #chat)')
+                .setRequired(false))
+        .toJSON(),
+    new SlashCommandBuilder()
+        .setName('threads')
+        .setDescription('Let Goku move long one-on-one chats into their own thread.')
+        .setDefaultMemberPermissions(PermissionsBitField.Flags.ManageGuild)
+        .addStringOption(option =>
+            option.setName('auto')
+                .setDescription('Start threads automatically?')
+                .setRequired(true)
+                .addChoices(
+                    { name: 'on', value: 'on' },
+                    { name: 'off', value: 'off' }
+                ))
+        .addIntegerOption(option =>
+            option.setName('after')
+                .setDescription('Replies to the same person in a row before moving to a thread (default: 4)')
+                .setMinValue(2)
+                .setMaxValue(20)
+                .setRequired(false))
+        .toJSON(),
+    new SlashCommandBuilder()
+        .setName('chattiness')
+        .setDescription('Set how readily Goku joins conversations in a channel without being pinged.')
+        .setDefaultMemberPermissions(PermissionsBitField.Flags.ManageGuild)
+        .addIntegerOption(option =>
+            option.setName('level')
+                .setDescription('0 = only when pinged, 5 = default, 10 = answer everything (leave empty to see the current level)')
+                .setMinValue(MIN_CHATTINESS)
+                .setMaxValue(MAX_CHATTINESS)
+                .setRequired(false))
+        .addChannelOption(option =>
+            option.setName('channel')
+                .setDescription('Channel to change (default: this one)')
+                .addChannelTypes(...LISTABLE_CHANNEL_TYPES)
+                .setRequired(false))
+        .addBooleanOption(option =>
+            option.setName('reset')
+                .setDescription('Go back to the server-wide level (chat.chattiness in /config)')
+                .setRequired(false))
+        .toJSON(),
+    new SlashCommandBuilder()
+        .setName('edits')
+        .setDescription('Choose whether Goku rewrites his reply when someone edits the message he answered.')
+        .setDefaultMemberPermissions(PermissionsBitField.Flags.ManageGuild)
+        .addStringOption(option =>
+            option.setName('regenerate')
+                .setDescription('Rewrite replies after an edit?')
+                .setRequired(true)
+                .addChoices(
+                    { name: 'on', value: 'on' },
+                    { name: 'off', value: 'off' }
+                ))
+        .toJSON(),
+    new SlashCommandBuilder()
+        .setName('language')
+        .setDescription('Choose the language the bot uses by default in this server.')
+        .setDefaultMemberPermissions(PermissionsBitField.Flags.ManageGuild)
+        .addStringOption(option =>
+            option.setName('default')
+                .setDescription('Language for chat and announcements; commands still follow each member\'s Discord language')
+                .setRequired(true)
+                .addChoices(...Object.entries(LANGUAGES).map(([code, language]) => ({ name: language.name, value: code }))))
+        .toJSON(),
+    new SlashCommandBuilder()
+        .setName('config')
+        .setDescription('View or change how the bot behaves in this server.')
+        .setDefaultMemberPermissions(PermissionsBitField.Flags.ManageGuild)
+        .addSubcommand(sub =>
+            sub.setName('view')
+                .setDescription('Show the current settings.')
+                .addStringOption(option =>
+                    option.setName('key')
+                        .setDescription('Only show this setting')
+                        .setAutocomplete(true)
+                        .setRequired(false)))
+        .addSubcommand(sub =>
+            sub.setName('set')
+                .setDescription('Change a setting.')
+                .addStringOption(option =>
+                    option.setName('key')
+                        .setDescription('Setting to change')
+                        .setAutocomplete(true)
+                        .setRequired(true))
+                .addStringOption(option =>
+                    option.setName('value')
+                        .setDescription('New value')
+                        .setRequired(true))
+                .addChannelOption(option =>
+                    option.setName('channel')
+                        .setDescription('Only change it in this channel (chat.chattiness only)')
+                        .addChannelTypes(...LISTABLE_CHANNEL_TYPES)
+                        .setRequired(false)))
+        .addSubcommand(sub =>
+            sub.setName('reset')
+                .setDescription('Put a setting, or all of them, back to the default.')
+                .addStringOption(option =>
+                    option.setName('key')
+                        .setDescription('Setting to reset (leave empty to reset everything)')
+                        .setAutocomplete(true)
+                        .setRequired(false))
+                .addChannelOption(option =>
+                    option.setName('channel')
+                        .setDescription('Only clear this channel\'s own setting, so it follows the server again')
+                        .addChannelTypes(...LISTABLE_CHANNEL_TYPES)
+                        .setRequired(false)))
+        .toJSON(),
+    new SlashCommandBuilder()
+        .setName('persona')
+        .setDescription('Choose which character the bot plays in this server.')
+        .setDefaultMemberPermissions(PermissionsBitField.Flags.ManageGuild)
+        .addSubcommand(sub =>
+            sub.setName('list')
+                .setDescription('Show the available characters.'))
+        .addSubcommand(sub =>
+            sub.setName('set')
+                .setDescription('Switch this server to another character.')
+                .addStringOption(option =>
+                    option.setName('key')
+                        .setDescription('Character key (see /persona list)')
+                        .setRequired(true)))
+        .addSubcommand(sub =>
+            sub.setName('create')
+                .setDescription('Create or update a custom character for this server.')
+                .addStringOption(option =>
+                    option.setName('key')
+                        .setDescription('Short id, lowercase letters, numbers and dashes (e.g. my-oc)')
+                        .setRequired(true))
+                .addStringOption(option =>
+                    option.setName('name')
+                        .setDescription('Display name of the character')
+                        .setRequired(true))
+                .addStringOption(option =>
+                    option.setName('prompt')
+                        .setDescription('System prompt describing the character')
+                        .setRequired(true))
+                .addStringOption(option =>
+                    option.setName('base')
+                        .setDescription('Built-in character to inherit canned replies and activities from')
+                        .setRequired(false)
+                        .addChoices(...Object.values(BUILT_IN_PERSONAS).map(p => ({ name: p.name, value: p.key }))))
+                .addStringOption(option =>
+                    option.setName('decision_prompt')
+                        .setDescription('Prompt used to decide whether to reply to untagged messages')
+                        .setRequired(false))
+                .addStringOption(option =>
+                    option.setName('image_flavor')
+                        .setDescription('Style added to /imagine prompts')
+                        .setRequired(false))
+                .addStringOption(option =>
+                    option.setName('role_name')
+                        .setDescription('Name of the role the character creates for itself')
+                        .setRequired(false)))
+        .addSubcommand(sub =>
+            sub.setName('delete')
+                .setDescription('Delete a custom character from this server.')
+                .addStringOption(option =>
+                    option.setName('key')
+                        .setDescription('Character key')
+                        .setRequired(true)))
+        .toJSON(),
+    new SlashCommandBuilder()
+        .setName('export')
+        .setDescription('Get a copy of everything Goku has stored about you, sent by DM.')
+        .toJSON(),
+    new SlashCommandBuilder()
+        .setName('forget')
+        .setDescription('Make Goku forget your stored messages.')
+        .addStringOption(option =>
+            option.setName('scope')
+                .setDescription('Forget messages from this server only, or everywhere?')
+                .setRequired(false)
+                .addChoices(
+                    { name: 'this server', value: 'server' },
+                    { name: 'everywhere (also resets your settings)', value: 'all' }
+                ))
+        .addStringOption(option =>
+            option.setName('from')
+                .setDescription('Only forget messages on or after this date (YYYY-MM-DD)')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('to')
+                .setDescription('Only forget messages on or before this date (YYYY-MM-DD)')
+                .setRequired(false))
+        .toJSON(),
+    new SlashCommandBuilder()
+        .setName('privacy')
+        .setDescription('Choose whether Goku stores your messages.')
+        .addStringOption(option =>
+            option.setName('mode')
+                .setDescription('Opt out of storage, opt back in, or check your status')
+                .setRequired(true)
+                .addChoices(
+                    { name: 'status', value: 'status' },
+                    { name: 'opt-out (stop storing my messages)', value: 'opt-out' },
+                    { name: 'opt-in (remember my messages again)', value: 'opt-in' }
+                ))
+        .addBooleanOption(option =>
+            option.setName('delete_existing')
+                .setDescription('When opting out, also delete everything already stored')
                 .setRequired(false))
         .toJSON(),
 ];
 
+// Parses a YYYY-MM-DD option; `endOfDay` makes a "to" date include that whole day.
+function parseDateOption(value, endOfDay = false) {
+    if (!value) return null;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value.trim())) return undefined;
+    const date = new Date(`${value.trim()}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z`);
+    return isNaN(date) ? undefined : date;
+}
+
+// Parses /summarize's `since`: a relative "30m" / "2h" / "1d", or a UTC date with an optional time.
+function parseSinceOption(value) {
+    if (!value) return null;
+    const relative = /^(\d+)\s*([mhd])$/i.exec(value.trim());
+    if (relative) {
+        const unitMs = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 }[relative[2].toLowerCase()];
+        return new Date(Date.now() - parseInt(relative[1], 10) * unitMs);
+    }
+    const absolute = /^(\d{4}-\d{2}-\d{2})(?:[ T](\d{2}:\d{2}))?$/.exec(value.trim());
+    if (!absolute) return undefined;
+    const date = new Date(`${absolute[1]}T${absolute[2] || '00:00'}:00.000Z`);
+    return isNaN(date) ? undefined : date;
+}
+
+function formatTime(date) {
+    const seconds = Math.floor(new Date(date).getTime() / 1000);
+    return `<t:${seconds}:f> (<t:${seconds}:R>)`;
+}
+
+// Persona line for a failed scheduleReminder/scheduleAnnouncement.
+function scheduleErrorReply(persona, error, max) {
+    switch (error) {
+        case 'bad_time': return personaReply(persona, 'reminderBadTime');
+        case 'too_many': return personaReply(persona, 'reminderTooMany', { max });
+        default: return personaReply(persona, 'storageUnavailable');
+    }
+}
+
+// Sends a due reminder or announcement. Reminders meant for a channel fall back to a DM when the
+// channel is gone or closed to the bot.
+async function deliverReminder(reminder, { late }) {
+    if (reminder.kind === 'announcement') {
+        const channel = await client.channels.fetch(reminder.channelId);
+        await channel.send(reminder.text);
+        return;
+    }
+
+    const persona = await getPersonaForGuild(reminder.serverId);
+    const content = personaReply(persona, late ? 'reminderLate' : 'reminderDue', {
+        user: `<@${reminder.userId}>`, text: reminder.text, when: formatTime(reminder.dueAt),
+    });
+    if (reminder.deliver === 'channel' && reminder.channelId) {
+        try {
+            const channel = await client.channels.fetch(reminder.channelId);
+            await channel.send({ content, allowedMentions: { users: [reminder.userId] } });
+            return;
+        } catch (error) {
+            console.warn(`[Reminders] Could not post in ${reminder.channelId}, sending a DM instead:`, error.message);
+        }
+    }
+    const user = await client.users.fetch(reminder.userId);
+    await user.send(content);
+}
+
+// Interaction members are full GuildMembers when cached and raw API members (roles: string[]) otherwise.
+function memberRoleIds(member) {
+    if (!member) return [];
+    return member.roles?.cache ? [...member.roles.cache.keys()] : (member.roles || []);
+}
+
+// Discord shows at most 25 suggestions, with names up to 100 characters.
+async function respondToAutocomplete(interaction) {
+    if (interaction.commandName !== 'config') return;
+    const focused = interaction.options.getFocused(true);
+    if (focused.name !== 'key') return;
+    const choices = matchConfigKeys(focused.value).slice(0, 25).map(key => ({
+        name: `${key} - ${CONFIG_KEYS[key].description}`.slice(0, 100),
+        value: key,
+    }));
+    await interaction.respond(choices).catch(console.error);
+}
+
+// Saves a change from /config set or reset, or from a command that changes a single setting
+// (/threads, /edits, /language, /chattiness). Returns the updated config, or replies with what
+// went wrong and returns null.
+async function changeGuildConfig(interaction, persona, language, { set = null, reset = null, channelId = null }) {
+    const options = { userId: interaction.user.id, channelId };
+    const result = set
+        ? await setGuildConfig(interaction.guildId, set, options)
+        : await resetGuildConfig(interaction.guildId, reset, options);
+    if (result.error) {
+        await interaction.editReply(translate(language, 'configBadValue', { reason: result.error }));
+        return null;
+    }
+    if (!result.config) {
+        await interaction.editReply(personaReply(persona, 'storageUnavailable'));
+        return null;
+    }
+    return result.config;
+}
+
+function rateLimitReply(persona, result) {
+    if (result.scope === 'suppressed') {
+        return personaReply(persona, 'rateSuppressed', { minutes: Math.ceil(result.retryAfterMs / 60000) });
+    }
+    const seconds = Math.ceil(result.retryAfterMs / 1000);
+    return personaReply(persona, result.scope === 'user' ? 'rateLimited' : 'rateLimitedBusy', { seconds });
+}
+
+function formatLimit(value, language = 'en') {
+    return value === Infinity ? translate(language, 'unlimited') : String(value);
+}
+
+function formatReset(resetsAt, language = 'en') {
+    return resetsAt ? `<t:${Math.floor(resetsAt.getTime() / 1000)}:R>` : translate(language, 'resetTomorrow');
+}
+
+const STATS_PERIODS = {
+    day: () => new Date(Date.now() - 24 * 60 * 60 * 1000),
+    week: () => new Date(Date.now() - 7 * 24 * 60 * 60 * 1000),
+    month: () => startOfMonth(),
+};
+
+function formatTotals(totals, language = 'en') {
+    return translate(language, 'usageTotals', {
+        calls: totals.calls,
+        failures: totals.failures > 0 ? translate(language, 'usageFailures', { count: totals.failures }) : '',
+        inputTokens: totals.inputTokens.toLocaleString('en-US'),
+        outputTokens: totals.outputTokens.toLocaleString('en-US'),
+        images: totals.images > 0 ? translate(language, 'usageImages', { count: totals.images }) : '',
+        cost: totals.costUsd.toFixed(4),
+        latency: totals.avgLatencyMs,
+    });
+}
+
+function describeBudget(status, language = 'en') {
+    if (!status.budget) return translate(language, 'budgetNone');
+    const limits = [
+        status.budget.monthlyTokens ? translate(language, 'budgetTokens', {
+            spent: status.spentTokens.toLocaleString('en-US'), limit: status.budget.monthlyTokens.toLocaleString('en-US'),
+        }) : null,
+        status.budget.monthlyCostUsd ? `$${status.spentCostUsd.toFixed(2)} / $${status.budget.monthlyCostUsd.toFixed(2)}` : null,
+    ].filter(Boolean).join(', ');
+    const actions = [
+        status.budget.forceLite !== false ? translate(language, 'budgetLiteOnly') : null,
+        status.budget.disableImages !== false ? translate(language, 'budgetImagesOff') : null,
+    ].filter(Boolean).join(', ') || translate(language, 'budgetNoAction');
+    return translate(language, 'budgetStatus', {
+        limits, exceeded: status.exceeded ? translate(language, 'budgetExceeded') : '', actions,
+    });
+}
+
+function describeModeration(settings, events, language = 'en') {
+    const onOff = value => translate(language, value ? 'on' : 'off');
+    const lines = [
+        translate(language, 'moderationAllAges', { value: onOff(settings.allAges) }),
+        translate(language, 'moderationCheckMessages', { value: onOff(settings.classifyMessages || settings.allAges) }),
+        translate(language, 'moderationCheckReplies', { value: onOff(settings.classifyReplies || settings.allAges) }),
+        translate(language, 'moderationCheckImages', { value: onOff(settings.classifyImages) }),
+        translate(language, 'moderationRefuse', { refuse: onOff(settings.refuse), log: onOff(settings.log) }),
+        translate(language, 'moderationAlertChannel', {
+            channel: settings.alertChannelId ? `<#${settings.alertChannelId}>` : translate(language, 'none'),
+        }),
+        translate(language, 'moderationBlockedTerms', {
+            terms: settings.blockedTerms.length > 0 ? settings.blockedTerms.map(term => `||${term}||`).join(', ') : translate(language, 'none'),
+        }),
+    ];
+    if (events.length > 0) {
+        lines.push('', translate(language, 'moderationRecentFlags'), ...events.map(event => translate(language, 'moderationFlag', {
+            when: `<t:${Math.floor(new Date(event.timestamp).getTime() / 1000)}:R>`,
+            stage: event.stage, user: `<@${event.userId}>`, reason: event.reason, category: event.category,
+        })));
+    }
+    return lines.join('\n');
+}
+
+function toImagePart(dataUrl) {
+    const [header, data] = dataUrl.split(',');
+    return { inlineData: { mimeType: header.slice(5, header.indexOf(';')), data } };
+}
+
+function describeQuotaSettings(settings, language = 'en') {
+    const reset = settings.resetMode === 'daily'
+        ? translate(language, 'quotaResetDaily', { hour: String(settings.resetHour).padStart(2, '0'), timezone: settings.timezone })
+        : translate(language, 'quotaResetRolling');
+    const lines = [
+        translate(language, 'quotaPerMember', { limit: settings.dailyLimit }),
+        translate(language, 'quotaPool', {
+            pool: settings.poolLimit > 0 ? translate(language, 'quotaPoolShared', { limit: settings.poolLimit }) : translate(language, 'off'),
+        }),
+        translate(language, 'quotaRefills', { reset }),
+    ];
+    if (settings.roleOverrides.length > 0) {
+        lines.push(translate(language, 'quotaRoleOverrides'), ...settings.roleOverrides.map(o =>
+            `- <@&${o.roleId}>: ${o.limit === UNLIMITED ? translate(language, 'unlimited') : translate(language, 'imageCount', { count: o.limit })}`));
+    }
+    return lines.join('\n');
+}
+
+// Answers a deferred interaction with a catch-up summary of its channel.
+async function replyWithDigest(interaction, persona, range, style) {
+    const serverId = interaction.guildId || 'DM';
+    const channel = interaction.channel ?? await client.channels.fetch(interaction.channelId);
+    if (interaction.guildId && !channel.permissionsFor(interaction.user)?.has(PermissionsBitField.Flags.ReadMessageHistory)) {
+        return interaction.editReply(personaReply(persona, 'summarizeNoAccess'));
+    }
+
+    let digest;
+    try {
+        const { forceLite } = await getBudgetStatus(serverId);
+        digest = await summarizeChannel(channel, persona, range, { style, serverId, userId: interaction.user.id, forceLite });
+    } catch (error) {
+        console.error('Failed to summarize channel:', error);
+        return interaction.editReply(personaReply(persona, 'summarizeNoAccess'));
+    }
+    if (digest.count === 0) {
+        return interaction.editReply(personaReply(persona, 'summarizeEmpty'));
+    }
+    if (!digest.summary) {
+        return interaction.editReply(personaReply(persona, 'summarizeFailed'));
+    }
+
+    const header = personaReply(persona, 'summarizeHeader', {
+        since: `<t:${Math.floor(digest.startedAt.getTime() / 1000)}:f>`, count: digest.count,
+    });
+    const [first, ...rest] = splitLongResponse(`${header}\n${digest.summary}`);
+    await interaction.editReply(first);
+    for (const part of rest) {
+        await interaction.followUp({ content: part, ephemeral: true });
+    }
+}
+
+// Checks the budget and takes one image from the caller's quota; replies and returns null when they can't.
+async function consumeImageAllowance(interaction, persona) {
+    const serverId = interaction.guildId || 'DM';
+    if ((await getBudgetStatus(serverId)).disableImages) {
+        await interaction.editReply(personaReply(persona, 'budgetImagesDisabled'));
+        return null;
+    }
+    const usageResult = await checkAndIncrementImageUsage(serverId, interaction.user.id, memberRoleIds(interaction.member));
+    if (!usageResult.allowed) {
+        await interaction.editReply(personaReply(persona, usageResult.reason === 'pool' ? 'imagePoolLimit' : 'imageLimit', {
+            limit: usageResult.limit, count: usageResult.count, reset: formatReset(usageResult.resetsAt, persona.language),
+        }));
+        return null;
+    }
+    return usageResult;
+}
+
+// Edit sessions keep every version of an image. Version 0 is the original; every later version
+// records the prompt and the version it was made from, and points at the bot message holding it.
+// Buttons and the prompt modal carry "draw:<action>:<sessionId>:<version>" as their custom ID.
+const DRAW_PREFIX = 'draw:';
+
+function drawModal(persona, sessionId, parentIndex) {
+    const promptInput = new TextInputBuilder()
+        .setCustomId('prompt')
+        .setLabel(translate(persona.language, 'drawPromptLabel'))
+        .setStyle(TextInputStyle.Paragraph)
+        .setMaxLength(1000)
+        .setRequired(true);
+    return new ModalBuilder()
+        .setCustomId(`${DRAW_PREFIX}modal:${sessionId}:${parentIndex}`)
+        .setTitle(translate(persona.language, 'drawModalTitle', { name: persona.name }).slice(0, 45))
+        .addComponents(new ActionRowBuilder().addComponents(promptInput));
+}
+
+function drawButtons(sessionId, index, language = 'en') {
+    return new ActionRowBuilder().addComponents(
+        new ButtonBuilder().setCustomId(`${DRAW_PREFIX}again:${sessionId}:${index}`).setLabel(translate(language, 'drawAgainButton')).setStyle(ButtonStyle.Primary),
+        new ButtonBuilder().setCustomId(`${DRAW_PREFIX}regen:${sessionId}:${index}`).setLabel(translate(language, 'drawRegenerateButton')).setStyle(ButtonStyle.Secondary),
+        new ButtonBuilder().setCustomId(`${DRAW_PREFIX}undo:${sessionId}:${index}`).setLabel(translate(language, 'drawUndoButton')).setStyle(ButtonStyle.Danger),
+    );
+}
+
+// Attachment URLs expire, so stored images (edit versions, gallery entries) that live in a message
+// are re-fetched to get a fresh one.
+async function resolveStoredImage(version) {
+    if (!version.messageId) {
+        return version.url ? { url: version.url, contentType: version.contentType } : null;
+    }
+    try {
+        const channel = await client.channels.fetch(version.channelId);
+        const message = await channel.messages.fetch(version.messageId);
+        const attachment = message.attachments.get(version.attachmentId)
+            || message.attachments.find(a => a.contentType?.startsWith('image'));
+        return attachment ? { url: attachment.url, contentType: attachment.contentType } : null;
+    } catch (error) {
+        console.warn(`Could not fetch image message ${version.messageId}:`, error.message);
+        return null;
+    }
+}
+
+function messageLink(serverId, channelId, messageId) {
+    if (!messageId) return '';
+    return `https://discord.com/channels/${serverId === 'DM' ? '@me' : serverId}/${channelId}/${messageId}`;
+}
+
+// Adds a posted image to the gallery; `fields` has at least kind and prompt.
+function recordGalleryImage(interaction, reply, fields) {
+    return saveGeneratedImage({
+        serverId: interaction.guildId || 'DM',
+        userId: interaction.user.id,
+        channelId: reply.channelId,
+        messageId: reply.id,
+        attachmentId: reply.attachments.first()?.id,
+        ...fields,
+    });
+}
+
+// Makes a new version of the image from version `parentIndex`. The interaction must already be deferred.
+async function runDrawEdit(interaction, persona, session, parentIndex, prompt) {
+    const serverId = interaction.guildId || 'DM';
+    const sessionId = String(session._id);
+    const moderationContext = { serverId, channelId: interaction.channelId, userId: interaction.user.id };
+    const parent = session.versions[parentIndex];
+    const source = parent && !parent.undone ? await resolveStoredImage(parent) : null;
+    if (!source) {
+        return interaction.editReply(personaReply(persona, 'drawImageMissing'));
+    }
+    if (!source.contentType?.startsWith('image')) {
+        return interaction.editReply(personaReply(persona, 'drawNotImage'));
+    }
+
+    let uploadedFile = null;
+    try {
+        const { file, filePart: imagePart } = await processAndUploadFile(source.url, source.contentType);
+        uploadedFile = file;
+        // The picture is checked along with the instructions, before any quota is spent.
+        if (!(await moderate('imagePrompt', { ...moderationContext, text: prompt, imagePart })).allowed) {
+            return interaction.editReply(personaReply(persona, 'moderationImageRefusal'));
+        }
+        const usageResult = await consumeImageAllowance(interaction, persona);
+        if (!usageResult) return;
+
+        await interaction.editReply(personaReply(persona, 'drawWorking'));
+        const editedImageUrl = await editImage(imagePart, prompt, persona, { serverId, userId: interaction.user.id });
+        recordImageGeneration('draw', Boolean(editedImageUrl));
+
+        if (!editedImageUrl) {
+            return interaction.editReply(personaReply(persona, 'drawFailed'));
+        }
+        if (!(await moderate('image', { ...moderationContext, text: prompt, imagePart: toImagePart(editedImageUrl) })).allowed) {
+            return interaction.editReply(personaReply(persona, 'moderationImageRefusal'));
+        }
+
+        const index = await addImageVersion(sessionId, { channelId: interaction.channelId, prompt, parent: parentIndex });
+        const buffer = Buffer.from(editedImageUrl.split(',')[1], 'base64');
+        const reply = await interaction.editReply({
+            content: personaReply(persona, 'drawDone', { prompt, remaining: formatLimit(usageResult.remaining, persona.language) }),
+            files: [new AttachmentBuilder(buffer, { name: 'goku_edited_image.png' })],
+            components: index === null
+                ? [galleryButtons(persona.language)]
+                : [drawButtons(sessionId, index, persona.language), galleryButtons(persona.language)],
+        });
+        if (index !== null) {
+            await updateImageVersion(sessionId, index, { messageId: reply.id, attachmentId: reply.attachments.first()?.id });
+        }
+        await recordGalleryImage(interaction, reply, { kind: 'draw', prompt });
+    } catch (error) {
+        console.error('Image edit failed:', error);
+        await interaction.editReply(personaReply(persona, 'drawError')).catch(e => console.error('Error editing /draw reply:', e.message));
+    } finally {
+        if (uploadedFile) {
+            deleteUploadedFile(uploadedFile).catch(e => console.warn('Failed to clean up uploaded file after image edit:', e.message));
+        }
+    }
+}
+
+// The "Edit image" context menu, the prompt modal and the buttons under edited images.
+async function handleDrawInteraction(interaction, persona) {
+    const serverId = interaction.guildId || 'DM';
+
+    if (interaction.isMessageContextMenuCommand()) {
+        const target = interaction.targetMessage;
+        const attachment = target.attachments.find(a => a.contentType?.startsWith('image'));
+        if (!attachment) {
+            return interaction.reply({ content: personaReply(persona, 'drawNotImage'), ephemeral: true });
+        }
+        const session = await createImageSession(serverId, interaction.user.id, {
+            channelId: target.channelId, messageId: target.id, attachmentId: attachment.id,
+        });
+        if (!session) {
+            return interaction.reply({ content: personaReply(persona, 'drawError'), ephemeral: true });
+        }
+        return interaction.showModal(drawModal(persona, String(session._id), 0));
+    }
+
+    const [, action, sessionId, indexText] = interaction.customId.split(':');
+    const index = parseInt(indexText, 10);
+    const session = await getImageSession(sessionId);
+    const version = session?.versions[index];
+    if (!version) {
+        return interaction.reply({ content: personaReply(persona, 'drawImageMissing'), ephemeral: true });
+    }
+    if (session.userId !== interaction.user.id) {
+        return interaction.reply({ content: personaReply(persona, 'drawNotYours'), ephemeral: true });
+    }
+
+    switch (action) {
+        case 'modal':
+            await interaction.deferReply();
+            return runDrawEdit(interaction, persona, session, index, interaction.fields.getTextInputValue('prompt'));
+        case 'again':
+            return interaction.showModal(drawModal(persona, sessionId, index));
+        case 'regen':
+            await interaction.deferReply();
+            return runDrawEdit(interaction, persona, session, version.parent, version.prompt);
+        case 'undo': {
+            await updateImageVersion(sessionId, index, { undone: true });
+            await deleteGeneratedImageByMessage(interaction.message.id);
+            await interaction.message.delete().catch(e => console.warn('Failed to delete undone image:', e.message));
+            const parent = session.versions[version.parent];
+            return interaction.reply({
+                content: personaReply(persona, 'drawUndone', { link: messageLink(session.serverId, parent?.channelId, parent?.messageId) }),
+                ephemeral: true,
+            });
+        }
+    }
+}
+
+// Buttons under every generated image. They find the image through the message they are on,
+// so their custom IDs are just "img:<action>"; the restyle modal carries the message ID.
+const IMAGE_PREFIX = 'img:';
+const REMIX_INSTRUCTIONS = {
+    variation: () => 'Create a variation of this image: keep the subject, style and mood, but change the composition and details',
+    restyle: style => style
+        ? `Redraw this image in this style: ${style}. Keep the subject and composition`
+        : 'Redraw this image at higher quality: sharper, cleaner and more detailed, keeping the content, composition and style the same',
+};
+
+function galleryButtons(language = 'en') {
+    return new ActionRowBuilder().addComponents(
+        new ButtonBuilder().setCustomId(`${IMAGE_PREFIX}variation`).setLabel(translate(language, 'variationButton')).setStyle(ButtonStyle.Secondary),
+        new ButtonBuilder().setCustomId(`${IMAGE_PREFIX}reroll`).setLabel(translate(language, 'rerollButton')).setStyle(ButtonStyle.Secondary),
+        new ButtonBuilder().setCustomId(`${IMAGE_PREFIX}restyle`).setLabel(translate(language, 'restyleButton')).setStyle(ButtonStyle.Secondary),
+    );
+}
+
+function restyleModal(messageId, language = 'en') {
+    const styleInput = new TextInputBuilder()
+        .setCustomId('style')
+        .setLabel(translate(language, 'restyleStyleLabel'))
+        .setPlaceholder(translate(language, 'restyleStylePlaceholder'))
+        .setStyle(TextInputStyle.Short)
+        .setMaxLength(200)
+        .setRequired(false);
+    return new ModalBuilder()
+        .setCustomId(`${IMAGE_PREFIX}style:${messageId}`)
+        .setTitle(translate(language, 'restyleModalTitle'))
+        .addComponents(new ActionRowBuilder().addComponents(styleInput));
+}
+
+// Makes a new image from a gallery entry: a re-roll of its prompt, or a variation or restyle of
+// the image itself. Counts against the caller's quota. The interaction must already be deferred.
+async function runImageRemix(interaction, persona, image, kind, style = '') {
+    const serverId = interaction.guildId || 'DM';
+    const context = { serverId, userId: interaction.user.id };
+    const moderationContext = { ...context, channelId: interaction.channelId };
+    if (style && !(await moderate('imagePrompt', { ...moderationContext, text: style })).allowed) {
+        return interaction.editReply(personaReply(persona, 'moderationImageRefusal'));
+    }
+
+    let uploadedFile = null;
+    try {
+        let imagePart = null;
+        if (kind !== 'reroll') {
+            const source = await resolveStoredImage(image);
+            if (!source) {
+                return interaction.editReply(personaReply(persona, 'galleryImageMissing'));
+            }
+            ({ file: uploadedFile, filePart: imagePart } = await processAndUploadFile(source.url, source.contentType));
+        }
+        const usageResult = await consumeImageAllowance(interaction, persona);
+        if (!usageResult) return;
+
+        await interaction.editReply(personaReply(persona, 'remixWorking'));
+        const imageUrl = kind === 'reroll'
+            ? await generateImage(image.prompt, persona, context)
+            : await editImage(imagePart, REMIX_INSTRUCTIONS[kind](style), persona, context);
+        recordImageGeneration(kind, Boolean(imageUrl));
+
+        if (!imageUrl) {
+            return interaction.editReply(personaReply(persona, 'imagineFailed'));
+        }
+        if (!(await moderate('image', { ...moderationContext, text: image.prompt, imagePart: toImagePart(imageUrl) })).allowed) {
+            return interaction.editReply(personaReply(persona, 'moderationImageRefusal'));
+        }
+
+        const buffer = Buffer.from(imageUrl.split(',')[1], 'base64');
+        const reply = await interaction.editReply({
+            content: personaReply(persona, 'remixDone', {
+                what: kind === 'restyle'
+                    ? (style ? translate(persona.language, 'remixRestyle', { style }) : translate(persona.language, 'remixSharper'))
+                    : translate(persona.language, kind === 'reroll' ? 'remixReroll' : 'remixVariation'),
+                prompt: image.prompt,
+                remaining: formatLimit(usageResult.remaining, persona.language),
+            }),
+            files: [new AttachmentBuilder(buffer, { name: 'goku_image.png' })],
+            components: [galleryButtons(persona.language)],
+        });
+        await recordGalleryImage(interaction, reply, { kind, prompt: image.prompt, style: style || null, parentId: String(image._id) });
+    } catch (error) {
+        console.error('Image remix failed:', error);
+        await interaction.editReply(personaReply(persona, 'drawError')).catch(e => console.error('Error editing remix reply:', e.message));
+    } finally {
+        if (uploadedFile) {
+            deleteUploadedFile(uploadedFile).catch(e => console.warn('Failed to clean up uploaded file after remix:', e.message));
+        }
+    }
+}
+
+async function handleImageInteraction(interaction, persona) {
+    const [, action, messageId] = interaction.customId.split(':');
+    if (action === 'restyle') {
+        return interaction.showModal(restyleModal(interaction.message.id, persona.language));
+    }
+    const image = await getGeneratedImageByMessage(messageId || interaction.message.id);
+    if (!image) {
+        return interaction.reply({ content: personaReply(persona, 'galleryImageMissing'), ephemeral: true });
+    }
+    await interaction.deferReply();
+    if (action === 'style') {
+        return runImageRemix(interaction, persona, image, 'restyle', interaction.fields.getTextInputValue('style').trim());
+    }
+    return runImageRemix(interaction, persona, image, action);
+}
+
+function describeGalleryPage(images, serverId, language = 'en') {
+    return images.map((image, i) => {
+        const prompt = (image.prompt || '').replace(/\s+/g, ' ');
+        return translate(language, 'galleryItem', {
+            number: i + 1,
+            when: `<t:${Math.floor(new Date(image.createdAt).getTime() / 1000)}:R>`,
+            kind: image.kind,
+            user: `<@${image.userId}>`,
+            prompt: prompt.length > 80 ? `${prompt.slice(0, 77)}...` : prompt,
+            link: messageLink(serverId, image.channelId, image.messageId),
+        });
+    }).join('\n');
+}
+
+async function deployCommands() {
+    const rest = new REST({ version: '10' }).setToken(DISCORD_BOT_TOKEN);
+    await rest.put(
+        Routes.applicationCommands(DISCORD_CLIENT_ID),
+        { body: localizeCommands(commands) },
+    );
+    console.log('Successfully reloaded application (/) commands.');
+}
+
 client.on('ready', async () => {
     console.log(`Logged in as ${client.user.tag}!`);
 
+    // Presence is global to the bot account, so it follows the default persona.
     function setRandomActivity() {
-        const activity = GOKU_ACTIVITIES[Math.floor(Math.random() * GOKU_ACTIVITIES.length)];
-        client.user.setActivity(activity.name, { type: activity.type });
+        const activities = getDefaultPersona().activities;
+        const activity = activities[Math.floor(Math.random() * activities.length)];
+        client.user.setActivity(activity.name, { type: ActivityType[activity.type] ?? ActivityType.Playing });
     }
     
     setRandomActivity();
     setInterval(setRandomActivity, 3600000); 
+    startSummarizer();
+    startReminderScheduler(deliverReminder);
+    setInterval(() => embedPendingMessages().catch(console.error), EMBEDDING_INTERVAL_MS);
 
-    setInterval(() => {
+    setInterval(async () => {
         for (const guild of client.guilds.cache.values()) {
-            ensureKakarotRole(guild).catch(console.error);
+            const persona = await getPersonaForGuild(guild.id);
+            ensurePersonaRole(guild, persona).catch(console.error);
         }
     }, 3600000); 
 
-    const rest = new REST({ version: '10' }).setToken(DISCORD_BOT_TOKEN);
     try {
-        await rest.put(
-            Routes.applicationCommands(DISCORD_CLIENT_ID),
-            { body: commands },
-        );
-        console.log('Successfully reloaded application (/) commands.');
+        await deployCommands();
     } catch (error) {
         console.error('Failed to deploy slash commands:', error);
     }
@@ -249,7 +1369,8 @@ client.on('ready', async () => {
 client.on('guildCreate', async guild => {
     console.log(`Joined a new guild: ${guild.name} (ID: ${guild.id})`);
 
-    await ensureKakarotRole(guild);
+    const persona = await getPersonaForGuild(guild.id);
+    await ensurePersonaRole(guild, persona);
 
     const channel = guild.channels.cache.find(c => 
         c.type === ChannelType.GuildText && 
@@ -257,143 +1378,117 @@ client.on('guildCreate', async guild => {
     );
 
     if (channel) {
-        channel.send(`Hey there, buddies! I'm Son Goku, and I'm ready to hang out and maybe even have a little chat! I can talk, generate images, and I've got my eye on the latest gossip. Just **@mention** me to start a conversation! Let's power up this server!`);
+        channel.send(personaReply(persona, 'welcome'));
     }
 });
 
 client.on('interactionCreate', async interaction => {
-    if (!interaction.isChatInputCommand()) return;
+    if (interaction.isAutocomplete()) {
+        await respondToAutocomplete(interaction);
+        return;
+    }
+    const isDrawInteraction = (interaction.isMessageContextMenuCommand() && interaction.commandName === EDIT_IMAGE_COMMAND)
+        || ((interaction.isButton() || interaction.isModalSubmit()) && interaction.customId.startsWith(DRAW_PREFIX));
+    const isCommand = interaction.isChatInputCommand()
+        || (interaction.isMessageContextMenuCommand() && interaction.commandName === SUMMARIZE_FROM_HERE_COMMAND);
+    const isImageInteraction = (interaction.isButton() || interaction.isModalSubmit()) && interaction.customId.startsWith(IMAGE_PREFIX);
+    if (!isCommand && !isDrawInteraction && !isImageInteraction) return;
 
     const { commandName, user, channelId, channel } = interaction;
     const serverId = interaction.guildId || 'DM'; 
+    // Replies follow the member's Discord language when there's a translation for it.
+    const persona = await getPersonaForGuild(serverId, { locale: interaction.locale });
+    const language = persona.language || 'en';
+
+    // Buttons and modals on the bot's own messages get their own, roomier bucket.
+    const rateLimitKind = interaction.isButton() || interaction.isModalSubmit() ? 'component' : 'command';
+    const rateLimit = checkRateLimit(rateLimitKind, { userId: user.id, serverId });
+    if (!rateLimit.allowed) {
+        recordError('rate_limited');
+        await interaction.reply({ content: rateLimitReply(persona, rateLimit), ephemeral: true });
+        return;
+    }
 
-    if (activeDrawInteractions.has(user.id) && commandName !== 'draw') {
-        await interaction.reply({ content: "Whoa, hold on! You're already powering up a `/draw` command! Finish that one before starting a new one, pal!", ephemeral: true });
+    if (isDrawInteraction) {
+        await handleDrawInteraction(interaction, persona);
         return;
     }
-    
-    await interaction.deferReply(); 
+    if (isImageInteraction) {
+        await handleImageInteraction(interaction, persona);
+        return;
+    }
+
+    await interaction.deferReply({ ephemeral: PRIVATE_COMMANDS.has(commandName) }); 
 
     switch (commandName) {
         case 'start':
-            await setBotActiveStatus(serverId, true);
-            await interaction.editReply(`Alright, I'm powered up and ready to go! Let's chat, buddy! What's the plan?`);
+            await setGuildConfig(serverId, { active: true }, { userId: user.id });
+            await interaction.editReply(personaReply(persona, 'start'));
             break;
 
         case 'stop':
-            await setBotActiveStatus(serverId, false);
-            await interaction.editReply(`Whew, that was a good run! I'm gonna take a nap and won't respond until a moderator wakes me up. See ya later!`);
-            await resetIgnoredCount(serverId);
+            await setGuildConfig(serverId, { active: false }, { userId: user.id });
+            await interaction.editReply(personaReply(persona, 'stop'));
             break;
             
-        case 'imagine':
-        case 'draw': 
-            const usageResult = await checkAndIncrementImageUsage(user.id);
-            if (!usageResult.allowed) {
-                return interaction.editReply(`My energy for drawing is all used up for today! I can only do 5 image creations per day, pal. I've already done **${usageResult.count}**! Come back tomorrow!`);
-            }
-
-            if (commandName === 'imagine') {
-                const prompt = interaction.options.getString('prompt');
-                await interaction.editReply(`Okay, stand back! I'm channeling my energy to generate a super-awesome image for **"${prompt}"**! Don't blink!`);
-                const imageUrl = await generateImage(prompt);
-                
-                if (imageUrl) {
-                    const base64Data = imageUrl.split(',')[1];
-                    const buffer = Buffer.from(base64Data, 'base64');
-                    const attachment = new AttachmentBuilder(buffer, { name: 'goku_image.png' });
-                    await interaction.editReply({
-                        content: `Here is the image for: **"${prompt}"**! Looks epic, huh?! You have **${5 - usageResult.count}** uses left today!`,
-                        files: [attachment]
-                    });
-                } else {
-                    await interaction.editReply('Oops, I couldn\'t generate that image right now. My energy ran out! Try a simpler prompt, pal!');
-                }
-            } else { 
-                const initialReply = await interaction.editReply(`Alright, I can power up your image! **Reply to this message with the picture you want to change within 30 seconds!**`);
-                activeDrawInteractions.set(user.id, { step: 'image' });
-
-                try {
-                    const imageCollector = channel.createMessageCollector({
-                        filter: m => m.author.id === user.id && m.attachments.size > 0 && activeDrawInteractions.get(user.id)?.step === 'image',
-                        time: 30000, max: 1
-                    });
-
-                    const collectedImage = await new Promise((resolve, reject) => {
-                        imageCollector.on('collect', m => resolve(m));
-                        imageCollector.on('end', collected => {
-                            if (collected.size === 0) reject(new Error('timeout_image'));
-                        });
-                    });
-
-                    if (!collectedImage) throw new Error('no_image');
-
-                    const attachment = collectedImage.attachments.first();
-                    if (!attachment.contentType || !attachment.contentType.startsWith('image')) {
-                        throw new Error('not_image');
-                    }
-
-                    const { file: geminiFile, filePart: imagePart } = await processAndUploadFile(attachment.url, attachment.contentType);
-                    await initialReply.edit(`Awesome! Now tell me, **what changes should I make to this picture?** (You have 30 seconds)`);
-                    activeDrawInteractions.set(user.id, { step: 'prompt', file: geminiFile, imagePart: imagePart });
-
-                    const promptCollector = channel.createMessageCollector({
-                        filter: m => m.author.id === user.id && m.content && activeDrawInteractions.get(user.id)?.step === 'prompt',
-                        time: 30000, max: 1
-                    });
-
-                    const collectedPrompt = await new Promise((resolve, reject) => {
-                        promptCollector.on('collect', m => resolve(m));
-                        promptCollector.on('end', collected => {
-                            if (collected.size === 0) reject(new Error('timeout_prompt'));
-                        });
-                    });
-
-                    if (!collectedPrompt) throw new Error('no_prompt');
-
-                    const promptText = collectedPrompt.content;
+        case 'imagine': {
+            const prompt = interaction.options.getString('prompt');
+            if (!(await moderate('imagePrompt', { serverId, channelId, userId: user.id, text: prompt })).allowed) {
+                return interaction.editReply(personaReply(persona, 'moderationImageRefusal'));
+            }
+            const usageResult = await consumeImageAllowance(interaction, persona);
+            if (!usageResult) return;
 
-                    await initialReply.edit(`Powering up... **Drawing the changes for you!** Hold tight!`);
-                    const editedImageUrl = await editImage(imagePart, promptText);
+            await interaction.editReply(personaReply(persona, 'imagineStart', { prompt }));
+            const imageUrl = await generateImage(prompt, persona, { serverId, userId: user.id });
+            recordImageGeneration('imagine', Boolean(imageUrl));
+            
+            if (imageUrl && !(await moderate('image', { serverId, channelId, userId: user.id, text: prompt, imagePart: toImagePart(imageUrl) })).allowed) {
+                await interaction.editReply(personaReply(persona, 'moderationImageRefusal'));
+            } else if (imageUrl) {
+                const base64Data = imageUrl.split(',')[1];
+                const buffer = Buffer.from(base64Data, 'base64');
+                const attachment = new AttachmentBuilder(buffer, { name: 'goku_image.png' });
+                const reply = await interaction.editReply({
+                    content: personaReply(persona, 'imagineDone', { prompt, remaining: formatLimit(usageResult.remaining, persona.language) }),
+                    files: [attachment],
+                    components: [galleryButtons(persona.language)],
+                });
+                await recordGalleryImage(interaction, reply, { kind: 'imagine', prompt });
+            } else {
+                await interaction.editReply(personaReply(persona, 'imagineFailed'));
+            }
+            break;
+        }
 
-                    if (editedImageUrl) {
-                        const base64Data = editedImageUrl.split(',')[1];
-                        const buffer = Buffer.from(base64Data, 'base64');
-                        const imageAttachment = new AttachmentBuilder(buffer, { name: 'goku_edited_image.png' });
-                        await initialReply.edit({
-                            content: `**TADA!** Here's the updated picture based on your command: **"${promptText}"**! Did I get stronger?! You have **${5 - usageResult.count}** uses left today!`,
-                            files: [imageAttachment]
-                        });
-                    } else {
-                        await initialReply.edit('Uh oh, I couldn\'t figure out how to draw that change! My power levels dropped. Try a simpler change, pal!');
-                    }
+        case 'gallery': {
+            const page = interaction.options.getInteger('page') || 1;
+            const serverScope = interaction.options.getString('scope') === 'server';
+            const filter = serverScope ? { serverId } : { serverId, userId: user.id };
+            const { images, total } = await findGeneratedImages(filter, { page, pageSize: GALLERY_PAGE_SIZE });
+            if (images.length === 0) {
+                return interaction.editReply(personaReply(persona, total > 0 ? 'galleryPageEmpty' : 'galleryEmpty'));
+            }
+            const header = personaReply(persona, 'galleryHeader', {
+                scope: translate(language, serverScope ? 'galleryScopeServer' : 'galleryScopeYou'),
+                total, page, pages: Math.ceil(total / GALLERY_PAGE_SIZE),
+            });
+            await interaction.editReply({ content: `${header}\n${describeGalleryPage(images, serverId, language)}`, allowedMentions: { parse: [] } });
+            break;
+        }
 
-                } catch (error) {
-                    let errorMessage;
-                    if (error.message === 'timeout_image') {
-                        errorMessage = "Time's up! You didn't give me an image fast enough. Next time, move quicker, buddy!";
-                    } else if (error.message === 'timeout_prompt') {
-                        errorMessage = "Time's up! I need the change prompt right away! Let's try again with `/draw`.";
-                    } else if (error.message === 'not_image') {
-                        errorMessage = "That wasn't a picture! Try again with an actual image file.";
-                    } else {
-                        console.error('Fatal /draw flow error:', error);
-                        errorMessage = "Oh no, something went wrong with the process! Let's start over with `/draw`.";
-                    }
-                    await initialReply.edit(errorMessage).catch(e => console.error("Error editing final /draw reply:", e.message));
-                } finally {
-                    activeDrawInteractions.delete(user.id);
-                    const interactionData = activeDrawInteractions.get(user.id);
-                    if (interactionData && interactionData.file) {
-                        try {
-                            await geminiClient.files.delete({ name: interactionData.file.name });
-                        } catch (e) {
-                            console.warn('Failed to clean up Gemini file after /draw:', e.message);
-                        }
-                    }
-                }
+        case 'draw': {
+            const image = interaction.options.getAttachment('image');
+            if (!image.contentType?.startsWith('image')) {
+                return interaction.editReply(personaReply(persona, 'drawNotImage'));
             }
+            const session = await createImageSession(serverId, user.id, { url: image.url, contentType: image.contentType });
+            if (!session) {
+                return interaction.editReply(personaReply(persona, 'drawError'));
+            }
+            await runDrawEdit(interaction, persona, session, 0, interaction.options.getString('prompt'));
             break;
+        }
 
         case 'reply': 
             const mode = interaction.options.getString('mode');
@@ -401,9 +1496,9 @@ client.on('interactionCreate', async interaction => {
             await setContinuousReplyStatus(user.id, isActive);
             
             if (isActive) {
-                await interaction.editReply(`YAY! Continuous chat **ON**! I'll talk to you a lot more now, buddy! Let's keep the conversation going!`);
+                await interaction.editReply(personaReply(persona, 'replyOn'));
             } else {
-                await interaction.editReply(`Okay, continuous chat **OFF**. I'll only reply when you **@mention** me now. I need to save my energy for snacks!`);
+                await interaction.editReply(personaReply(persona, 'replyOff'));
             }
             break;
 
@@ -413,17 +1508,19 @@ client.on('interactionCreate', async interaction => {
             
             if (channelMode === 'reset') {
                 await setAllowedChannels(serverId, 'all', []);
-                return interaction.editReply(`Alright! I reset my channel settings! Now I can chat in **ALL channels** in this server! Let's go, buddy!`);
+                return interaction.editReply(personaReply(persona, 'channelReset'));
             }
 
             if (!channelsString) {
-                return interaction.editReply(`Hey pal! You need to tell me which channels to ${channelMode === 'allowed' ? 'allow' : 'block'}! Use channel mentions like #general #chat`);
+                return interaction.editReply(personaReply(persona, 'channelMissing', {
+                    action: translate(language, channelMode === 'allowed' ? 'channelActionAllow' : 'channelActionBlock'),
+                }));
             }
 
             // Parse channel mentions from the string
             const channelMentions = channelsString.match(/<#(\d+)>/g);
             if (!channelMentions) {
-                return interaction.editReply(`Hmm, I don't see any channel mentions! Make sure to use #channel-name format, buddy!`);
+                return interaction.editReply(personaReply(persona, 'channelNoMentions'));
             }
 
             const channelIds = channelMentions.map(mention => mention.match(/\d+/)[0]);
@@ -433,7 +1530,7 @@ client.on('interactionCreate', async interaction => {
             // Validate channels exist in the server
             for (const channelId of channelIds) {
                 const channel = interaction.guild.channels.cache.get(channelId);
-                if (channel && channel.type === ChannelType.GuildText) {
+                if (channel && LISTABLE_CHANNEL_TYPES.has(channel.type)) {
                     validChannels.push({
                         id: channelId,
                         name: channel.name
@@ -444,7 +1541,7 @@ client.on('interactionCreate', async interaction => {
             }
 
             if (validChannels.length === 0) {
-                return interaction.editReply(`Oops! None of those channels are valid text channels in this server, pal!`);
+                return interaction.editReply(personaReply(persona, 'channelNoneValid'));
             }
 
             await setAllowedChannels(serverId, channelMode, validChannels);
@@ -453,41 +1550,699 @@ client.on('interactionCreate', async interaction => {
             const channelNames = validChannels.map(ch => `#${ch.name}`).join(', ');
 
             if (channelMode === 'allowed') {
-                responseMessage = `Got it! I'll **ONLY** chat in these channels: ${channelNames}! I won't bother anyone in other channels unless they @mention me!`;
+                responseMessage = personaReply(persona, 'channelAllowed', { channels: channelNames });
             } else {
-                responseMessage = `Understood! I'll **AVOID** chatting in these channels: ${channelNames}! But I can still chat everywhere else in the server!`;
+                responseMessage = personaReply(persona, 'channelDisallowed', { channels: channelNames });
             }
 
             if (invalidChannels.length > 0) {
-                responseMessage += `\n\n*Note: Some channel mentions weren't valid and were ignored.*`;
+                responseMessage += `\n\n${translate(language, 'channelSomeInvalid')}`;
             }
 
             await interaction.editReply(responseMessage);
             break;
+
+        case 'threads': {
+            const autoThread = interaction.options.getString('auto') === 'on';
+            const after = interaction.options.getInteger('after');
+            const changes = after ? { 'threads.auto': autoThread, 'threads.after': after } : { 'threads.auto': autoThread };
+            const config = await changeGuildConfig(interaction, persona, language, { set: changes });
+            if (!config) break;
+            await interaction.editReply(personaReply(persona, autoThread ? 'threadsOn' : 'threadsOff', { after: config.threads.after }));
+            break;
+        }
+
+        case 'edits': {
+            const regenerate = interaction.options.getString('regenerate') === 'on';
+            if (!(await changeGuildConfig(interaction, persona, language, { set: { 'chat.regenerateOnEdit': regenerate } }))) break;
+            await interaction.editReply(personaReply(persona, regenerate ? 'editsOn' : 'editsOff', {
+                minutes: REGENERATE_WINDOW_MS / 60000,
+            }));
+            break;
+        }
+
+        case 'language': {
+            if (!interaction.guildId) {
+                return interaction.editReply(translate(language, 'languageServerOnly'));
+            }
+            const chosen = interaction.options.getString('default');
+            if (!(await changeGuildConfig(interaction, persona, language, { set: { language: chosen } }))) break;
+            await interaction.editReply(translate(chosen, 'languageSet', { language: LANGUAGES[chosen].name }));
+            break;
+        }
+
+        case 'chattiness': {
+            if (!interaction.guildId) {
+                return interaction.editReply(translate(language, 'configServerOnly'));
+            }
+            const target = interaction.options.getChannel('channel') || channel || { id: channelId };
+            const level = interaction.options.getInteger('level');
+            const reset = interaction.options.getBoolean('reset');
+            let config = await getGuildConfig(serverId);
+            if (reset) {
+                config = await changeGuildConfig(interaction, persona, language, { reset: ['chat.chattiness'], channelId: target.id });
+            } else if (level !== null) {
+                config = await changeGuildConfig(interaction, persona, language, { set: { 'chat.chattiness': level }, channelId: target.id });
+            }
+            if (!config) break;
+            const current = channelChattiness(config, target.id, parentChannelOf(target));
+            const messageId = reset ? 'chattinessReset' : level !== null ? 'chattinessSet' : 'chattinessCurrent';
+            await interaction.editReply(translate(language, messageId, { channel: `<#${target.id}>`, level: current }));
+            break;
+        }
+
+        case 'config': {
+            if (!interaction.guildId) {
+                return interaction.editReply(translate(language, 'configServerOnly'));
+            }
+            const subcommand = interaction.options.getSubcommand();
+            const key = interaction.options.getString('key');
+            if (key && !CONFIG_KEYS[key]) {
+                return interaction.editReply(translate(language, 'configUnknownKey', { key }));
+            }
+
+            if (subcommand === 'view') {
+                const config = await getGuildConfig(serverId);
+                const details = key
+                    ? `${describeConfig(config, [key])}\n${CONFIG_KEYS[key].description}`
+                    : [describeConfig(config), describeChannelChattiness(config)].filter(Boolean).join('\n');
+                return interaction.editReply({
+                    content: translate(language, 'configHeader', { details }),
+                    allowedMentions: { parse: [] },
+                });
+            }
+
+            const target = interaction.options.getChannel('channel');
+            let config;
+            if (subcommand === 'set') {
+                const parsed = parseConfigValue(key, interaction.options.getString('value'));
+                if (parsed.error) {
+                    return interaction.editReply(translate(language, 'configBadValue', { reason: parsed.error }));
+                }
+                config = await changeGuildConfig(interaction, persona, language, { set: { [key]: parsed.value }, channelId: target?.id });
+            } else {
+                config = await changeGuildConfig(interaction, persona, language, { reset: key ? [key] : null, channelId: target?.id });
+            }
+            if (!config) break;
+
+            if (target) {
+                // Chattiness is the only setting a channel can have its own value for.
+                await interaction.editReply(translate(language, subcommand === 'set' ? 'chattinessSet' : 'chattinessReset', {
+                    channel: `<#${target.id}>`,
+                    level: channelChattiness(config, target.id, parentChannelOf(target)),
+                }));
+            } else if (subcommand === 'set') {
+                await interaction.editReply(translate(language, 'configSet', { details: describeConfig(config, [key]) }));
+            } else {
+                await interaction.editReply(key
+                    ? translate(language, 'configReset', { details: describeConfig(config, [key]) })
+                    : translate(language, 'configResetAll'));
+            }
+            break;
+        }
+
+        case 'persona': {
+            if (!interaction.guild) {
+                return interaction.editReply(translate(language, 'personaServerOnly'));
+            }
+            const subcommand = interaction.options.getSubcommand();
+
+            if (subcommand === 'list') {
+                const personas = await listPersonas(serverId);
+                const lines = personas.map(p =>
+                    `${p.key === persona.key ? '▶' : '•'} **${p.name}** (\`${p.key}\`)${p.isCustom ? translate(language, 'personaCustomTag') : ''}`
+                );
+                return interaction.editReply(translate(language, 'personaList', { list: lines.join('\n') }));
+            }
+
+            if (subcommand === 'set') {
+                const key = interaction.options.getString('key').toLowerCase();
+                const selected = await setPersonaForGuild(serverId, key);
+                if (!selected) {
+                    return interaction.editReply(translate(language, 'personaUnknown', { key }));
+                }
+                await ensurePersonaRole(interaction.guild, selected);
+                return interaction.editReply(personaReply(await getPersonaForGuild(serverId, { locale: interaction.locale }), 'start'));
+            }
+
+            if (subcommand === 'create') {
+                const key = interaction.options.getString('key').toLowerCase();
+                if (!/^[a-z0-9-]{2,32}$/.test(key)) {
+                    return interaction.editReply(translate(language, 'personaBadKey'));
+                }
+                if (Object.hasOwn(BUILT_IN_PERSONAS, key)) {
+                    return interaction.editReply(translate(language, 'personaBuiltIn', { key }));
+                }
+                const created = await createPersona(serverId, {
+                    key,
+                    name: interaction.options.getString('name'),
+                    systemPrompt: interaction.options.getString('prompt'),
+                    baseKey: interaction.options.getString('base') || 'goku',
+                    decisionPrompt: interaction.options.getString('decision_prompt') || undefined,
+                    imagePromptFlavor: interaction.options.getString('image_flavor') || undefined,
+                    roleName: interaction.options.getString('role_name') || undefined,
+                    createdBy: user.id,
+                });
+                if (!created) {
+                    return interaction.editReply(translate(language, 'personaSaveFailed'));
+                }
+                return interaction.editReply(translate(language, 'personaSaved', { name: created.name, key }));
+            }
+
+            if (subcommand === 'delete') {
+                const key = interaction.options.getString('key').toLowerCase();
+                const deleted = await removePersona(serverId, key);
+                return interaction.editReply(translate(language, deleted
+                    ? (persona.key === key ? 'personaDeletedActive' : 'personaDeleted')
+                    : 'personaNoCustom', { key }));
+            }
+            break;
+        }
+
+        case 'usage': {
+            const standing = await getImageUsage(serverId, user.id, memberRoleIds(interaction.member));
+            const pool = standing.pool
+                ? translate(language, 'usagePool', { remaining: standing.pool.remaining, limit: standing.pool.limit })
+                : '';
+            await interaction.editReply(personaReply(persona, 'usageStatus', {
+                count: standing.user.count,
+                limit: formatLimit(standing.user.limit, language),
+                remaining: formatLimit(standing.user.remaining, language),
+                pool,
+                reset: formatReset(standing.user.resetsAt, language),
+            }));
+            break;
+        }
+
+        case 'quota': {
+            if (!interaction.guildId) {
+                return interaction.editReply(translate(language, 'quotaServerOnly'));
+            }
+            const subcommand = interaction.options.getSubcommand();
+
+            if (subcommand === 'view') {
+                return interaction.editReply(describeQuotaSettings(await getQuotaSettings(serverId), language));
+            }
+
+            if (subcommand === 'set') {
+                const changes = {};
+                const dailyLimit = interaction.options.getInteger('daily_limit');
+                const poolLimit = interaction.options.getInteger('pool_limit');
+                const resetMode = interaction.options.getString('reset_mode');
+                const resetHour = interaction.options.getInteger('reset_hour');
+                const timezone = interaction.options.getString('timezone');
+                if (dailyLimit !== null) changes.dailyLimit = dailyLimit;
+                if (poolLimit !== null) changes.poolLimit = poolLimit;
+                if (resetMode !== null) changes.resetMode = resetMode;
+                if (resetHour !== null) changes.resetHour = resetHour;
+                if (timezone !== null) {
+                    if (!isValidTimezone(timezone)) {
+                        return interaction.editReply(translate(language, 'badTimezone', { timezone }));
+                    }
+                    changes.timezone = timezone;
+                }
+                if (Object.keys(changes).length === 0) {
+                    return interaction.editReply(translate(language, 'nothingToChange'));
+                }
+                const updated = await setQuotaSettings(serverId, changes);
+                if (!updated) {
+                    return interaction.editReply(personaReply(persona, 'storageUnavailable'));
+                }
+                return interaction.editReply(translate(language, 'quotaUpdated', { details: describeQuotaSettings(updated, language) }));
+            }
+
+            if (subcommand === 'role') {
+                const role = interaction.options.getRole('role');
+                const limit = interaction.options.getInteger('limit');
+                const updated = await setRoleQuota(serverId, role.id, limit);
+                if (!updated) {
+                    return interaction.editReply(personaReply(persona, 'storageUnavailable'));
+                }
+                return interaction.editReply(limit === null
+                    ? translate(language, 'quotaRoleRemoved', { role: `${role}` })
+                    : translate(language, 'quotaRoleSet', { role: `${role}`, limit: limit === UNLIMITED ? translate(language, 'unlimited') : limit }));
+            }
+
+            if (subcommand === 'reset') {
+                const target = interaction.options.getUser('user');
+                const cleared = await resetImageUsage(serverId, target ? target.id : null);
+                return interaction.editReply(translate(language, 'quotaUsageReset', {
+                    who: target ? `${target}` : translate(language, 'quotaEveryone'),
+                    cleared: cleared === 1 ? translate(language, 'quotaCounterCleared') : translate(language, 'quotaCountersCleared', { count: cleared }),
+                }));
+            }
+            break;
+        }
+
+        case 'moderation': {
+            if (!interaction.guildId) {
+                return interaction.editReply(translate(language, 'moderationServerOnly'));
+            }
+            const subcommand = interaction.options.getSubcommand();
+            let updated;
+
+            if (subcommand === 'view') {
+                return interaction.editReply({
+                    content: describeModeration(await getModeration(serverId), await getModerationEvents(serverId, 5), language),
+                    allowedMentions: { parse: [] },
+                });
+            }
+
+            if (subcommand === 'set') {
+                const changes = {};
+                const booleanOptions = {
+                    all_ages: 'allAges', check_messages: 'classifyMessages', check_replies: 'classifyReplies',
+                    check_images: 'classifyImages', refuse: 'refuse', log: 'log',
+                };
+                for (const [option, field] of Object.entries(booleanOptions)) {
+                    const value = interaction.options.getBoolean(option);
+                    if (value !== null) changes[field] = value;
+                }
+                const alertChannel = interaction.options.getChannel('alert_channel');
+                if (alertChannel) changes.alertChannelId = alertChannel.id;
+                if (interaction.options.getBoolean('clear_alert_channel')) changes.alertChannelId = null;
+                if (Object.keys(changes).length === 0) {
+                    return interaction.editReply(translate(language, 'nothingToChange'));
+                }
+                updated = await updateModeration(serverId, changes);
+            } else {
+                const terms = interaction.options.getString('terms').split(',');
+                updated = subcommand === 'block'
+                    ? await addBlockedTerms(serverId, terms)
+                    : await removeBlockedTerms(serverId, terms);
+            }
+
+            if (!updated) {
+                return interaction.editReply(personaReply(persona, 'storageUnavailable'));
+            }
+            await interaction.editReply({
+                content: translate(language, 'moderationUpdated', { details: describeModeration(updated, [], language) }),
+                allowedMentions: { parse: [] },
+            });
+            break;
+        }
+
+        case 'stats': {
+            if (!interaction.guildId) {
+                return interaction.editReply(translate(language, 'statsServerOnly'));
+            }
+            const subcommand = interaction.options.getSubcommand();
+
+            if (subcommand === 'budget') {
+                const changes = {};
+                const tokens = interaction.options.getInteger('tokens');
+                const cost = interaction.options.getNumber('cost');
+                const forceLite = interaction.options.getBoolean('force_lite');
+                const disableImages = interaction.options.getBoolean('disable_images');
+                if (tokens !== null) changes.monthlyTokens = tokens;
+                if (cost !== null) changes.monthlyCostUsd = cost;
+                if (forceLite !== null) changes.forceLite = forceLite;
+                if (disableImages !== null) changes.disableImages = disableImages;
+                if (Object.keys(changes).length > 0 && !(await setBudget(serverId, changes))) {
+                    return interaction.editReply(personaReply(persona, 'storageUnavailable'));
+                }
+                return interaction.editReply(describeBudget(await getBudgetStatus(serverId), language));
+            }
+
+            if (subcommand === 'feedback') {
+                const since = STATS_PERIODS[interaction.options.getString('period') || 'month']();
+                const report = await getLowRatedReplies(serverId, { since });
+                if (!report) return interaction.editReply(personaReply(persona, 'storageUnavailable'));
+                const lines = [
+                    translate(language, 'feedbackHeader', {
+                        since: `<t:${Math.floor(since.getTime() / 1000)}:f>`, shown: report.replies.length, rated: report.rated,
+                    }),
+                    ...report.replies.map(reply => [
+                        `- 👍 ${reply.up} 👎 ${reply.down}${reply.persona ? ` \`${reply.persona}\`` : ''} ${messageLink(serverId, reply.channelId, reply.messageId)}`,
+                        reply.prompt ? `  > ${reply.prompt.replace(/\n/g, ' ').slice(0, 150)}` : null,
+                        `  ${reply.content.replace(/\n/g, ' ').slice(0, 200)}`,
+                    ].filter(Boolean).join('\n')),
+                ];
+                await interaction.editReply({ content: lines.join('\n').slice(0, 2000), allowedMentions: { parse: [] } });
+                break;
+            }
+
+            const period = interaction.options.getString('period') || 'month';
+            const groupBy = interaction.options.getString('group') || 'feature';
+            const report = await getUsageReport(serverId, { since: STATS_PERIODS[period](), groupBy });
+            const lines = [
+                translate(language, 'usageHeader', { since: `<t:${Math.floor(report.since.getTime() / 1000)}:f>` }),
+                formatTotals(report.totals, language),
+                '',
+                ...report.groups.slice(0, 15).map(group =>
+                    `- ${groupBy === 'userId' ? `<@${group.key}>` : `\`${group.key}\``}: ${formatTotals(group, language)}`),
+                '',
+                describeBudget(await getBudgetStatus(serverId), language),
+            ];
+            await interaction.editReply({ content: lines.join('\n').slice(0, 2000), allowedMentions: { parse: [] } });
+            break;
+        }
+
+        case 'remind': {
+            const subcommand = interaction.options.getSubcommand();
+            if (subcommand === 'set') {
+                const text = interaction.options.getString('what');
+                if (!(await moderate('message', { serverId, channelId, userId: user.id, text })).allowed) {
+                    return interaction.editReply(personaReply(persona, 'moderationRefusal'));
+                }
+                const result = await scheduleReminder({
+                    serverId, channelId, userId: user.id, text,
+                    dueAt: parseWhen(interaction.options.getString('when')),
+                    deliver: serverId === 'DM' ? 'dm' : interaction.options.getString('where') || 'channel',
+                });
+                if (result.error) {
+                    return interaction.editReply(scheduleErrorReply(persona, result.error, MAX_REMINDERS_PER_USER));
+                }
+                return interaction.editReply(personaReply(persona, 'reminderSet', { when: formatTime(result.reminder.dueAt), text }));
+            }
+            if (subcommand === 'list') {
+                const reminders = await listReminders(user.id);
+                if (reminders.length === 0) {
+                    return interaction.editReply(personaReply(persona, 'reminderNone'));
+                }
+                return interaction.editReply(reminders.map((reminder, i) =>
+                    `**${i + 1}.** ${formatTime(reminder.dueAt)} ${reminder.deliver === 'dm' ? translate(language, 'reminderDm') : translate(language, 'inChannel', { channel: `<#${reminder.channelId}>` })}: ${reminder.text}`
+                ).join('\n').slice(0, 2000));
+            }
+            const cancelled = await cancelReminder(user.id, interaction.options.getInteger('number'));
+            await interaction.editReply(cancelled
+                ? personaReply(persona, 'reminderCancelled', { text: cancelled.text })
+                : personaReply(persona, 'reminderNotFound'));
+            break;
+        }
+
+        case 'announce': {
+            const subcommand = interaction.options.getSubcommand();
+            if (subcommand === 'add') {
+                const target = interaction.options.getChannel('channel');
+                const repeat = interaction.options.getString('repeat') || 'none';
+                const result = await scheduleAnnouncement({
+                    serverId, channelId: target.id, userId: user.id,
+                    text: interaction.options.getString('message'),
+                    dueAt: parseWhen(interaction.options.getString('when')),
+                    repeat,
+                });
+                if (result.error) {
+                    return interaction.editReply(scheduleErrorReply(persona, result.error, MAX_ANNOUNCEMENTS_PER_GUILD));
+                }
+                return interaction.editReply(personaReply(persona, 'announceSet', {
+                    channel: `<#${target.id}>`,
+                    when: formatTime(result.reminder.dueAt),
+                    repeat: repeat === 'none' ? '' : translate(language, 'announceThen', {
+                        repeat: translate(language, repeat === 'weekly' ? 'repeatWeekly' : 'repeatDaily'),
+                    }),
+                }));
+            }
+            if (subcommand === 'list') {
+                const announcements = await listAnnouncements(serverId);
+                if (announcements.length === 0) {
+                    return interaction.editReply(personaReply(persona, 'announceNone'));
+                }
+                const repeatLabel = ms => ms ? ` (${translate(language, ms >= 7 * 24 * 60 * 60 * 1000 ? 'repeatWeekly' : 'repeatDaily')})` : '';
+                return interaction.editReply(announcements.map((announcement, i) =>
+                    `**${i + 1}.** ${formatTime(announcement.dueAt)}${repeatLabel(announcement.repeatMs)} ${translate(language, 'inChannel', { channel: `<#${announcement.channelId}>` })}: ${announcement.text.slice(0, 200)}`
+                ).join('\n').slice(0, 2000));
+            }
+            const cancelled = await cancelAnnouncement(serverId, interaction.options.getInteger('number'));
+            await interaction.editReply(cancelled
+                ? personaReply(persona, 'announceCancelled')
+                : personaReply(persona, 'reminderNotFound'));
+            break;
+        }
+
+        case 'summarize': {
+            const since = parseSinceOption(interaction.options.getString('since'));
+            if (since === undefined) {
+                return interaction.editReply(personaReply(persona, 'badSince'));
+            }
+            const limit = interaction.options.getInteger('messages') ?? (since ? null : 100);
+            await replyWithDigest(interaction, persona, { limit, since }, interaction.options.getString('style') || 'character');
+            break;
+        }
+
+        case SUMMARIZE_FROM_HERE_COMMAND:
+            await replyWithDigest(interaction, persona, { from: interaction.targetMessage }, 'character');
+            break;
+
+        case 'export': {
+            const data = await getUserData(user.id);
+            if (!data) {
+                return interaction.editReply(personaReply(persona, 'storageUnavailable'));
+            }
+            if (data.conversations.length === 0 && !data.continuousReply && data.imageUsage.length === 0 && data.reminders.length === 0 && data.images.length === 0 && !data.privacy) {
+                return interaction.editReply(personaReply(persona, 'exportEmpty'));
+            }
+
+            const archive = buildUserArchive(data, user.tag);
+            const files = [
+                new AttachmentBuilder(archive.json, { name: 'goku_data.json' }),
+                new AttachmentBuilder(archive.markdown, { name: 'goku_data.md' }),
+            ];
+            try {
+                await user.send({ content: personaReply(persona, 'exportSent'), files });
+                await interaction.editReply(personaReply(persona, 'exportSent'));
+            } catch (error) {
+                await interaction.editReply({ content: personaReply(persona, 'exportDmFailed'), files });
+            }
+            break;
+        }
+
+        case 'forget': {
+            const scopeOption = interaction.options.getString('scope') || (interaction.guildId ? 'server' : 'all');
+            const from = parseDateOption(interaction.options.getString('from'));
+            const to = parseDateOption(interaction.options.getString('to'), true);
+            if (from === undefined || to === undefined) {
+                return interaction.editReply(personaReply(persona, 'badDate'));
+            }
+
+            const scope = { serverId: scopeOption === 'server' ? serverId : null, from, to };
+            const result = await deleteUserData(user.id, scope);
+            if (!result) {
+                return interaction.editReply(personaReply(persona, 'storageUnavailable'));
+            }
+            // Uploads are normally removed right after a reply; this catches any that were left behind.
+            for (const fileUri of result.fileUris) {
+                await deleteUploadedFile({ name: `files/${fileUri.split('/').pop()}` }).catch(() => {});
+            }
+
+            const scopeText = [
+                scope.serverId ? translate(language, 'forgetFromServer') : '',
+                from ? translate(language, 'forgetSince', { date: from.toISOString().slice(0, 10) }) : '',
+                to ? translate(language, 'forgetUntil', { date: to.toISOString().slice(0, 10) }) : '',
+            ].join('');
+            await interaction.editReply(result.deletedMessages > 0
+                ? personaReply(persona, 'forgetDone', { count: result.deletedMessages, scope: scopeText })
+                : personaReply(persona, 'forgetNothing', { scope: scopeText }));
+            break;
+        }
+
+        case 'privacy': {
+            const privacyMode = interaction.options.getString('mode');
+
+            if (privacyMode === 'opt-out') {
+                await setPrivacyOptOut(user.id, true);
+                let deletedText = '';
+                if (interaction.options.getBoolean('delete_existing')) {
+                    const result = await deleteUserData(user.id);
+                    deletedText = result ? translate(language, 'privacyErased', { count: result.deletedMessages }) : '';
+                }
+                return interaction.editReply(personaReply(persona, 'privacyOptedOut', { deleted: deletedText }));
+            }
+
+            if (privacyMode === 'opt-in') {
+                await setPrivacyOptOut(user.id, false);
+                return interaction.editReply(personaReply(persona, 'privacyOptedIn'));
+            }
+
+            const optedOut = await isPrivacyOptedOut(user.id);
+            const data = await getUserData(user.id);
+            await interaction.editReply(personaReply(persona, 'privacyStatus', {
+                status: translate(language, optedOut ? 'privacyNotStoring' : 'privacyStoring'),
+                count: data ? data.conversations.length : 0,
+            }));
+            break;
+        }
     }
 });
 
+// Answers a stored message again and edits the bot's saved answer to it in place. Returns false
+// if nothing was rewritten (rate limited, the reply is gone, or the new text didn't pass screening).
+async function regenerateReply(prompt, reply) {
+    const { serverId, userId, channelId } = prompt;
+    if (!checkRateLimit('chat', { userId, channelId, serverId }).allowed) {
+        recordError('rate_limited');
+        return false;
+    }
+
+    const promptChannel = await client.channels.fetch(channelId).catch(() => null);
+    const replyChannel = reply.channelId === channelId ? promptChannel : await client.channels.fetch(reply.channelId).catch(() => null);
+    const replyMessage = await replyChannel?.messages.fetch(reply.messageId).catch(() => null);
+    if (!replyMessage) return false;
+
+    const persona = await getPersonaForGuild(serverId);
+    const userName = prompt.userName || 'Unknown';
+    // History as it stood when the message was first sent, so the old answer isn't part of it.
+    const history = await getConversationHistory(serverId, userId, prompt.content, channelId, {
+        parentChannelId: parentChannelOf(promptChannel),
+        before: new Date(prompt.timestamp),
+    });
+    const fileParts = (prompt.fileParts || []).map(fp => ({ fileData: { mimeType: fp.mimeType, fileUri: fp.fileUri } }));
+    const { forceLite } = await getBudgetStatus(serverId);
+    const { models } = await getGuildConfig(serverId);
+    await replyChannel.sendTyping().catch(() => {});
+    const { text } = await generateText(history, `${userName}: ${prompt.content}`, fileParts, userName, persona, {
+        serverId, userId, forceLite, tuning: models,
+    });
+    if (!text) return false;
+    // A rewrite that doesn't pass screening leaves the old answer standing.
+    if (!(await moderate('reply', { serverId, channelId, userId, text })).allowed) return false;
+
+    const [first, ...rest] = splitLongResponse(text);
+    await replyMessage.edit({ content: first });
+    for (const chunk of rest) {
+        await replyChannel.send({ content: chunk });
+    }
+    await editMessage(reply.messageId, text);
+    // Ratings were for the old text. Clearing the reactions lets people rate (or re-roll) again.
+    await clearReplyRatings(reply.messageId);
+    await replyMessage.reactions.removeAll().catch(() => {});
+    return true;
+}
+
 client.on('messageUpdate', async (oldMessage, newMessage) => {
+    if (newMessage.partial) {
+        newMessage = await newMessage.fetch().catch(() => null);
+        if (!newMessage) return;
+    }
     if (newMessage.author.bot || oldMessage.content === newMessage.content) return;
-    await editMessage(newMessage.id, newMessage.content);
+    const serverId = newMessage.guildId || 'DM';
+    const rawPrompt = newMessage.content.replace(`<@${client.user.id}>`, '').trim();
+    if (!rawPrompt) return;
+
+    try {
+        const stored = await editMessage(newMessage.id, rawPrompt);
+        if (!stored) return;
+        // Edited text is screened like a new message; flagged edits drop out of history.
+        const inputCheck = await moderate('message', { serverId, channelId: newMessage.channel.id, userId: newMessage.author.id, text: rawPrompt });
+        if (!inputCheck.allowed) {
+            await deleteConversationMessages([newMessage.id]);
+            return;
+        }
+
+        if (!(await getGuildConfig(serverId)).chat.regenerateOnEdit) return;
+        const reply = await getReplyTo(newMessage.id);
+        if (!reply || Date.now() - new Date(reply.timestamp).getTime() > REGENERATE_WINDOW_MS) return;
+        await regenerateReply(stored, reply);
+    } catch (error) {
+        console.error('Error handling message edit:', error);
+        recordError('message_edit');
+    }
+});
+
+// Deleted messages leave history too, along with any gallery entry for an image the bot posted.
+async function forgetMessages(messageIds) {
+    await deleteConversationMessages(messageIds);
+    for (const messageId of messageIds) {
+        await deleteGeneratedImageByMessage(messageId);
+    }
+}
+
+// The member a reply answered, or anyone who can manage messages in its channel.
+async function canManageReply(reaction, user, stored) {
+    if (user.id === stored.userId) return true;
+    const member = await reaction.message.guild?.members.fetch(user.id).catch(() => null);
+    return Boolean(member && reaction.message.channel.permissionsFor(member)?.has(PermissionsBitField.Flags.ManageMessages));
+}
+
+// Resolves a reaction event to the bot reply it was added to, or null for anything else.
+async function reactedReply(reaction, user) {
+    if (user.bot) return null;
+    if (reaction.partial && !(await reaction.fetch().catch(() => null))) return null;
+    if (reaction.message.partial && !(await reaction.message.fetch().catch(() => null))) return null;
+    if (reaction.message.author.id !== client.user.id) return null;
+    const stored = await getConversationMessage(reaction.message.id);
+    return stored?.role === 'model' ? stored : null;
+}
+
+client.on('messageReactionAdd', async (reaction, user) => {
+    try {
+        const stored = await reactedReply(reaction, user);
+        if (!stored) return;
+        // Emoji can arrive with or without the variation selector.
+        const emoji = reaction.emoji.name?.replace(/\uFE0F/g, '');
+
+        if (emoji in REACTION_RATINGS) {
+            await rateReply({
+                serverId: stored.serverId, channelId: stored.channelId, messageId: stored.messageId,
+                userId: user.id, value: REACTION_RATINGS[emoji],
+            });
+        } else if (emoji === REACTION_DELETE) {
+            if (!(await canManageReply(reaction, user, stored))) return;
+            await reaction.message.delete();
+            await forgetMessages([stored.messageId]);
+        } else if (emoji === REACTION_REGENERATE) {
+            // Replies to a batch of messages have no single message to answer again.
+            const prompt = stored.replyTo && await getConversationMessage(stored.replyTo);
+            if (!prompt || !(await canManageReply(reaction, user, stored))) return;
+            await regenerateReply(prompt, stored);
+        }
+    } catch (error) {
+        console.error('Error handling reaction:', error);
+        recordError('reaction');
+    }
+});
+
+client.on('messageReactionRemove', async (reaction, user) => {
+    try {
+        const emoji = reaction.emoji.name?.replace(/\uFE0F/g, '');
+        if (!(emoji in REACTION_RATINGS)) return;
+        const stored = await reactedReply(reaction, user);
+        if (stored) await removeReplyRating(stored.messageId, user.id, REACTION_RATINGS[emoji]);
+    } catch (error) {
+        console.error('Error handling reaction removal:', error);
+    }
+});
+
+client.on('messageDelete', async message => {
+    try {
+        await forgetMessages([message.id]);
+    } catch (error) {
+        console.error(`[Edits] Error forgetting deleted message ${message.id}:`, error);
+        recordError('message_delete');
+    }
+});
+
+client.on('messageDeleteBulk', async messages => {
+    try {
+        await forgetMessages([...messages.keys()]);
+    } catch (error) {
+        console.error(`[Edits] Error forgetting ${messages.size} bulk-deleted messages:`, error);
+        recordError('message_delete');
+    }
 });
 
 client.on('messageCreate', async message => {
     if (message.author.bot) return;
     
     if (!message.guild && !message.channel.isDMBased()) return;
+    recordMessageSeen();
 
     const serverId = message.guildId || 'DM';
     const userId = message.author.id;
     const channelId = message.channel.id;
+    const parentChannelId = parentChannelOf(message.channel);
     const guildName = message.guild?.name || 'DM';
     // FIXED: Get the actual display name properly
     const userName = message.member?.displayName || message.author.displayName || message.author.username || message.author.globalName || 'Unknown';
     
     const isTagged = message.mentions.users.first()?.id === client.user.id;
-    const isReplyToBot = message.reference && message.reference.messageId 
-        ? (await message.channel.messages.fetch(message.reference.messageId).catch(() => null))?.author.id === client.user.id
-        : false;
+    const referenced = message.reference?.messageId
+        ? await message.channel.messages.fetch(message.reference.messageId).catch(() => null)
+        : null;
+    const isReplyToBot = referenced?.author.id === client.user.id;
+    // Replying to or pinging someone else is a sign the message isn't for the bot.
+    const addressedToOther = (Boolean(referenced) && !isReplyToBot)
+        || message.mentions.users.some(mentioned => mentioned.id !== client.user.id && mentioned.id !== userId);
     
     const isMandatoryPingReply = isTagged || isReplyToBot;
     
@@ -496,128 +2251,253 @@ client.on('messageCreate', async message => {
     // FIXED: Pass the raw message and username separately to properly format
     const formattedPrompt = `${userName}: ${rawPrompt}`;
     
-    if (activeDrawInteractions.has(userId)) return;
-    const isBotActive = await getBotActiveStatus(serverId);
-    if (!isBotActive) return;
+    const config = await getGuildConfig(serverId);
+    if (!config.active) return;
+    const persona = await getPersonaForGuild(serverId);
 
     // Check channel permissions (skip for DMs and mandatory pings)
     if (serverId !== 'DM' && !isMandatoryPingReply) {
-        const channelAllowed = await isChannelAllowed(serverId, channelId);
+        const channelAllowed = await isChannelAllowed(serverId, channelId, parentChannelId);
         if (!channelAllowed) return;
     }
 
-    let shouldReply = isMandatoryPingReply;
+    // Flagged messages are neither answered nor kept in history, so they never reach the model.
+    if (rawPrompt) {
+        const inputCheck = await moderate('message', { serverId, channelId, userId, text: rawPrompt });
+        if (!inputCheck.allowed) {
+            if (inputCheck.refuse && isMandatoryPingReply) {
+                message.reply({ content: personaReply(persona, 'moderationRefusal'), allowedMentions: { repliedUser: false } }).catch(() => {});
+            }
+            return;
+        }
+    }
+
+    // Threads the bot started are a conversation with it, so everything said there gets an answer.
+    const isOwnThread = Boolean(parentChannelId) && message.channel.ownerId === client.user.id;
+
+    // "Remind me in 2 hours to train" sets a real reminder instead of a promise the model can't keep.
+    const naturalReminder = (isMandatoryPingReply || isOwnThread || serverId === 'DM') && parseNaturalReminder(rawPrompt);
+    if (naturalReminder) {
+        const result = await scheduleReminder({
+            serverId, channelId, userId, text: naturalReminder.text, dueAt: naturalReminder.dueAt,
+            deliver: serverId === 'DM' ? 'dm' : 'channel',
+        });
+        const content = result.error
+            ? scheduleErrorReply(persona, result.error, MAX_REMINDERS_PER_USER)
+            : personaReply(persona, 'reminderSet', { when: formatTime(result.reminder.dueAt), text: naturalReminder.text });
+        await message.reply({ content, allowedMentions: { repliedUser: false } }).catch(console.error);
+        await saveMessage(serverId, userId, rawPrompt, 'user', message.id, [], { channelId, userName });
+        return;
+    }
+    let shouldReply = isMandatoryPingReply || isOwnThread || await getContinuousReplyStatus(userId);
+    // Conversations aimed at the bot. Only these earn strikes and a notice when they hit the limit.
+    const isDirect = shouldReply || serverId === 'DM';
+
+    // Only messages that are about to cost a model call (a reply, or asking the model whether to
+    // reply) count against the chat limits, so people talking among themselves never use them up.
+    let rateLimit = null;
+    const withinRateLimit = () => {
+        if (!rateLimit) {
+            rateLimit = checkRateLimit('chat', { userId, channelId, serverId }, { strike: isDirect });
+            if (!rateLimit.allowed) recordError('rate_limited');
+        }
+        return rateLimit.allowed;
+    };
     if (!shouldReply) {
-        const isContinuous = await getContinuousReplyStatus(userId);
-        let ignoreCount = await getIgnoredCount(serverId);
-        if (isContinuous) {
-            shouldReply = true;
-        } else if (ignoreCount >= MAX_IGNORE_COUNT) {
-            shouldReply = true;
+        // Local signals settle most messages; only borderline ones cost a model call.
+        const chattiness = channelChattiness(config, channelId, parentChannelId);
+        const { score } = scoreMessage({ channelId, userId, text: rawPrompt, persona, addressedToOther });
+        const verdict = replyVerdict(score, chattiness);
+        if (verdict === 'ask' && config.chat.modelDecisions) {
+            // Over the limit, a borderline message just goes unanswered.
+            if (withinRateLimit()) {
+                shouldReply = await decideToReply(rawPrompt, serverId, userName, persona, { userId });
+                recordReplyDecision(shouldReply, 'model');
+            }
         } else {
-            // FIXED: Pass username and raw message to decision function
-            shouldReply = await decideToReply(rawPrompt, serverId, userName);
+            shouldReply = verdict === 'ask' ? settleWithoutModel(score, chattiness) : verdict === 'reply';
+            recordReplyDecision(shouldReply, 'heuristic');
+        }
+    }
+    recordChannelMessage(channelId, userId);
+
+    if (shouldReply && !withinRateLimit()) {
+        // Flooders hear about it once, but only when they were talking to the bot.
+        if (rateLimit.notify) {
+            message.reply({ content: rateLimitReply(persona, rateLimit), allowedMentions: { repliedUser: false } }).catch(() => {});
         }
+        shouldReply = false;
     }
 
+    const speaker = { channelId, userName };
+    markForSummary(serverId, userId, channelId);
+
     if (!shouldReply) {
-        if (!isMandatoryPingReply) {
-            await incrementIgnoredCount(serverId);
+        // Still record it so the channel's shared context knows what was said.
+        if (rawPrompt) {
+            await saveMessage(serverId, userId, rawPrompt, 'user', message.id, [], speaker);
         }
         return; 
     }
 
-    await resetIgnoredCount(serverId);
-    
-    if (isBotResponding.get(channelId)) {
-        if (isMandatoryPingReply) {
-            message.reply({ content: "Hold on a sec, pal! I'm finishing up a thought! I'll be right with ya!", allowedMentions: { repliedUser: false }});
-        }
-        return;
+    const queued = channelQueue.enqueue(channelId, {
+        message, rawPrompt, formattedPrompt, isTagged, isPing: isMandatoryPingReply,
+        persona, speaker, serverId, userId, userName, receivedAt: Date.now(),
+    });
+    if (queued === 'queued') {
+        await message.channel.sendTyping().catch(() => {});
     }
-    isBotResponding.set(channelId, true); 
+});
+
+// Answers one queue batch: a single message, or several that piled up while the bot was busy,
+// answered together in one reply to the most recent of them.
+async function respondToBatch(batch) {
+    const anchor = batch[batch.length - 1];
+    const { message, isTagged, isPing, persona, speaker, serverId, userId, userName } = anchor;
+    const channelId = message.channel.id;
+    const parentChannelId = parentChannelOf(message.channel);
+    const isOneOnOne = batch.every(job => job.userId === userId);
 
     let filesToCleanup = [];
     try {
-        const attachments = Array.from(message.attachments.values());
-        let fileParts = [];
-        for (const attachment of attachments) {
-            const { file, filePart } = await processAndUploadFile(attachment.url, attachment.contentType);
-            fileParts.push(filePart);
-            filesToCleanup.push(file); 
-        }
-
-        const history = await getConversationHistory(serverId, userId, rawPrompt);
-        // FIXED: Pass userName separately to generate function
-        const { text: responseText, sources, isShort } = await generateText(history, formattedPrompt, fileParts, userName);
-
-        const typingDelay = calculateTypingDelay(responseText);
-        const typingStartTime = Date.now();
-        await message.channel.sendTyping().catch(console.error); 
-        const typingInterval = setInterval(() => {
-            message.channel.sendTyping().catch(console.error);
-        }, 5000);
-        
-        const elapsed = Date.now() - typingStartTime;
-        if (elapsed < typingDelay) {
-            await new Promise(resolve => setTimeout(resolve, typingDelay - elapsed));
-        }
-        clearInterval(typingInterval);
-        
-        let responseMessages = splitLongResponse(responseText);
-        
-        // FIXED: Make message splitting much rarer (only 1% chance) and only for longer messages
-        const splitChance = Math.random() < 0.01; // Reduced from 2% to 1%
-        if (responseMessages.length === 1 && splitChance && responseText.length > 300) { // Increased minimum length
-            const text = responseMessages[0];
-            const midIndex = Math.floor(text.length / 2);
-            const splitPoint = text.lastIndexOf('.', midIndex) !== -1 ? text.lastIndexOf('.', midIndex) + 1 : midIndex;
-            responseMessages = [
-                text.substring(0, splitPoint).trim(),
-                text.substring(splitPoint).trim()
-            ].filter(m => m.length > 0);
+        const partsByJob = [];
+        for (const job of batch) {
+            const parts = [];
+            for (const attachment of job.message.attachments.values()) {
+                const { file, filePart } = await processAndUploadFile(attachment.url, attachment.contentType);
+                parts.push(filePart);
+                filesToCleanup.push(file);
+            }
+            partsByJob.push(parts);
         }
-
+        const fileParts = partsByJob.flat();
+        const formattedPrompt = batch.map(job => job.formattedPrompt).join('\n');
+        const rawPrompt = batch.map(job => job.rawPrompt).join('\n');
+
+        const history = await getConversationHistory(serverId, userId, rawPrompt, channelId, { parentChannelId });
+        // A long one-on-one in a main channel moves into a thread started from the latest message.
+        const thread = isOneOnOne ? await maybeStartThread(message, persona, userName) : null;
+        const replyChannel = thread || message.channel;
+        // Replies can't point at a message in another channel.
+        const replyInline = isTagged && !thread;
+        const { forceLite } = await getBudgetStatus(serverId);
+        const config = await getGuildConfig(serverId);
+        const generateOptions = { serverId, userId, forceLite, tuning: config.models };
+        // Replies that get screened can't be shown while they're still being written.
+        const moderation = await getModeration(serverId);
+        let responseText;
         let replyMessage;
-        const replyOptions = { content: responseMessages[0] };
-        
-        // FIXED: Only use reply feature when tagged, otherwise send normal message
-        if (isTagged) {
-            replyMessage = await message.reply(replyOptions);
+        if (STREAMING_REPLIES && !screensReplies(moderation)) {
+            // Post as soon as text starts arriving and keep editing it instead of faking a typing delay.
+            await replyChannel.sendTyping().catch(console.error);
+            const streamingReply = createStreamingReply({
+                sendFirst: content => replyInline ? message.reply({ content }) : replyChannel.send({ content }),
+                sendNext: content => replyChannel.send({ content }),
+            });
+            ({ text: responseText } = await generateText(history, formattedPrompt, fileParts, userName, persona, {
+                ...generateOptions,
+                onPartial: text => streamingReply.update(text)
+            }));
+            [replyMessage] = await streamingReply.finish(responseText);
+            recordReplySent(true);
         } else {
-            replyMessage = await message.channel.send(replyOptions);
-        }
-        
-        // FIXED: Add proper delay between split messages
-        for (let i = 1; i < responseMessages.length; i++) {
-            const additionalDelay = calculateTypingDelay(responseMessages[i]);
-            await new Promise(resolve => setTimeout(resolve, additionalDelay));
-            await message.channel.sendTyping().catch(console.error);
-            await new Promise(resolve => setTimeout(resolve, 1000)); // Small additional delay
-            await message.channel.send({ content: responseMessages[i] });
+            // FIXED: Pass userName separately to generate function
+            ({ text: responseText } = await generateText(history, formattedPrompt, fileParts, userName, persona, generateOptions));
+            const outputCheck = await moderate('reply', { serverId, channelId, userId, text: responseText });
+            if (!outputCheck.allowed) {
+                responseText = outputCheck.refuse ? personaReply(persona, 'moderationRefusal') : null;
+            }
+            if (responseText) {
+                replyMessage = await sendHumanizedReply(message, responseText, replyInline, replyChannel, config.typing);
+                recordReplySent(false);
+            }
         }
 
-        await saveMessage(serverId, userId, rawPrompt, 'user', message.id, fileParts.map(fp => ({
-            mimeType: fp.fileData.mimeType,
-            fileUri: fp.fileData.fileUri
-        })));
-        await saveMessage(serverId, userId, responseText, 'model', replyMessage.id); 
+        // Inline attachments (non-Gemini providers) have no persistent URI worth storing.
+        for (const [i, job] of batch.entries()) {
+            await saveMessage(job.serverId, job.userId, job.rawPrompt, 'user', job.message.id, partsByJob[i].filter(fp => fp.fileData).map(fp => ({
+                mimeType: fp.fileData.mimeType,
+                fileUri: fp.fileData.fileUri
+            })), job.speaker);
+        }
+        if (replyMessage) {
+            // A reply to a batch answers several messages at once, so only single answers are tied
+            // to the message they answer (and get rewritten when it's edited).
+            const replyTo = batch.length === 1 ? message.id : null;
+            await saveMessage(serverId, userId, responseText, 'model', replyMessage.id, [], {
+                ...speaker, channelId: replyChannel.id, replyTo, persona: persona.key,
+            });
+            recordBotReply(channelId, userId);
+            if (!parentChannelId && !thread) {
+                if (isOneOnOne) recordExchange(channelId, userId);
+                else clearExchange(channelId);
+            }
+        }
 
     } catch (error) {
         console.error('Fatal Error during Message Processing:', error);
-        if (isMandatoryPingReply) {
-            message.reply({ content: "Ah, crud! Something went wrong while I was powering up that message. Try sending it again!", allowedMentions: { repliedUser: false }});
+        recordError('message_processing');
+        if (isPing) {
+            message.reply({ content: personaReply(persona, 'processingError'), allowedMentions: { repliedUser: false }});
         }
     } finally {
-        isBotResponding.delete(channelId);
         for (const file of filesToCleanup) {
             try {
-                await geminiClient.files.delete({ name: file.name });
+                await deleteUploadedFile(file);
             } catch (error) {
-                console.warn(`Could not delete Gemini file ${file.name}:`, error.message);
+                console.warn(`Could not delete uploaded file ${file?.name}:`, error.message);
             }
         }
     }
-});
+}
+
+// Starts a thread from `message` once its author has had threads.after replies in a row in this
+// channel and the guild has threads.auto on. Returns the thread, or null to reply in place.
+async function maybeStartThread(message, persona, userName) {
+    if (!message.guild || !THREADABLE_CHANNEL_TYPES.has(message.channel.type) || message.hasThread) return null;
+    const { threads } = await getGuildConfig(message.guildId);
+    if (!threads.auto || exchangeCount(message.channel.id, message.author.id) + 1 < threads.after) return null;
+
+    const permissions = message.channel.permissionsFor(client.user);
+    if (!permissions?.has([PermissionsBitField.Flags.CreatePublicThreads, PermissionsBitField.Flags.SendMessagesInThreads])) {
+        return null;
+    }
+    try {
+        const thread = await message.startThread({
+            name: `${persona.name} & ${userName}`.slice(0, 100),
+            reason: 'Long one-on-one conversation',
+        });
+        clearExchange(message.channel.id);
+        await thread.send(personaReply(persona, 'threadStarted', { user: `<@${message.author.id}>` }));
+        return thread;
+    } catch (error) {
+        console.warn(`Could not start a thread in ${message.channel.id}:`, error.message);
+        return null;
+    }
+}
+
+// Skipped messages still go into history so the channel's shared context stays complete.
+async function dropQueuedMessage(job, reason) {
+    recordError(`queue_${reason}`);
+    if (job.isPing) {
+        await job.message.reply({
+            content: personaReply(job.persona, reason === 'stale' ? 'queueStale' : 'queueFull'),
+            allowedMentions: { repliedUser: false },
+        }).catch(() => {});
+    }
+    if (job.rawPrompt) {
+        await saveMessage(job.serverId, job.userId, job.rawPrompt, 'user', job.message.id, [], job.speaker);
+    }
+}
+
+const channelQueue = createChannelQueue({ handle: respondToBatch, onDrop: dropQueuedMessage });
+
+// Give the embedded file storage a chance to flush pending writes before exiting.
+for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.once(signal, async () => {
+        await closeDB().catch(console.error);
+        process.exit(0);
+    });
+}
 
 client.login(DISCORD_BOT_TOKEN);
\ No newline at end of file
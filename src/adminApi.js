@@ -0,0 +1,257 @@
+// src/adminApi.js
+// Token-protected JSON API for managing servers without opening Discord. Mounted under /api by index.js.
+import express from 'express';
+import { timingSafeEqual } from 'crypto';
+import {
+    getAllowedChannels, setAllowedChannels,
+    getContinuousReplyUsers, setContinuousReplyStatus, getQuotaSettings, setQuotaSettings,
+    findConversations, deleteConversationMessage, deleteUserData, getLowRatedReplies
+} from './dbService.js';
+import { CONFIG_KEYS, getGuildConfig, setGuildConfig, resetGuildConfig } from './guildConfig.js';
+import { getPersonaForGuild } from './personas.js';
+import { validateQuotaChanges } from './quotas.js';
+import { getBudgetStatus } from './usageService.js';
+import { LISTABLE_CHANNEL_TYPES } from './threads.js';
+import { deleteUploadedFile } from './geminiService.js';
+
+const QUOTA_FIELDS = ['dailyLimit', 'poolLimit', 'resetMode', 'resetHour', 'timezone', 'roleOverrides'];
+const MAX_CONVERSATION_PAGE = 200;
+const MAX_FEEDBACK_PAGE = 100;
+
+class ApiError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function tokensMatch(provided, expected) {
+    const a = Buffer.from(provided);
+    const b = Buffer.from(expected);
+    return a.length === b.length && timingSafeEqual(a, b);
+}
+
+function requireToken(token) {
+    return (req, res, next) => {
+        const header = req.get('authorization') || '';
+        const provided = header.startsWith('Bearer ') ? header.slice(7) : '';
+        if (!provided || !tokensMatch(provided, token)) {
+            return res.status(401).json({ error: 'Missing or invalid admin token' });
+        }
+        next();
+    };
+}
+
+// Lets route handlers be async and throw ApiError for client mistakes.
+function route(handler) {
+    return (req, res, next) => Promise.resolve(handler(req, res)).catch(next);
+}
+
+function parseDate(value, name) {
+    if (value === undefined) return null;
+    const date = new Date(value);
+    if (isNaN(date)) throw new ApiError(400, `${name} must be an ISO date`);
+    return date;
+}
+
+/**
+ * Builds the router. `client` is the logged-in Discord client, used to resolve guilds and
+ * channels; `reloadCommands` re-registers the slash commands.
+ */
+function createAdminRouter({ client, token, reloadCommands }) {
+    const router = express.Router();
+    router.use(requireToken(token));
+    router.use(express.json());
+
+    function findGuild(guildId) {
+        const guild = client.guilds.cache.get(guildId);
+        if (!guild) throw new ApiError(404, `The bot is not in guild ${guildId}`);
+        return guild;
+    }
+
+    async function guildSettings(guild) {
+        const continuousUsers = await getContinuousReplyUsers();
+        const persona = await getPersonaForGuild(guild.id);
+        const config = await getGuildConfig(guild.id);
+        return {
+            id: guild.id,
+            name: guild.name,
+            active: config.active,
+            persona: persona.key,
+            language: config.language,
+            channels: await getAllowedChannels(guild.id),
+            config,
+            // Continuous reply is a per-user setting; list the members of this guild who have it on.
+            continuousReplyUsers: continuousUsers.filter(userId => guild.members.cache.has(userId)),
+            quota: await getQuotaSettings(guild.id),
+            budget: await getBudgetStatus(guild.id),
+        };
+    }
+
+    router.get('/guilds', route(async (req, res) => {
+        const guilds = await Promise.all([...client.guilds.cache.values()].map(async guild => ({
+            id: guild.id,
+            name: guild.name,
+            memberCount: guild.memberCount,
+            active: (await getGuildConfig(guild.id)).active,
+        })));
+        res.json({ guilds });
+    }));
+
+    router.get('/guilds/:guildId', route(async (req, res) => {
+        res.json(await guildSettings(findGuild(req.params.guildId)));
+    }));
+
+    router.post('/guilds/:guildId/start', route(async (req, res) => {
+        const guild = findGuild(req.params.guildId);
+        const { config } = await setGuildConfig(guild.id, { active: true });
+        if (!config) throw new ApiError(503, 'Storage is unavailable');
+        res.json({ id: guild.id, active: true });
+    }));
+
+    router.post('/guilds/:guildId/stop', route(async (req, res) => {
+        const guild = findGuild(req.params.guildId);
+        const { config } = await setGuildConfig(guild.id, { active: false });
+        if (!config) throw new ApiError(503, 'Storage is unavailable');
+        res.json({ id: guild.id, active: false });
+    }));
+
+    // Body: { mode: 'all' | 'allowed' | 'disallowed', channels: [channelId] }
+    router.put('/guilds/:guildId/channels', route(async (req, res) => {
+        const guild = findGuild(req.params.guildId);
+        const { mode, channels = [] } = req.body || {};
+        if (!['all', 'allowed', 'disallowed'].includes(mode)) {
+            throw new ApiError(400, "mode must be 'all', 'allowed' or 'disallowed'");
+        }
+        if (!Array.isArray(channels)) throw new ApiError(400, 'channels must be a list of channel IDs');
+
+        const resolved = mode === 'all' ? [] : channels.map(channelId => {
+            const channel = guild.channels.cache.get(channelId);
+            if (!channel || !LISTABLE_CHANNEL_TYPES.has(channel.type)) {
+                throw new ApiError(400, `${channelId} is not a text channel, thread or forum in this guild`);
+            }
+            return { id: channel.id, name: channel.name };
+        });
+        if (mode !== 'all' && resolved.length === 0) throw new ApiError(400, 'channels must not be empty');
+
+        await setAllowedChannels(guild.id, mode, resolved);
+        res.json(await getAllowedChannels(guild.id));
+    }));
+
+    router.put('/guilds/:guildId/quota', route(async (req, res) => {
+        const guild = findGuild(req.params.guildId);
+        const changes = Object.fromEntries(Object.entries(req.body || {}).filter(([key]) => QUOTA_FIELDS.includes(key)));
+        if (Object.keys(changes).length === 0) throw new ApiError(400, `Provide at least one of: ${QUOTA_FIELDS.join(', ')}`);
+        const invalid = validateQuotaChanges(changes);
+        if (invalid) throw new ApiError(400, invalid);
+
+        const updated = await setQuotaSettings(guild.id, changes);
+        if (!updated) throw new ApiError(503, 'Storage is unavailable');
+        res.json(updated);
+    }));
+
+    // Body: { "<key>": value } with keys from /config (e.g. { "typing.minDelayMs": 1500 }); null resets a key.
+    router.put('/guilds/:guildId/config', route(async (req, res) => {
+        const guild = findGuild(req.params.guildId);
+        const entries = Object.entries(req.body || {});
+        if (entries.length === 0) throw new ApiError(400, 'Provide at least one config key');
+        const unknown = entries.find(([key]) => !CONFIG_KEYS[key]);
+        if (unknown) throw new ApiError(400, `${unknown[0]} is not a config key`);
+
+        const changes = Object.fromEntries(entries.filter(([, value]) => value !== null));
+        const resets = entries.filter(([, value]) => value === null).map(([key]) => key);
+        let result = { config: await getGuildConfig(guild.id) };
+        if (Object.keys(changes).length > 0) result = await setGuildConfig(guild.id, changes);
+        if (!result.error && result.config && resets.length > 0) result = await resetGuildConfig(guild.id, resets);
+        if (result.error) throw new ApiError(400, result.error);
+        if (!result.config) throw new ApiError(503, 'Storage is unavailable');
+        res.json(result.config);
+    }));
+
+    // Body: { level: 0-10 } or { level: null } to follow the guild's chat.chattiness again
+    router.put('/guilds/:guildId/channels/:channelId/chattiness', route(async (req, res) => {
+        const guild = findGuild(req.params.guildId);
+        const channel = guild.channels.cache.get(req.params.channelId);
+        if (!channel || !LISTABLE_CHANNEL_TYPES.has(channel.type)) {
+            throw new ApiError(400, `${req.params.channelId} is not a text channel, thread or forum in this guild`);
+        }
+        if (req.body?.level === undefined) throw new ApiError(400, 'level must be an integer or null');
+
+        const result = req.body.level === null
+            ? await resetGuildConfig(guild.id, ['chat.chattiness'], { channelId: channel.id })
+            : await setGuildConfig(guild.id, { 'chat.chattiness': req.body.level }, { channelId: channel.id });
+        if (result.error) throw new ApiError(400, result.error);
+        if (!result.config) throw new ApiError(503, 'Storage is unavailable');
+        res.json({ channelChattiness: result.config.channelChattiness, chattiness: result.config.chat.chattiness });
+    }));
+
+    // Body: { active: boolean }
+    router.put('/users/:userId/continuous-reply', route(async (req, res) => {
+        if (typeof req.body?.active !== 'boolean') throw new ApiError(400, 'active must be a boolean');
+        await setContinuousReplyStatus(req.params.userId, req.body.active);
+        res.json({ userId: req.params.userId, active: req.body.active });
+    }));
+
+    // Query: userId, channelId, before (ISO date, for paging), limit
+    router.get('/guilds/:guildId/conversations', route(async (req, res) => {
+        const { userId, channelId } = req.query;
+        const limit = Math.min(MAX_CONVERSATION_PAGE, Math.max(1, parseInt(req.query.limit || '50', 10) || 50));
+        const messages = await findConversations(req.params.guildId, {
+            userId, channelId, before: parseDate(req.query.before, 'before'), limit,
+        });
+        if (!messages) throw new ApiError(503, 'Storage is unavailable');
+        res.json({ messages });
+    }));
+
+    // Query: userId (required), from, to. Same effect as that user running /forget in the guild.
+    router.delete('/guilds/:guildId/conversations', route(async (req, res) => {
+        if (!req.query.userId) throw new ApiError(400, 'userId is required');
+        const result = await deleteUserData(req.query.userId, {
+            serverId: req.params.guildId,
+            from: parseDate(req.query.from, 'from'),
+            to: parseDate(req.query.to, 'to'),
+        });
+        if (!result) throw new ApiError(503, 'Storage is unavailable');
+        for (const fileUri of result.fileUris) {
+            await deleteUploadedFile({ name: `files/${fileUri.split('/').pop()}` }).catch(() => {});
+        }
+        res.json({ deletedMessages: result.deletedMessages });
+    }));
+
+    // Query: since (ISO date), limit. Replies rated 👎 more than 👍, worst first.
+    router.get('/guilds/:guildId/feedback', route(async (req, res) => {
+        const limit = Math.min(MAX_FEEDBACK_PAGE, Math.max(1, parseInt(req.query.limit || '20', 10) || 20));
+        const report = await getLowRatedReplies(req.params.guildId, { since: parseDate(req.query.since, 'since'), limit });
+        if (!report) throw new ApiError(503, 'Storage is unavailable');
+        res.json(report);
+    }));
+
+    router.delete('/conversations/:messageId', route(async (req, res) => {
+        const deleted = await deleteConversationMessage(req.params.messageId);
+        if (deleted === null) throw new ApiError(503, 'Storage is unavailable');
+        if (deleted === 0) throw new ApiError(404, 'No stored message with that ID');
+        res.json({ deleted });
+    }));
+
+    router.post('/commands/reload', route(async (req, res) => {
+        await reloadCommands();
+        res.json({ reloaded: true });
+    }));
+
+    router.use((req, res) => res.status(404).json({ error: 'Not found' }));
+
+    router.use((error, req, res, next) => {
+        if (error instanceof ApiError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        if (error.type === 'entity.parse.failed') {
+            return res.status(400).json({ error: 'Request body must be valid JSON' });
+        }
+        console.error('[Admin API] Request failed:', error);
+        res.status(500).json({ error: 'Internal error' });
+    });
+
+    return router;
+}
+
+export { createAdminRouter };
@@ -0,0 +1,96 @@
+// src/channelDigest.js
+// Catch-up summaries of a channel's recent history, for /summarize and "Summarize from here".
+import { summarizeChannelChunk, writeChannelDigest } from './geminiService.js';
+
+const DIGEST_MAX_MESSAGES = parseInt(process.env.DIGEST_MAX_MESSAGES || '500', 10);
+// Transcript characters per model call; longer histories are condensed into notes chunk by chunk first.
+const DIGEST_CHUNK_CHARS = parseInt(process.env.DIGEST_CHUNK_CHARS || '12000', 10);
+const FETCH_PAGE_SIZE = 100;
+const MAX_LINE_LENGTH = 1000;
+
+const byTime = (a, b) => a.createdTimestamp - b.createdTimestamp;
+
+/**
+ * Fetches channel messages oldest first. Pass `limit` for the last N messages, `since` (Date) for
+ * everything after a point in time, or `from` (a Message) for that message and everything after it.
+ * Never returns more than DIGEST_MAX_MESSAGES.
+ */
+async function fetchChannelHistory(channel, { limit = null, since = null, from = null }) {
+    const wanted = Math.min(limit || DIGEST_MAX_MESSAGES, DIGEST_MAX_MESSAGES);
+    const collected = [];
+
+    if (from) {
+        collected.push(from);
+        let after = from.id;
+        while (collected.length < wanted) {
+            const page = [...(await channel.messages.fetch({ limit: FETCH_PAGE_SIZE, after })).values()].sort(byTime);
+            if (page.length === 0) break;
+            collected.push(...page);
+            after = page[page.length - 1].id;
+        }
+        return collected.slice(0, wanted);
+    }
+
+    let before;
+    while (collected.length < wanted) {
+        const page = [...(await channel.messages.fetch({ limit: Math.min(FETCH_PAGE_SIZE, wanted - collected.length), before })).values()].sort(byTime);
+        if (page.length === 0) break;
+        collected.push(...page);
+        before = page[0].id;
+        if (since && page[0].createdTimestamp < since.getTime()) break;
+    }
+    return collected
+        .filter(message => !since || message.createdTimestamp >= since.getTime())
+        .sort(byTime);
+}
+
+function toTranscriptLine(message) {
+    const name = message.member?.displayName || message.author.globalName || message.author.username;
+    const time = new Date(message.createdTimestamp).toISOString().slice(11, 16);
+    const attachments = [...message.attachments.values()].map(a =>
+        a.contentType?.startsWith('image') ? '[image]' : `[file: ${a.name}]`);
+    const text = [message.content, ...attachments].filter(Boolean).join(' ').slice(0, MAX_LINE_LENGTH);
+    return text ? `[${time}] ${name}: ${text}` : null;
+}
+
+function chunkLines(lines) {
+    const chunks = [];
+    let current = '';
+    for (const line of lines) {
+        if (current && current.length + line.length + 1 > DIGEST_CHUNK_CHARS) {
+            chunks.push(current);
+            current = '';
+        }
+        current += (current ? '\n' : '') + line;
+    }
+    if (current) chunks.push(current);
+    return chunks;
+}
+
+/**
+ * Summarizes part of a channel's history (see fetchChannelHistory for `range`). `style` is
+ * 'character' for the persona's voice or 'plain'. Returns { count, startedAt, summary }, where
+ * summary is null when there was nothing to summarize or the model failed.
+ */
+async function summarizeChannel(channel, persona, range, { style = 'character', serverId = null, userId = null, forceLite = false } = {}) {
+    const messages = (await fetchChannelHistory(channel, range)).filter(message => !message.system);
+    const lines = messages.map(toTranscriptLine).filter(Boolean);
+    if (lines.length === 0) return { count: 0, startedAt: null, summary: null };
+
+    const chunks = chunkLines(lines);
+    let material = chunks[0];
+    if (chunks.length > 1) {
+        const notes = [];
+        for (const chunk of chunks) {
+            const note = await summarizeChannelChunk(chunk, { serverId, userId });
+            if (note) notes.push(note);
+        }
+        material = notes.join('\n');
+    }
+    const summary = material
+        ? await writeChannelDigest(material, persona, { plain: style === 'plain', fromNotes: chunks.length > 1, serverId, userId, forceLite })
+        : null;
+    return { count: lines.length, startedAt: new Date(messages[0].createdTimestamp), summary };
+}
+
+export { DIGEST_MAX_MESSAGES, summarizeChannel };
@@ -1,106 +1,79 @@
 // src/dbService.js
-import mongoose from 'mongoose';
+import { createStorage } from './storage/index.js';
+import { embedTexts } from './geminiService.js';
+import { cosineSimilarity, LOCAL_EMBEDDING_MODEL } from './embeddings.js';
+import { evaluateWindow, windowFilters, effectiveLimit, withQuotaDefaults } from './quotas.js';
 
 const MAX_RECENT_MESSAGES = 40;
 const MAX_CONTEXT_MESSAGES = 80;
 const MAX_CROSS_SERVER_MESSAGES = 10;
+const MAX_SEMANTIC_RESULTS = 20;
+// Older turns scored per lookup; vectors are compared in process, so keep this modest.
+const MAX_SEMANTIC_CANDIDATES = 500;
+// Share of MAX_RECENT_MESSAGES taken from the channel's shared flow; the rest is the user's own history.
+const HISTORY_CHANNEL_WEIGHT = Math.min(1, Math.max(0, parseFloat(process.env.HISTORY_CHANNEL_WEIGHT ?? '0.6')));
+// Messages from the parent channel that lead into a thread, shown before the thread's own.
+const MAX_THREAD_LEAD_MESSAGES = 10;
+const MAX_EDIT_HISTORY = 10;
+// A batch that fails to embed is retried after EMBEDDING_RETRY_MS, doubling each time; after
+// MAX_EMBEDDING_ATTEMPTS its messages are marked EMBEDDING_FAILED, which semantic search never matches.
+const MAX_EMBEDDING_ATTEMPTS = 5;
+const EMBEDDING_RETRY_MS = 60 * 1000;
+const EMBEDDING_FAILED = 'failed';
 
-const ConversationSchema = new mongoose.Schema({
-    messageId: { type: String, unique: true, sparse: true }, 
-    serverId: { type: String, required: true },
-    userId: { type: String, required: true },
-    content: { type: String, required: true },
-    role: { type: String, required: true, enum: ['user', 'model'] },
-    timestamp: { type: Date, default: Date.now },
-    fileParts: [{
-        mimeType: String,
-        fileUri: String
-    }]
-});
-
-ConversationSchema.index({ serverId: 1, userId: 1, timestamp: -1 });
-ConversationSchema.index({ userId: 1, timestamp: -1 });
-ConversationSchema.index({ content: 'text' });
-
-const Conversation = mongoose.model('Conversation', ConversationSchema);
-
-const BotStatusSchema = new mongoose.Schema({
-    serverId: { type: String, required: true, unique: true },
-    isActive: { type: Boolean, default: true }
-});
-const BotStatus = mongoose.model('BotStatus', BotStatusSchema);
-
-const IgnoredMessagesSchema = new mongoose.Schema({
-    serverId: { type: String, required: true, unique: true },
-    count: { type: Number, default: 0 }
-});
-const IgnoredMessages = mongoose.model('IgnoredMessages', IgnoredMessagesSchema);
-
-const ContinuousReplySchema = new mongoose.Schema({
-    userId: { type: String, required: true, unique: true },
-    isActive: { type: Boolean, default: false }
-});
-const ContinuousReply = mongoose.model('ContinuousReply', ContinuousReplySchema);
-
-const ImageUsageSchema = new mongoose.Schema({
-    userId: { type: String, required: true, unique: true },
-    count: { type: Number, default: 0 },
-    lastReset: { type: Date, default: Date.now }
-});
-const ImageUsage = mongoose.model('ImageUsage', ImageUsageSchema);
-
-// New schema for channel management
-const ChannelSettingsSchema = new mongoose.Schema({
-    serverId: { type: String, required: true, unique: true },
-    mode: { 
-        type: String, 
-        enum: ['all', 'allowed', 'disallowed'], 
-        default: 'all' 
-    },
-    channels: [{
-        id: { type: String, required: true },
-        name: { type: String, required: true }
-    }]
-});
-const ChannelSettings = mongoose.model('ChannelSettings', ChannelSettingsSchema);
+let storage = null;
+
+function isStorageReady() {
+    return Boolean(storage && storage.isReady());
+}
+
+// For readiness probes.
+function getStorageStatus() {
+    return { driver: storage ? storage.name : null, ready: isStorageReady() };
+}
+
+function db(name) {
+    return storage.collection(name);
+}
 
 async function connectDB() {
-    const mongoUri = process.env.MONGO_URI;
-    if (!mongoUri) {
-        console.error("MONGO_URI is not set. Database persistence will be disabled.");
-        return;
+    if (!process.env.MONGO_URI && !process.env.STORAGE_DRIVER) {
+        console.warn("MONGO_URI is not set. Falling back to embedded file storage.");
     }
     try {
-        await mongoose.connect(mongoUri, {
-            maxPoolSize: 10,
-            serverSelectionTimeoutMS: 5000,
-            socketTimeoutMS: 45000,
-        });
-        console.log('MongoDB connected successfully.');
-        
-        await Conversation.createIndexes();
-        console.log('Database indexes created/verified.');
+        storage = await createStorage();
     } catch (error) {
-        console.error('MongoDB connection error:', error);
+        console.error('Storage initialisation error:', error);
+    }
+}
+
+async function closeDB() {
+    if (storage && storage.close) {
+        await storage.close();
     }
 }
 
-async function saveMessage(serverId, userId, content, role, messageId = null, fileParts = []) {
-    if (!mongoose.connection.readyState) {
+async function saveMessage(serverId, userId, content, role, messageId = null, fileParts = [], { channelId = null, userName = null, replyTo = null, persona = null } = {}) {
+    if (!isStorageReady()) {
         console.warn('Database not connected. Message not saved.');
         return;
     }
+    if (await isPrivacyOptedOut(userId)) return;
     
     try {
-        const newMessage = new Conversation({
+        await db('conversations').insertOne({
             messageId,
             serverId,
+            channelId,
             userId,
+            userName,
             content,
             role,
+            replyTo,
+            persona,
+            timestamp: new Date(),
             fileParts
         });
-        await newMessage.save();
     } catch (error) {
         if (error.code === 11000) {
             console.warn(`[DB] Duplicate message ID ${messageId}, skipping save.`);
@@ -110,97 +83,222 @@ async function saveMessage(serverId, userId, content, role, messageId = null, fi
     }
 }
 
+// Edits keep the message's place in history; the replaced text goes to `edits`.
+// Returns the updated message, or null if it isn't stored or the text didn't change (Discord also
+// reports embeds loading as an edit).
 async function editMessage(messageId, newContent) {
-    if (!mongoose.connection.readyState) return;
+    if (!isStorageReady()) return null;
     try {
-        const result = await Conversation.updateOne(
-            { messageId: messageId }, 
-            { $set: { content: newContent, timestamp: new Date() } }
+        const existing = await db('conversations').findOne({ messageId: messageId });
+        if (!existing || existing.content === newContent) return null;
+        const editedAt = new Date();
+        return await db('conversations').findOneAndUpdate(
+            { messageId: messageId },
+            {
+                $set: { content: newContent, editedAt },
+                // Re-embedded with the next backfill batch.
+                $unset: { embedding: '', embeddingModel: '', embeddingAttempts: '', embeddingRetryAt: '' },
+                $push: { edits: { $each: [{ content: existing.content, editedAt }], $slice: -MAX_EDIT_HISTORY } }
+            }
         );
     } catch (error) {
         console.error('Error editing message in DB:', error);
+        return null;
+    }
+}
+
+async function getConversationMessage(messageId) {
+    if (!isStorageReady()) return null;
+    try {
+        return await db('conversations').findOne({ messageId: messageId });
+    } catch (error) {
+        console.error('Error finding stored message:', error);
+        return null;
     }
 }
 
-function extractKeywords(text) {
-    const stopWords = new Set([
-        'the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by',
-        'is', 'are', 'was', 'were', 'be', 'been', 'being', 'have', 'has', 'had', 'do', 'does', 'did',
-        'will', 'would', 'could', 'should', 'may', 'might', 'can', 'must', 'i', 'you', 'he', 'she',
-        'it', 'we', 'they', 'me', 'him', 'her', 'us', 'them', 'my', 'your', 'his', 'her', 'its',
-        'our', 'their', 'this', 'that', 'these', 'those', 'what', 'who', 'when', 'where', 'why', 'how',
-        'goku', 'hey', 'hi', 'hello', 'yeah', 'yes', 'no', 'ok', 'okay', 'thanks', 'thank'
-    ]);
-    return text
-        .toLowerCase()
-        .replace(/[^\w\s]/g, ' ')
-        .split(/\s+/)
-        .filter(word => word.length > 2 && !stopWords.has(word))
-        .slice(0, 8);
+// The stored bot reply to a user message, if any.
+async function getReplyTo(messageId) {
+    if (!isStorageReady()) return null;
+    try {
+        return await db('conversations').findOne({ replyTo: messageId, role: 'model' });
+    } catch (error) {
+        console.error('Error finding reply:', error);
+        return null;
+    }
 }
 
-async function getConversationHistory(serverId, userId, currentPrompt) {
-    if (!mongoose.connection.readyState) {
+// Vector for a message, tagged with the model that produced it so only comparable vectors are matched.
+async function embedContent(content, context) {
+    try {
+        const { model, vectors } = await embedTexts([content], context);
+        return { embedding: vectors[0], embeddingModel: model };
+    } catch (error) {
+        console.warn('[DB] Could not embed message:', error.message);
+        return {};
+    }
+}
+
+function minSimilarityFor(model) {
+    if (process.env.SEMANTIC_MIN_SIMILARITY) return parseFloat(process.env.SEMANTIC_MIN_SIMILARITY);
+    // Hashed local vectors score lower than real embeddings for the same paraphrase.
+    return model === LOCAL_EMBEDDING_MODEL ? 0.2 : 0.55;
+}
+
+// Nearest neighbours among the user's older turns in this server, oldest first.
+async function findSemanticallyRelated(serverId, userId, prompt, before, limit) {
+    const { embedding, embeddingModel } = await embedContent(prompt, { serverId, userId });
+    if (!embedding) return [];
+
+    const candidates = await db('conversations').find({
+        serverId: serverId,
+        userId: userId,
+        embeddingModel: embeddingModel,
+        timestamp: { $lt: before }
+    }, { sort: { timestamp: -1 }, limit: MAX_SEMANTIC_CANDIDATES });
+
+    const threshold = minSimilarityFor(embeddingModel);
+    return candidates
+        .map(msg => ({ msg, score: cosineSimilarity(embedding, msg.embedding) }))
+        .filter(entry => entry.score >= threshold)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(entry => entry.msg)
+        .sort(byTimestamp);
+}
+
+function byTimestamp(a, b) {
+    return new Date(a.timestamp) - new Date(b.timestamp);
+}
+
+function mergeUnique(...lists) {
+    const seen = new Set();
+    const merged = [];
+    for (const msg of lists.flat()) {
+        const key = String(msg._id);
+        if (seen.has(key)) continue;
+        seen.add(key);
+        merged.push(msg);
+    }
+    return merged;
+}
+
+// Stored user turns keep the speaker's name so shared channel history stays attributable.
+function toHistory(messages) {
+    const history = [];
+    for (const msg of messages) {
+        const role = msg.role === 'user' ? 'user' : 'model';
+        const text = role === 'user' && msg.userName ? `${msg.userName}: ${msg.content}` : msg.content;
+        const previous = history[history.length - 1];
+        // Several people may speak in a row; fold them into one turn so roles keep alternating.
+        if (previous && previous.role === role) {
+            previous.parts[0].text += `\n${text}`;
+        } else {
+            history.push({ role, parts: [{ text }] });
+        }
+    }
+    return history;
+}
+
+// A thread's own messages, led by the parent channel's messages from just before it started,
+// so a conversation that moved into a thread keeps its opening.
+async function getThreadMessages(serverId, threadId, parentChannelId, before = null) {
+    const threadMessages = await db('conversations').find({
+        serverId: serverId,
+        channelId: threadId,
+        ...(before ? { timestamp: { $lt: before } } : {})
+    }, { sort: { timestamp: -1 }, limit: MAX_RECENT_MESSAGES });
+
+    const leadLimit = Math.min(MAX_THREAD_LEAD_MESSAGES, MAX_RECENT_MESSAGES - threadMessages.length);
+    const startedAt = threadMessages.length > 0 ? threadMessages[threadMessages.length - 1].timestamp : (before || new Date());
+    const leadMessages = leadLimit > 0 ? await db('conversations').find({
+        serverId: serverId,
+        channelId: parentChannelId,
+        timestamp: { $lt: startedAt }
+    }, { sort: { timestamp: -1 }, limit: leadLimit }) : [];
+
+    return [...threadMessages, ...leadMessages].sort(byTimestamp);
+}
+
+// Pass `parentChannelId` when channelId is a thread or forum post: history then stays inside the
+// thread instead of pulling in the user's messages from elsewhere. `before` (a Date) rebuilds the
+// history as it stood at that moment, leaving out everything said since.
+async function getConversationHistory(serverId, userId, currentPrompt, channelId = null, { parentChannelId = null, before = null } = {}) {
+    if (!isStorageReady()) {
         console.warn('Database not connected. Returning empty history.');
         return [];
     }
 
     try {
-        let contextMessages = [];
-        const recentMessages = await Conversation.find({
-            serverId: serverId,
-            userId: userId
-        })
-        .sort({ timestamp: -1 })
-        .limit(MAX_RECENT_MESSAGES)
-        .lean();
-        contextMessages = recentMessages.reverse();
+        const inThread = Boolean(channelId && parentChannelId);
+        const cutoff = before ? { timestamp: { $lt: before } } : {};
+        let contextMessages;
+        if (inThread) {
+            contextMessages = await getThreadMessages(serverId, channelId, parentChannelId, before);
+        } else {
+            // Blend the channel's recent flow with this user's own history in the server.
+            const channelLimit = channelId ? Math.round(MAX_RECENT_MESSAGES * HISTORY_CHANNEL_WEIGHT) : 0;
+            const personalLimit = MAX_RECENT_MESSAGES - channelLimit;
+
+            const channelMessages = channelLimit > 0 ? await db('conversations').find({
+                serverId: serverId,
+                channelId: channelId,
+                ...cutoff
+            }, { sort: { timestamp: -1 }, limit: channelLimit }) : [];
+
+            const personalMessages = personalLimit > 0 ? await db('conversations').find({
+                serverId: serverId,
+                userId: userId,
+                ...cutoff
+            }, { sort: { timestamp: -1 }, limit: personalLimit }) : [];
+
+            contextMessages = mergeUnique(channelMessages, personalMessages).sort(byTimestamp);
+        }
         
-        if (contextMessages.length < MAX_CONTEXT_MESSAGES && currentPrompt && currentPrompt.length > 5) {
-            const keywords = extractKeywords(currentPrompt);
-            if (keywords.length > 0) {
-                try {
-                    const oldestRecentTime = contextMessages.length > 0 ?
-                        contextMessages[0].timestamp : new Date();
-                    
-                    const relevantOlderMessages = await Conversation.find({
-                        serverId: serverId,
-                        userId: userId,
-                        timestamp: { $lt: oldestRecentTime },
-                        $text: { $search: keywords.join(' ') }
-                    })
-                    .sort({ score: { $meta: 'textScore' }, timestamp: -1 })
-                    .limit(Math.min(20, MAX_CONTEXT_MESSAGES - contextMessages.length))
-                    .lean();
-                    
-                    if (relevantOlderMessages.length > 0) {
-                        contextMessages = [...relevantOlderMessages.reverse(), ...contextMessages];
-                    }
-                } catch (textSearchError) {
-                    console.warn('[DB] Text search index likely unavailable.');
-                }
+        if (!inThread && contextMessages.length < MAX_CONTEXT_MESSAGES && currentPrompt && currentPrompt.length > 5) {
+            const oldestRecentTime = contextMessages.length > 0 ?
+                contextMessages[0].timestamp : (before || new Date());
+            const relevantOlderMessages = await findSemanticallyRelated(
+                serverId, userId, currentPrompt, oldestRecentTime,
+                Math.min(MAX_SEMANTIC_RESULTS, MAX_CONTEXT_MESSAGES - contextMessages.length)
+            );
+            if (relevantOlderMessages.length > 0) {
+                contextMessages = [...relevantOlderMessages, ...contextMessages];
             }
         }
         
-        if (contextMessages.length < MAX_CONTEXT_MESSAGES - 5) {
-            const crossServerMessages = await Conversation.find({
+        if (!inThread && contextMessages.length < MAX_CONTEXT_MESSAGES - 5) {
+            const crossServerMessages = await db('conversations').find({
                 userId: userId,
-                serverId: { $ne: serverId }
-            })
-            .sort({ timestamp: -1 })
-            .limit(MAX_CROSS_SERVER_MESSAGES)
-            .lean();
+                serverId: { $ne: serverId },
+                ...cutoff
+            }, { sort: { timestamp: -1 }, limit: MAX_CROSS_SERVER_MESSAGES });
             if (crossServerMessages.length > 0) {
                 contextMessages = [...crossServerMessages.reverse(), ...contextMessages];
             }
         }
         
         contextMessages = contextMessages.slice(-MAX_CONTEXT_MESSAGES);
-        const history = contextMessages.map(msg => ({
-            role: msg.role === 'user' ? 'user' : 'model',
-            parts: [{ text: msg.content }]
+
+        // Long-term memory goes first so recent turns still read as the latest thing said.
+        const summaries = await db('summaries').find({
+            serverId: serverId,
+            $or: [
+                { scope: 'user', scopeId: userId },
+                ...(channelId ? [{ scope: 'channel', scopeId: channelId }] : []),
+                ...(inThread ? [{ scope: 'channel', scopeId: parentChannelId }] : [])
+            ]
+        });
+        const memoryNotes = summaries.map(summary => ({
+            role: 'user',
+            content: summary.scope === 'user'
+                ? `[Memory of earlier conversations with this person]\n${summary.summary}`
+                : summary.scopeId === parentChannelId
+                    ? `[Memory of earlier conversations in the channel this thread belongs to]\n${summary.summary}`
+                    : `[Memory of earlier conversations in this ${inThread ? 'thread' : 'channel'}]\n${summary.summary}`
         }));
-        return history;
+
+        return toHistory([...memoryNotes, ...contextMessages]);
         
     } catch (error) {
         console.error('Error retrieving conversation history:', error);
@@ -208,77 +306,167 @@ async function getConversationHistory(serverId, userId, currentPrompt) {
     }
 }
 
-async function setBotActiveStatus(serverId, isActive) {
-    if (!mongoose.connection.readyState) return;
+// Messages are saved without a vector and embedded here in batches, one embedding call per server
+// so the usage is charged to it. A server whose batch fails is backed off without holding up the
+// others. Returns how many messages were picked up.
+async function backfillEmbeddings(batchSize = 50) {
+    if (!isStorageReady()) return 0;
     try {
-        await BotStatus.findOneAndUpdate(
-            { serverId: serverId },
-            { isActive: isActive },
-            { upsert: true, new: true }
+        const now = new Date();
+        const pending = await db('conversations').find(
+            {
+                embeddingModel: { $exists: false },
+                $or: [{ embeddingRetryAt: { $exists: false } }, { embeddingRetryAt: { $lte: now } }]
+            },
+            { sort: { timestamp: -1 }, limit: batchSize }
         );
+        const byServer = new Map();
+        for (const msg of pending) {
+            if (!byServer.has(msg.serverId)) byServer.set(msg.serverId, []);
+            byServer.get(msg.serverId).push(msg);
+        }
+
+        for (const [serverId, messages] of byServer) {
+            let saved = 0;
+            try {
+                const userIds = new Set(messages.map(msg => msg.userId));
+                const { model, vectors } = await embedTexts(messages.map(msg => msg.content), {
+                    serverId, userId: userIds.size === 1 ? messages[0].userId : null,
+                });
+                for (let i = 0; i < messages.length; i++) {
+                    await db('conversations').findOneAndUpdate(
+                        { _id: messages[i]._id },
+                        { $set: { embedding: vectors[i], embeddingModel: model }, $unset: { embeddingAttempts: '', embeddingRetryAt: '' } }
+                    );
+                    saved++;
+                }
+            } catch (error) {
+                console.error(`Error embedding messages for server ${serverId}:`, error);
+                await postponeEmbedding(messages.slice(saved), now);
+            }
+        }
+        return pending.length;
     } catch (error) {
-        console.error('Error setting bot status:', error);
+        console.error('Error backfilling embeddings:', error);
+        return 0;
+    }
+}
+
+async function postponeEmbedding(messages, now) {
+    for (const msg of messages) {
+        const attempts = (msg.embeddingAttempts || 0) + 1;
+        const update = attempts >= MAX_EMBEDDING_ATTEMPTS
+            ? { $set: { embeddingModel: EMBEDDING_FAILED }, $unset: { embeddingAttempts: '', embeddingRetryAt: '' } }
+            : { $set: { embeddingAttempts: attempts, embeddingRetryAt: new Date(now.getTime() + EMBEDDING_RETRY_MS * 2 ** (attempts - 1)) } };
+        await db('conversations').findOneAndUpdate({ _id: msg._id }, update);
     }
 }
 
-async function getBotActiveStatus(serverId) {
-    if (!mongoose.connection.readyState) return true;
+function summaryScopeFilter(scope, serverId, scopeId) {
+    return scope === 'user'
+        ? { serverId: serverId, userId: scopeId }
+        : { serverId: serverId, channelId: scopeId };
+}
+
+async function getSummary(scope, serverId, scopeId) {
+    if (!isStorageReady()) return null;
     try {
-        const statusDoc = await BotStatus.findOne({ serverId: serverId });
-        const isActive = statusDoc ? statusDoc.isActive : true;
-        return isActive;
+        return await db('summaries').findOne({ scope: scope, serverId: serverId, scopeId: scopeId });
     } catch (error) {
-        console.error('Error getting bot status:', error);
-        return true;
+        console.error('Error getting summary:', error);
+        return null;
     }
 }
 
-async function incrementIgnoredCount(serverId) {
-    if (!mongoose.connection.readyState) return 0;
+async function saveSummary(scope, serverId, scopeId, summary, coveredUntil, messageCount) {
+    if (!isStorageReady()) return;
     try {
-        const result = await IgnoredMessages.findOneAndUpdate(
-            { serverId: serverId },
-            { $inc: { count: 1 } },
-            { upsert: true, new: true }
+        await db('summaries').findOneAndUpdate(
+            { scope: scope, serverId: serverId, scopeId: scopeId },
+            {
+                $set: { summary: summary, coveredUntil: coveredUntil, updatedAt: new Date() },
+                $inc: { messageCount: messageCount }
+            },
+            { upsert: true }
         );
-        return result.count;
     } catch (error) {
-        console.error('Error incrementing ignored count:', error);
-        return 0;
+        console.error('Error saving summary:', error);
     }
 }
 
-async function resetIgnoredCount(serverId) {
-    if (!mongoose.connection.readyState) return;
+// Messages that have scrolled out of the recent window and aren't in the summary yet.
+async function getMessagesForSummary(scope, serverId, scopeId, coveredUntil = null, limit = 100) {
+    if (!isStorageReady()) return [];
     try {
-        await IgnoredMessages.updateOne(
-            { serverId: serverId },
-            { $set: { count: 0 } },
-            { upsert: true }
-        );
+        const filter = summaryScopeFilter(scope, serverId, scopeId);
+        const recentWindow = await db('conversations').find(filter, {
+            sort: { timestamp: -1 },
+            limit: MAX_RECENT_MESSAGES
+        });
+        if (recentWindow.length < MAX_RECENT_MESSAGES) return [];
+
+        const cutoff = recentWindow[recentWindow.length - 1].timestamp;
+        return await db('conversations').find({
+            ...filter,
+            timestamp: coveredUntil ? { $lt: cutoff, $gt: coveredUntil } : { $lt: cutoff }
+        }, { sort: { timestamp: 1 }, limit: limit });
     } catch (error) {
-        console.error('Error resetting ignored count:', error);
+        console.error('Error getting messages for summary:', error);
+        return [];
     }
 }
 
-async function getIgnoredCount(serverId) {
-    if (!mongoose.connection.readyState) return 0;
+// Returns { doc } (doc is null for a guild without one), or null if storage couldn't be read.
+async function getGuildConfigDoc(serverId) {
+    if (!isStorageReady()) return null;
     try {
-        const doc = await IgnoredMessages.findOne({ serverId: serverId });
-        return doc ? doc.count : 0;
+        return { doc: await db('guildConfigs').findOne({ serverId: serverId }) };
     } catch (error) {
-        console.error('Error getting ignored count:', error);
-        return 0;
+        console.error('Error getting guild config:', error);
+        return null;
+    }
+}
+
+// `set` and `unset` are dot paths under `settings` ({ 'typing.minDelayMs': 1500 }); they must not overlap.
+async function saveGuildConfig(serverId, { version, set = {}, unset = [], updatedBy = null }) {
+    if (!isStorageReady()) return null;
+    const update = {
+        $set: {
+            version: version,
+            updatedAt: new Date(),
+            updatedBy: updatedBy,
+            ...Object.fromEntries(Object.entries(set).map(([path, value]) => [`settings.${path}`, value])),
+        },
+    };
+    if (unset.length > 0) update.$unset = Object.fromEntries(unset.map(path => [`settings.${path}`, '']));
+    try {
+        return await db('guildConfigs').findOneAndUpdate({ serverId: serverId }, update, { upsert: true });
+    } catch (error) {
+        console.error('Error saving guild config:', error);
+        return null;
+    }
+}
+
+// Per-guild settings stored before GuildConfig existed, read once to seed a guild's config.
+// Null if storage couldn't be read.
+async function getLegacyGuildSettings(serverId) {
+    if (!isStorageReady()) return null;
+    try {
+        const status = await db('botStatus').findOne({ serverId: serverId });
+        return { isActive: status?.isActive };
+    } catch (error) {
+        console.error('Error reading legacy guild settings:', error);
+        return null;
     }
 }
 
 async function setContinuousReplyStatus(userId, isActive) {
-    if (!mongoose.connection.readyState) return;
+    if (!isStorageReady()) return;
     try {
-        await ContinuousReply.findOneAndUpdate(
+        await db('continuousReply').findOneAndUpdate(
             { userId: userId },
             { isActive: isActive },
-            { upsert: true, new: true }
+            { upsert: true }
         );
     } catch (error) {
         console.error('Error setting continuous reply status:', error);
@@ -286,9 +474,9 @@ async function setContinuousReplyStatus(userId, isActive) {
 }
 
 async function getContinuousReplyStatus(userId) {
-    if (!mongoose.connection.readyState) return false;
+    if (!isStorageReady()) return false;
     try {
-        const statusDoc = await ContinuousReply.findOne({ userId: userId });
+        const statusDoc = await db('continuousReply').findOne({ userId: userId });
         return statusDoc ? statusDoc.isActive : false;
     } catch (error) {
         console.error('Error getting continuous reply status:', error);
@@ -296,51 +484,473 @@ async function getContinuousReplyStatus(userId) {
     }
 }
 
-async function checkAndIncrementImageUsage(userId) {
-    if (!mongoose.connection.readyState) {
+async function getContinuousReplyUsers() {
+    if (!isStorageReady()) return [];
+    try {
+        const docs = await db('continuousReply').find({ isActive: true });
+        return docs.map(doc => doc.userId);
+    } catch (error) {
+        console.error('Error listing continuous reply users:', error);
+        return [];
+    }
+}
+
+// Image quotas
+const POOL_USER_ID = '*';
+
+async function getQuotaSettings(serverId) {
+    if (!isStorageReady()) return withQuotaDefaults(null);
+    try {
+        return withQuotaDefaults(await db('imageQuotas').findOne({ serverId: serverId }));
+    } catch (error) {
+        console.error('Error getting quota settings:', error);
+        return withQuotaDefaults(null);
+    }
+}
+
+async function setQuotaSettings(serverId, changes) {
+    if (!isStorageReady()) return null;
+    try {
+        const doc = await db('imageQuotas').findOneAndUpdate(
+            { serverId: serverId },
+            { $set: { ...changes, updatedAt: new Date() } },
+            { upsert: true }
+        );
+        return withQuotaDefaults(doc);
+    } catch (error) {
+        console.error('Error saving quota settings:', error);
+        return null;
+    }
+}
+
+// A limit of UNLIMITED removes the role's cap entirely; null removes the override.
+async function setRoleQuota(serverId, roleId, limit) {
+    const settings = await getQuotaSettings(serverId);
+    const roleOverrides = settings.roleOverrides.filter(o => o.roleId !== roleId);
+    if (limit !== null) roleOverrides.push({ roleId, limit });
+    return setQuotaSettings(serverId, { roleOverrides });
+}
+
+async function resetImageUsage(serverId, userId = null) {
+    if (!isStorageReady()) return 0;
+    try {
+        const filter = userId ? { serverId: serverId, userId: userId } : { serverId: serverId };
+        return await db('imageUsage').deleteMany(filter);
+    } catch (error) {
+        console.error('Error resetting image usage:', error);
+        return 0;
+    }
+}
+
+function describeUsage(settings, usage, limit, now) {
+    const { isCurrent, resetsAt } = evaluateWindow(settings, usage, now);
+    const count = isCurrent ? usage.count : 0;
+    return { count, limit, remaining: Math.max(0, limit - count), resetsAt };
+}
+
+/**
+ * Current standing of a user against their own limit and, when enabled, the server pool.
+ * Limits may be Infinity for roles with an unlimited override.
+ */
+async function getImageUsage(serverId, userId, roleIds = []) {
+    const settings = await getQuotaSettings(serverId);
+    const limit = effectiveLimit(settings, roleIds);
+    const now = new Date();
+    if (!isStorageReady()) {
+        return { user: describeUsage(settings, null, limit, now), pool: null };
+    }
+    const usage = await db('imageUsage').findOne({ serverId: serverId, userId: userId });
+    const pool = settings.poolLimit > 0
+        ? describeUsage(settings, await db('imageUsage').findOne({ serverId: serverId, userId: POOL_USER_ID }), settings.poolLimit, now)
+        : null;
+    return { user: describeUsage(settings, usage, limit, now), pool };
+}
+
+// Counts one use if the counter is under `limit`, starting a new window when the old one has passed.
+// Each step is a single conditional update, so concurrent requests can't both take the last use.
+// Returns the updated counter, or null when the limit is reached.
+async function consumeUsage(settings, serverId, userId, limit, now, retry = true) {
+    if (limit < 1) return null;
+    const filter = { serverId: serverId, userId: userId };
+    const { current, stale } = windowFilters(settings, now);
+    const underLimit = Number.isFinite(limit) ? { count: { $lt: limit } } : {};
+    const counted = await db('imageUsage').findOneAndUpdate({ ...filter, lastReset: current, ...underLimit }, { $inc: { count: 1 } });
+    if (counted) return counted;
+    try {
+        return await db('imageUsage').findOneAndUpdate(
+            { ...filter, $or: [{ lastReset: stale }, { lastReset: { $exists: false } }] },
+            { $set: { count: 1, lastReset: now } },
+            { upsert: true }
+        );
+    } catch (error) {
+        // The counter exists and is in the current window: either full, or just created by a
+        // concurrent request, in which case it's worth one more try.
+        if (error.code !== 11000) throw error;
+        return retry ? consumeUsage(settings, serverId, userId, limit, now, false) : null;
+    }
+}
+
+/**
+ * Consumes one image use for the user if both their limit and the server pool allow it.
+ * `reason` tells which of the two refused the request.
+ */
+async function checkAndIncrementImageUsage(serverId, userId, roleIds = []) {
+    if (!isStorageReady()) {
         console.warn('Database not connected. Allowing image usage.');
-        return { allowed: true, count: 0 };
+        return { allowed: true, count: 0, limit: Infinity, remaining: Infinity, resetsAt: null };
     }
 
-    const resetInterval = 24 * 60 * 60 * 1000;
-    const maxUsage = 5;
     try {
-        const usage = await ImageUsage.findOne({ userId: userId });
+        const settings = await getQuotaSettings(serverId);
+        const limit = effectiveLimit(settings, roleIds);
         const now = new Date();
-
-        if (usage && (now - usage.lastReset) < resetInterval) {
-            if (usage.count >= maxUsage) {
-                return { allowed: false, count: usage.count };
-            }
-            
-            const updatedUsage = await ImageUsage.findOneAndUpdate(
-                { userId: userId },
-                { $inc: { count: 1 } },
-                { new: true }
-            );
-            return { allowed: true, count: updatedUsage.count };
-        } else {
-            const updatedUsage = await ImageUsage.findOneAndUpdate(
-                { userId: userId },
-                { $set: { count: 1, lastReset: now } },
-                { upsert: true, new: true }
-            );
-            return { allowed: true, count: updatedUsage.count };
+        const usage = await consumeUsage(settings, serverId, userId, limit, now);
+        if (!usage) {
+            const stored = await db('imageUsage').findOne({ serverId: serverId, userId: userId });
+            return { allowed: false, reason: 'user', ...describeUsage(settings, stored, limit, now) };
         }
+        if (settings.poolLimit > 0 && !(await consumeUsage(settings, serverId, POOL_USER_ID, settings.poolLimit, now))) {
+            // The pool ran dry after all; hand the user's use back.
+            await db('imageUsage').findOneAndUpdate({ serverId: serverId, userId: userId }, { $inc: { count: -1 } });
+            const pool = await db('imageUsage').findOne({ serverId: serverId, userId: POOL_USER_ID });
+            return { allowed: false, reason: 'pool', ...describeUsage(settings, pool, settings.poolLimit, now) };
+        }
+        return { allowed: true, ...describeUsage(settings, usage, limit, now) };
     } catch (error) {
         console.error('Error checking/incrementing image usage:', error);
-        return { allowed: true, count: 0 };
+        return { allowed: true, count: 0, limit: Infinity, remaining: Infinity, resetsAt: null };
+    }
+}
+
+// Usage ledger
+async function saveUsageEntry(entry) {
+    if (!isStorageReady()) return;
+    try {
+        await db('usageLedger').insertOne({ ...entry, timestamp: new Date() });
+    } catch (error) {
+        console.error('Error saving usage entry:', error);
+    }
+}
+
+// serverId null covers every server.
+async function getUsageEntries(serverId, since) {
+    if (!isStorageReady()) return [];
+    try {
+        const filter = { timestamp: { $gte: since } };
+        if (serverId) filter.serverId = serverId;
+        return await db('usageLedger').find(filter);
+    } catch (error) {
+        console.error('Error reading usage entries:', error);
+        return [];
+    }
+}
+
+async function getUsageBudget(serverId) {
+    if (!isStorageReady()) return null;
+    try {
+        return await db('usageBudgets').findOne({ serverId: serverId });
+    } catch (error) {
+        console.error('Error getting usage budget:', error);
+        return null;
+    }
+}
+
+async function setUsageBudget(serverId, changes) {
+    if (!isStorageReady()) return null;
+    try {
+        return await db('usageBudgets').findOneAndUpdate(
+            { serverId: serverId },
+            { $set: { ...changes, updatedAt: new Date() } },
+            { upsert: true }
+        );
+    } catch (error) {
+        console.error('Error saving usage budget:', error);
+        return null;
+    }
+}
+
+// Moderation
+async function getModerationSettings(serverId) {
+    if (!isStorageReady()) return null;
+    try {
+        return await db('moderationSettings').findOne({ serverId: serverId });
+    } catch (error) {
+        console.error('Error getting moderation settings:', error);
+        return null;
+    }
+}
+
+async function setModerationSettings(serverId, changes) {
+    if (!isStorageReady()) return null;
+    try {
+        return await db('moderationSettings').findOneAndUpdate(
+            { serverId: serverId },
+            { $set: { ...changes, updatedAt: new Date() } },
+            { upsert: true }
+        );
+    } catch (error) {
+        console.error('Error saving moderation settings:', error);
+        return null;
+    }
+}
+
+async function saveModerationEvent(event) {
+    if (!isStorageReady()) return;
+    try {
+        await db('moderationEvents').insertOne({ ...event, timestamp: new Date() });
+    } catch (error) {
+        console.error('Error saving moderation event:', error);
+    }
+}
+
+async function getModerationEvents(serverId, limit = 10) {
+    if (!isStorageReady()) return [];
+    try {
+        return await db('moderationEvents').find({ serverId: serverId }, { sort: { timestamp: -1 }, limit });
+    } catch (error) {
+        console.error('Error reading moderation events:', error);
+        return [];
+    }
+}
+
+// Image edit sessions
+async function createImageSession(serverId, userId, source) {
+    if (!isStorageReady()) return null;
+    try {
+        return await db('imageSessions').insertOne({ serverId, userId, versions: [source], createdAt: new Date() });
+    } catch (error) {
+        console.error('Error creating image session:', error);
+        return null;
+    }
+}
+
+async function getImageSession(sessionId) {
+    if (!isStorageReady()) return null;
+    try {
+        return await db('imageSessions').findOne({ _id: sessionId });
+    } catch (error) {
+        console.error('Error getting image session:', error);
+        return null;
+    }
+}
+
+// Appends a version and returns its index.
+async function addImageVersion(sessionId, version) {
+    if (!isStorageReady()) return null;
+    try {
+        const session = await db('imageSessions').findOneAndUpdate({ _id: sessionId }, { $push: { versions: version } });
+        return session ? session.versions.length - 1 : null;
+    } catch (error) {
+        console.error('Error adding image version:', error);
+        return null;
+    }
+}
+
+async function updateImageVersion(sessionId, index, changes) {
+    if (!isStorageReady()) return;
+    try {
+        const update = Object.fromEntries(Object.entries(changes).map(([key, value]) => [`versions.${index}.${key}`, value]));
+        await db('imageSessions').findOneAndUpdate({ _id: sessionId }, { $set: update });
+    } catch (error) {
+        console.error('Error updating image version:', error);
+    }
+}
+
+// Image gallery
+async function saveGeneratedImage(image) {
+    if (!isStorageReady()) return null;
+    try {
+        return await db('images').insertOne({ ...image, createdAt: new Date() });
+    } catch (error) {
+        console.error('Error saving generated image:', error);
+        return null;
+    }
+}
+
+async function getGeneratedImageByMessage(messageId) {
+    if (!isStorageReady()) return null;
+    try {
+        return await db('images').findOne({ messageId: messageId });
+    } catch (error) {
+        console.error('Error getting generated image:', error);
+        return null;
+    }
+}
+
+// Newest first; `filter` is e.g. { serverId } or { serverId, userId }.
+async function findGeneratedImages(filter, { page = 1, pageSize = 10 } = {}) {
+    if (!isStorageReady()) return { images: [], total: 0 };
+    try {
+        const images = await db('images').find(filter, { sort: { createdAt: -1 }, limit: page * pageSize });
+        return { images: images.slice((page - 1) * pageSize), total: await db('images').countDocuments(filter) };
+    } catch (error) {
+        console.error('Error finding generated images:', error);
+        return { images: [], total: 0 };
+    }
+}
+
+async function deleteGeneratedImageByMessage(messageId) {
+    if (!isStorageReady()) return;
+    try {
+        await db('images').deleteMany({ messageId: messageId });
+    } catch (error) {
+        console.error('Error deleting generated image:', error);
+    }
+}
+
+// Reply ratings. One per member per reply; rating again replaces the earlier one.
+async function rateReply({ serverId, channelId, messageId, userId, value }) {
+    if (!isStorageReady()) return;
+    try {
+        await db('ratings').findOneAndUpdate(
+            { messageId: messageId, userId: userId },
+            { $set: { serverId, channelId, value, ratedAt: new Date() } },
+            { upsert: true }
+        );
+    } catch (error) {
+        console.error('Error saving reply rating:', error);
+    }
+}
+
+// Only clears the rating if it is still `value`, so taking back 👍 after switching to 👎 keeps the 👎.
+async function removeReplyRating(messageId, userId, value) {
+    if (!isStorageReady()) return;
+    try {
+        await db('ratings').deleteMany({ messageId: messageId, userId: userId, value: value });
+    } catch (error) {
+        console.error('Error removing reply rating:', error);
+    }
+}
+
+async function clearReplyRatings(messageId) {
+    if (!isStorageReady()) return;
+    try {
+        await db('ratings').deleteMany({ messageId: messageId });
+    } catch (error) {
+        console.error('Error clearing reply ratings:', error);
+    }
+}
+
+/**
+ * Replies in a server with more 👎 than 👍 (counting ratings since `since`), worst first, each with
+ * the message it answered. Returns { replies, rated } where rated is how many replies got any
+ * rating, or null when storage is unavailable.
+ */
+async function getLowRatedReplies(serverId, { since = null, limit = 10 } = {}) {
+    if (!isStorageReady()) return null;
+    try {
+        const ratings = await db('ratings').find({
+            serverId: serverId,
+            ...(since ? { ratedAt: { $gte: since } } : {})
+        });
+        const tallies = new Map();
+        for (const rating of ratings) {
+            const tally = tallies.get(rating.messageId) || { up: 0, down: 0 };
+            if (rating.value > 0) tally.up++;
+            else tally.down++;
+            tallies.set(rating.messageId, tally);
+        }
+        const worst = [...tallies.entries()]
+            .filter(([, tally]) => tally.down > tally.up)
+            .sort(([, a], [, b]) => (b.down - b.up) - (a.down - a.up) || b.down - a.down)
+            .slice(0, limit);
+        if (worst.length === 0) return { replies: [], rated: tallies.size };
+
+        const stored = await db('conversations').find({ messageId: { $in: worst.map(([messageId]) => messageId) } });
+        const promptIds = stored.map(msg => msg.replyTo).filter(Boolean);
+        const prompts = promptIds.length > 0 ? await db('conversations').find({ messageId: { $in: promptIds } }) : [];
+        const byMessageId = new Map([...stored, ...prompts].map(msg => [msg.messageId, msg]));
+
+        const replies = worst
+            .filter(([messageId]) => byMessageId.has(messageId))
+            .map(([messageId, tally]) => {
+                const reply = byMessageId.get(messageId);
+                return {
+                    messageId,
+                    channelId: reply.channelId,
+                    persona: reply.persona || null,
+                    content: reply.content,
+                    prompt: byMessageId.get(reply.replyTo)?.content || null,
+                    timestamp: reply.timestamp,
+                    ...tally,
+                };
+            });
+        return { replies, rated: tallies.size };
+    } catch (error) {
+        console.error('Error building rating report:', error);
+        return null;
+    }
+}
+
+// Reminders and announcements
+async function createReminder(reminder) {
+    if (!isStorageReady()) return null;
+    try {
+        return await db('reminders').insertOne({ ...reminder, createdAt: new Date() });
+    } catch (error) {
+        console.error('Error creating reminder:', error);
+        return null;
+    }
+}
+
+// Pending reminders matching `filter` (e.g. { userId, kind }), soonest first.
+async function getReminders(filter) {
+    if (!isStorageReady()) return [];
+    try {
+        return await db('reminders').find(filter, { sort: { dueAt: 1 } });
+    } catch (error) {
+        console.error('Error getting reminders:', error);
+        return [];
+    }
+}
+
+async function countReminders(filter) {
+    if (!isStorageReady()) return 0;
+    try {
+        return await db('reminders').countDocuments(filter);
+    } catch (error) {
+        console.error('Error counting reminders:', error);
+        return 0;
+    }
+}
+
+async function getDueReminders(now, limit = 50) {
+    if (!isStorageReady()) return [];
+    try {
+        return await db('reminders').find({ dueAt: { $lte: now } }, { sort: { dueAt: 1 }, limit });
+    } catch (error) {
+        console.error('Error getting due reminders:', error);
+        return [];
+    }
+}
+
+async function rescheduleReminder(reminderId, dueAt) {
+    if (!isStorageReady()) return;
+    try {
+        await db('reminders').findOneAndUpdate({ _id: reminderId }, { $set: { dueAt } });
+    } catch (error) {
+        console.error('Error rescheduling reminder:', error);
+    }
+}
+
+async function deleteReminder(reminderId) {
+    if (!isStorageReady()) return false;
+    try {
+        return (await db('reminders').deleteMany({ _id: reminderId })) > 0;
+    } catch (error) {
+        console.error('Error deleting reminder:', error);
+        return false;
     }
 }
 
 // Channel management functions
 async function setAllowedChannels(serverId, mode, channels) {
-    if (!mongoose.connection.readyState) return;
+    if (!isStorageReady()) return;
     try {
-        await ChannelSettings.findOneAndUpdate(
+        await db('channelSettings').findOneAndUpdate(
             { serverId: serverId },
             { mode: mode, channels: channels },
-            { upsert: true, new: true }
+            { upsert: true }
         );
     } catch (error) {
         console.error('Error setting allowed channels:', error);
@@ -348,9 +958,9 @@ async function setAllowedChannels(serverId, mode, channels) {
 }
 
 async function getAllowedChannels(serverId) {
-    if (!mongoose.connection.readyState) return { mode: 'all', channels: [] };
+    if (!isStorageReady()) return { mode: 'all', channels: [] };
     try {
-        const settings = await ChannelSettings.findOne({ serverId: serverId });
+        const settings = await db('channelSettings').findOne({ serverId: serverId });
         return settings ? { mode: settings.mode, channels: settings.channels } : { mode: 'all', channels: [] };
     } catch (error) {
         console.error('Error getting allowed channels:', error);
@@ -358,18 +968,19 @@ async function getAllowedChannels(serverId) {
     }
 }
 
-async function isChannelAllowed(serverId, channelId) {
-    if (!mongoose.connection.readyState) return true; // Default to allowed if DB is down
+// Threads and forum posts follow their parent channel unless they are listed themselves.
+async function isChannelAllowed(serverId, channelId, parentChannelId = null) {
+    if (!isStorageReady()) return true; // Default to allowed if DB is down
     
     try {
-        const settings = await ChannelSettings.findOne({ serverId: serverId });
+        const settings = await db('channelSettings').findOne({ serverId: serverId });
         
         // If no settings, allow all channels
         if (!settings || settings.mode === 'all') {
             return true;
         }
         
-        const channelInList = settings.channels.some(ch => ch.id === channelId);
+        const channelInList = settings.channels.some(ch => ch.id === channelId || (parentChannelId && ch.id === parentChannelId));
         
         if (settings.mode === 'allowed') {
             // Only allow channels in the list
@@ -386,20 +997,293 @@ async function isChannelAllowed(serverId, channelId) {
     }
 }
 
+async function getGuildPersonaKey(serverId) {
+    if (!isStorageReady()) return null;
+    try {
+        const doc = await db('guildPersonas').findOne({ serverId: serverId });
+        return doc ? doc.personaKey : null;
+    } catch (error) {
+        console.error('Error getting guild persona:', error);
+        return null;
+    }
+}
+
+async function setGuildPersonaKey(serverId, personaKey) {
+    if (!isStorageReady()) return;
+    try {
+        await db('guildPersonas').findOneAndUpdate(
+            { serverId: serverId },
+            { personaKey: personaKey },
+            { upsert: true }
+        );
+    } catch (error) {
+        console.error('Error setting guild persona:', error);
+    }
+}
+
+async function saveCustomPersona(serverId, fields) {
+    if (!isStorageReady()) return null;
+    try {
+        return await db('personas').findOneAndUpdate(
+            { serverId: serverId, key: fields.key },
+            { ...fields, serverId: serverId },
+            { upsert: true }
+        );
+    } catch (error) {
+        console.error('Error saving custom persona:', error);
+        return null;
+    }
+}
+
+async function getCustomPersona(serverId, key) {
+    if (!isStorageReady()) return null;
+    try {
+        return await db('personas').findOne({ serverId: serverId, key: key });
+    } catch (error) {
+        console.error('Error getting custom persona:', error);
+        return null;
+    }
+}
+
+async function getCustomPersonas(serverId) {
+    if (!isStorageReady()) return [];
+    try {
+        return await db('personas').find({ serverId: serverId }, { sort: { key: 1 } });
+    } catch (error) {
+        console.error('Error listing custom personas:', error);
+        return [];
+    }
+}
+
+async function deleteCustomPersona(serverId, key) {
+    if (!isStorageReady()) return false;
+    try {
+        const deleted = await db('personas').deleteMany({ serverId: serverId, key: key });
+        return deleted > 0;
+    } catch (error) {
+        console.error('Error deleting custom persona:', error);
+        return false;
+    }
+}
+
+// Users who ran /privacy opt-out; cached because saveMessage checks it on every message.
+const privacyCache = new Map();
+
+async function isPrivacyOptedOut(userId) {
+    if (privacyCache.has(userId)) return privacyCache.get(userId);
+    if (!isStorageReady()) return false;
+    try {
+        const doc = await db('privacySettings').findOne({ userId: userId });
+        const optedOut = doc ? doc.optedOut : false;
+        privacyCache.set(userId, optedOut);
+        return optedOut;
+    } catch (error) {
+        console.error('Error getting privacy setting:', error);
+        return false;
+    }
+}
+
+async function setPrivacyOptOut(userId, optedOut) {
+    if (!isStorageReady()) return;
+    try {
+        await db('privacySettings').findOneAndUpdate(
+            { userId: userId },
+            { optedOut: optedOut, updatedAt: new Date() },
+            { upsert: true }
+        );
+        privacyCache.set(userId, optedOut);
+    } catch (error) {
+        console.error('Error setting privacy setting:', error);
+    }
+}
+
+function userDataFilter(userId, { serverId = null, from = null, to = null } = {}) {
+    const filter = { userId: userId };
+    if (serverId) filter.serverId = serverId;
+    if (from || to) {
+        filter.timestamp = {};
+        if (from) filter.timestamp.$gte = from;
+        if (to) filter.timestamp.$lte = to;
+    }
+    return filter;
+}
+
+// Stored turns of a server, newest first, for the admin API. Embeddings are left out.
+async function findConversations(serverId, { userId, channelId, before, limit = 50 } = {}) {
+    if (!isStorageReady()) return null;
+    try {
+        const filter = { serverId: serverId };
+        if (userId) filter.userId = userId;
+        if (channelId) filter.channelId = channelId;
+        if (before) filter.timestamp = { $lt: before };
+        const messages = await db('conversations').find(filter, { sort: { timestamp: -1 }, limit });
+        return messages.map(({ embedding, ...msg }) => msg);
+    } catch (error) {
+        console.error('Error finding conversations:', error);
+        return null;
+    }
+}
+
+async function deleteConversationMessage(messageId) {
+    return deleteConversationMessages([messageId]);
+}
+
+// Returns how many were deleted, or null when storage is unavailable.
+async function deleteConversationMessages(messageIds) {
+    if (!isStorageReady()) return null;
+    try {
+        await db('ratings').deleteMany({ messageId: { $in: messageIds } });
+        return await db('conversations').deleteMany({ messageId: { $in: messageIds } });
+    } catch (error) {
+        console.error('Error deleting conversation messages:', error);
+        return null;
+    }
+}
+
+// Everything stored about a user, for /export. Channel summaries are left out: they blend everyone's
+// messages, and /forget drops the ones that covered the user's.
+async function getUserData(userId) {
+    if (!isStorageReady()) return null;
+    try {
+        const conversations = await db('conversations').find({ userId: userId }, { sort: { timestamp: 1 } });
+        return {
+            userId: userId,
+            conversations: conversations.map(({ embedding, ...msg }) => msg),
+            summaries: await db('summaries').find({ scope: 'user', scopeId: userId }),
+            continuousReply: await db('continuousReply').findOne({ userId: userId }),
+            imageUsage: await db('imageUsage').find({ userId: userId }),
+            reminders: await db('reminders').find({ userId: userId, kind: 'reminder' }, { sort: { dueAt: 1 } }),
+            images: await db('images').find({ userId: userId }, { sort: { createdAt: 1 } }),
+            ratings: await db('ratings').find({ userId: userId }, { sort: { ratedAt: 1 } }),
+            privacy: await db('privacySettings').findOne({ userId: userId }),
+        };
+    } catch (error) {
+        console.error('Error collecting user data:', error);
+        return null;
+    }
+}
+
+// The oldest of the given messages in each channel, which is all a channel summary needs to be
+// checked against.
+function earliestPerChannel(messages) {
+    const channels = new Map();
+    for (const msg of messages) {
+        if (!msg.channelId) continue;
+        const key = `${msg.serverId}:${msg.channelId}`;
+        const seen = channels.get(key);
+        if (!seen || msg.timestamp < seen.earliest) {
+            channels.set(key, { serverId: msg.serverId, channelId: msg.channelId, earliest: msg.timestamp });
+        }
+    }
+    return [...channels.values()];
+}
+
+/**
+ * Deletes a user's stored turns, optionally limited to one server and/or a time range, along with
+ * the file references they carried. Per-user memory summaries for the affected servers go too,
+ * since they were built from those turns, as do channel summaries that covered any of them; the
+ * summarizer rebuilds those from the remaining messages once the channel is active again. Without any
+ * scope the user's settings are removed as well.
+ */
+async function deleteUserData(userId, scope = {}) {
+    if (!isStorageReady()) return null;
+    try {
+        const filter = userDataFilter(userId, scope);
+        const messages = await db('conversations').find(filter);
+        const fileUris = messages.flatMap(msg => (msg.fileParts || []).map(fp => fp.fileUri)).filter(Boolean);
+        const deletedMessages = await db('conversations').deleteMany(filter);
+        await db('ratings').deleteMany({ messageId: { $in: messages.map(msg => msg.messageId).filter(Boolean) } });
+
+        const serverIds = scope.serverId ? [scope.serverId] : [...new Set(messages.map(msg => msg.serverId))];
+        await db('summaries').deleteMany({ scope: 'user', scopeId: userId, serverId: { $in: serverIds } });
+        for (const { serverId, channelId, earliest } of earliestPerChannel(messages)) {
+            await db('summaries').deleteMany({ scope: 'channel', serverId: serverId, scopeId: channelId, coveredUntil: { $gte: earliest } });
+        }
+
+        if (!scope.serverId && !scope.from && !scope.to) {
+            await db('summaries').deleteMany({ scope: 'user', scopeId: userId });
+            await db('continuousReply').deleteMany({ userId: userId });
+            await db('imageUsage').deleteMany({ userId: userId });
+            await db('moderationEvents').deleteMany({ userId: userId });
+            await db('imageSessions').deleteMany({ userId: userId });
+            await db('reminders').deleteMany({ userId: userId, kind: 'reminder' });
+            await db('images').deleteMany({ userId: userId });
+            await db('ratings').deleteMany({ userId: userId });
+            // Ledger entries stay for server totals but no longer point at the user.
+            await db('usageLedger').updateMany({ userId: userId }, { $set: { userId: null } });
+        }
+        return { deletedMessages, fileUris };
+    } catch (error) {
+        console.error('Error deleting user data:', error);
+        return null;
+    }
+}
+
 export {
     connectDB,
+    closeDB,
+    getStorageStatus,
     saveMessage,
     editMessage,
+    getReplyTo,
+    getConversationMessage,
     getConversationHistory,
-    setBotActiveStatus,
-    getBotActiveStatus,
-    incrementIgnoredCount,
-    resetIgnoredCount,
-    getIgnoredCount,
+    backfillEmbeddings,
+    getSummary,
+    saveSummary,
+    getMessagesForSummary,
+    getGuildConfigDoc,
+    saveGuildConfig,
+    getLegacyGuildSettings,
     setContinuousReplyStatus,
     getContinuousReplyStatus,
+    getContinuousReplyUsers,
     checkAndIncrementImageUsage,
+    getImageUsage,
+    resetImageUsage,
+    getQuotaSettings,
+    setQuotaSettings,
+    setRoleQuota,
+    saveUsageEntry,
+    getUsageEntries,
+    getUsageBudget,
+    setUsageBudget,
+    getModerationSettings,
+    setModerationSettings,
+    saveModerationEvent,
+    getModerationEvents,
+    createImageSession,
+    getImageSession,
+    addImageVersion,
+    updateImageVersion,
+    saveGeneratedImage,
+    getGeneratedImageByMessage,
+    findGeneratedImages,
+    deleteGeneratedImageByMessage,
+    createReminder,
+    getReminders,
+    countReminders,
+    getDueReminders,
+    rescheduleReminder,
+    deleteReminder,
     setAllowedChannels,
     getAllowedChannels,
-    isChannelAllowed
+    isChannelAllowed,
+    isPrivacyOptedOut,
+    setPrivacyOptOut,
+    findConversations,
+    deleteConversationMessage,
+    deleteConversationMessages,
+    rateReply,
+    removeReplyRating,
+    clearReplyRatings,
+    getLowRatedReplies,
+    getUserData,
+    deleteUserData,
+    getGuildPersonaKey,
+    setGuildPersonaKey,
+    saveCustomPersona,
+    getCustomPersona,
+    getCustomPersonas,
+    deleteCustomPersona
 };
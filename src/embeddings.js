@@ -0,0 +1,60 @@
+// src/embeddings.js
+// Offline embedding and vector helpers used for semantic recall.
+import { createHash } from 'crypto';
+
+const LOCAL_DIMENSIONS = 256;
+const LOCAL_EMBEDDING_MODEL = `local-hash-${LOCAL_DIMENSIONS}`;
+
+function tokenize(text) {
+    return text
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+        .split(/\s+/)
+        .filter(word => word.length > 1);
+}
+
+function bucketOf(feature) {
+    const digest = createHash('md5').update(feature).digest();
+    return {
+        index: digest.readUInt32LE(0) % LOCAL_DIMENSIONS,
+        sign: digest[4] & 1 ? 1 : -1,
+    };
+}
+
+/**
+ * Feature-hashed bag of words plus character trigrams. Not as good as a real embedding model,
+ * but the trigrams let "training" match "trained" and it needs no network at all.
+ */
+function localEmbed(text) {
+    const vector = new Array(LOCAL_DIMENSIONS).fill(0);
+    for (const word of tokenize(text)) {
+        const { index, sign } = bucketOf(`w:${word}`);
+        vector[index] += sign * 2;
+        const padded = ` ${word} `;
+        for (let i = 0; i < padded.length - 2; i++) {
+            const trigram = bucketOf(`t:${padded.slice(i, i + 3)}`);
+            vector[trigram.index] += trigram.sign;
+        }
+    }
+    return normalize(vector);
+}
+
+function normalize(vector) {
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+    return norm === 0 ? vector : vector.map(v => v / norm);
+}
+
+function cosineSimilarity(a, b) {
+    if (!a || !b || a.length !== b.length) return 0;
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+export { LOCAL_EMBEDDING_MODEL, localEmbed, cosineSimilarity };
@@ -0,0 +1,78 @@
+// src/exportService.js
+// Turns the data dbService holds about a user into downloadable archives for /export.
+
+function formatDate(value) {
+    return value ? new Date(value).toISOString().replace('T', ' ').slice(0, 19) + ' UTC' : 'unknown';
+}
+
+function toMarkdown(data, userTag) {
+    const lines = [
+        `# Stored data for ${userTag}`,
+        '',
+        `Exported ${formatDate(new Date())}. User ID: ${data.userId}`,
+        '',
+        '## Settings',
+        '',
+        `- Continuous replies: ${data.continuousReply?.isActive ? 'on' : 'off'}`,
+        `- Storage opt-out: ${data.privacy?.optedOut ? 'yes' : 'no'}`,
+    ];
+    for (const usage of data.imageUsage) {
+        lines.push(`- Image uses in server ${usage.serverId}: ${usage.count} (window started ${formatDate(usage.lastReset)})`);
+    }
+    lines.push('');
+
+    if (data.images.length > 0) {
+        lines.push(`## Generated images (${data.images.length})`, '');
+        for (const image of data.images) {
+            lines.push(`- **${formatDate(image.createdAt)}** ${image.kind} in server ${image.serverId}: ${(image.prompt || '').replace(/\n/g, ' ')}`);
+        }
+        lines.push('');
+    }
+
+    if (data.reminders.length > 0) {
+        lines.push('## Pending reminders', '');
+        for (const reminder of data.reminders) {
+            lines.push(`- **${formatDate(reminder.dueAt)}** ${reminder.text.replace(/\n/g, ' ')}`);
+        }
+        lines.push('');
+    }
+
+    if (data.ratings.length > 0) {
+        lines.push(`## Reply ratings (${data.ratings.length})`, '');
+        for (const rating of data.ratings) {
+            lines.push(`- **${formatDate(rating.ratedAt)}** ${rating.value > 0 ? '👍' : '👎'} on bot message ${rating.messageId} in server ${rating.serverId}`);
+        }
+        lines.push('');
+    }
+
+    if (data.summaries.length > 0) {
+        lines.push('## Long-term memory notes', '');
+        for (const summary of data.summaries) {
+            lines.push(`### Server ${summary.serverId}`, '', summary.summary, '');
+        }
+    }
+
+    lines.push(`## Messages (${data.conversations.length})`, '');
+    let currentServer = null;
+    for (const msg of data.conversations) {
+        if (msg.serverId !== currentServer) {
+            if (currentServer !== null) lines.push('');
+            currentServer = msg.serverId;
+            lines.push(`### ${currentServer === 'DM' ? 'Direct messages' : `Server ${currentServer}`}`, '');
+        }
+        const speaker = msg.role === 'model' ? 'Bot' : (msg.userName || 'You');
+        const files = (msg.fileParts || []).length > 0 ? ` _(+${msg.fileParts.length} attachment(s))_` : '';
+        lines.push(`- **${formatDate(msg.timestamp)}** ${speaker}: ${msg.content.replace(/\n/g, ' ')}${files}`);
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+function buildUserArchive(data, userTag) {
+    return {
+        json: Buffer.from(JSON.stringify(data, null, 2)),
+        markdown: Buffer.from(toMarkdown(data, userTag)),
+    };
+}
+
+export { buildUserArchive };
@@ -0,0 +1,284 @@
+// src/guildConfig.js
+// Per-guild behaviour settings: one versioned GuildConfig document per server holding only the values
+// that differ from CONFIG_KEYS defaults. Read through getGuildConfig, which returns the full nested
+// config ({ typing: { minDelayMs, ... }, ... }) and caches it until the next change. Keys with
+// `channelOverrides` can also be set for a single channel; those overrides live under that name
+// ({ channelId: value }), e.g. `channelChattiness`.
+import { getGuildConfigDoc, saveGuildConfig, getLegacyGuildSettings } from './dbService.js';
+import { MIN_CHATTINESS, MAX_CHATTINESS, DEFAULT_CHATTINESS } from './replyScoring.js';
+import { LANGUAGES, DEFAULT_LANGUAGE, isSupportedLanguage } from './i18n.js';
+
+const GUILD_CONFIG_VERSION = 1;
+const MAX_MODEL_NAME_LENGTH = 100;
+
+// Chat model settings used when a guild hasn't changed them (the models.* keys).
+const DEFAULT_CHAT_TUNING = {
+    chat: 'auto',
+    temperature: 0.7,  // Slightly more creative while staying in character
+    maxOutputTokens: 600,
+    complexAfterTurns: 10,
+    complexPromptChars: 200,
+};
+
+// Descriptions are shown as-is by /config (and its autocomplete), so they stay English in every language.
+const CONFIG_KEYS = {
+    'active': { type: 'boolean', default: true, description: 'Whether the bot chats in this server (/start, /stop)' },
+    'language': { type: 'language', default: DEFAULT_LANGUAGE, description: `Language for chat and announcements: ${Object.keys(LANGUAGES).join(', ')} (/language)` },
+    'chat.chattiness': { type: 'integer', default: DEFAULT_CHATTINESS, min: MIN_CHATTINESS, max: MAX_CHATTINESS, channelOverrides: 'channelChattiness', description: 'How readily the bot joins in unprompted, from 0 (only when pinged) to 10 (always) (/chattiness)' },
+    'chat.modelDecisions': { type: 'boolean', default: true, description: 'Ask the model about borderline messages instead of deciding from the score alone' },
+    'chat.regenerateOnEdit': { type: 'boolean', default: false, description: 'Rewrite a reply when the message it answered is edited (/edits)' },
+    'threads.auto': { type: 'boolean', default: false, description: 'Move long one-on-one exchanges into a thread (/threads)' },
+    'threads.after': { type: 'integer', default: 4, min: 2, max: 20, description: 'Back-and-forth replies before a thread is started' },
+    'typing.minDelayMs': { type: 'integer', default: 2000, min: 0, max: 15000, description: 'Typing time before short replies, in milliseconds' },
+    'typing.maxDelayMs': { type: 'integer', default: 5000, min: 0, max: 30000, description: 'Longest typing time before a reply, in milliseconds' },
+    'typing.msPerChar': { type: 'number', default: 0.02, min: 0, max: 100, description: 'Extra typing time per character, in milliseconds' },
+    'typing.splitChance': { type: 'number', default: 0.01, min: 0, max: 1, description: 'Chance (0-1) of sending a long reply as several messages' },
+    'typing.splitMinLength': { type: 'integer', default: 300, min: 50, max: 2000, description: 'Shortest reply, in characters, that may be split' },
+    'models.chat': { type: 'model', default: DEFAULT_CHAT_TUNING.chat, description: "Chat model: 'auto', 'lite', 'standard' or a provider model name" },
+    'models.temperature': { type: 'number', default: DEFAULT_CHAT_TUNING.temperature, min: 0, max: 2, description: 'Sampling temperature for chat replies' },
+    'models.maxOutputTokens': { type: 'integer', default: DEFAULT_CHAT_TUNING.maxOutputTokens, min: 50, max: 4000, description: 'Longest chat reply, in tokens' },
+    'models.complexAfterTurns': { type: 'integer', default: DEFAULT_CHAT_TUNING.complexAfterTurns, min: 0, max: 80, description: "With 'auto', use the standard model once history is longer than this" },
+    'models.complexPromptChars': { type: 'integer', default: DEFAULT_CHAT_TUNING.complexPromptChars, min: 0, max: 4000, description: "With 'auto', use the standard model for messages longer than this" },
+};
+
+// Upgrades stored settings from the previous version; keyed by the version they produce. A migration
+// returns null if it couldn't run (storage unavailable), leaving the stored config untouched.
+// Version 1 brings in the on/off switch that used to live in botStatus.
+const MIGRATIONS = {
+    1: async (settings, serverId) => {
+        const legacy = await getLegacyGuildSettings(serverId);
+        if (!legacy) return null;
+        if (typeof legacy.isActive === 'boolean' && settings.active === undefined) settings.active = legacy.isActive;
+        return settings;
+    },
+};
+
+const configCache = new Map();
+
+function getPath(object, key) {
+    return key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), object);
+}
+
+function setPath(object, key, value) {
+    const parts = key.split('.');
+    const last = parts.pop();
+    const parent = parts.reduce((target, part) => (target[part] ??= {}), object);
+    parent[last] = value;
+}
+
+function flatten(settings) {
+    return Object.fromEntries(Object.keys(CONFIG_KEYS)
+        .map(key => [key, getPath(settings, key)])
+        .filter(([, value]) => value !== undefined && value !== null));
+}
+
+function withConfigDefaults(settings) {
+    const stored = flatten(settings);
+    const config = {};
+    for (const [key, definition] of Object.entries(CONFIG_KEYS)) {
+        setPath(config, key, key in stored && validateConfigValue(key, stored[key]) === null ? stored[key] : definition.default);
+    }
+    config.channelChattiness = Object.fromEntries(Object.entries(settings?.channelChattiness || {})
+        .filter(([, level]) => validateConfigValue('chat.chattiness', level) === null));
+    return config;
+}
+
+/**
+ * The full config for a guild, defaults filled in. DMs always get the defaults. While storage is
+ * unavailable guilds get the defaults too, but they aren't cached, so the stored config is picked
+ * up as soon as storage is back.
+ */
+async function getGuildConfig(serverId) {
+    if (!serverId || serverId === 'DM') return withConfigDefaults({});
+    if (!configCache.has(serverId)) {
+        const settings = await loadSettings(serverId);
+        if (!settings) return withConfigDefaults({});
+        configCache.set(serverId, withConfigDefaults(settings));
+    }
+    return configCache.get(serverId);
+}
+
+// The stored config, or null if it couldn't be read. Changes are only saved on top of a config that
+// was read (and migrated), since saving stamps the current version on the document.
+async function loadedGuildConfig(serverId) {
+    await getGuildConfig(serverId);
+    return configCache.get(serverId) || null;
+}
+
+// Stored settings brought up to GUILD_CONFIG_VERSION, saving the result when a migration ran.
+// Null if storage couldn't be read; nothing is migrated then.
+async function loadSettings(serverId) {
+    const read = await getGuildConfigDoc(serverId);
+    if (!read) return null;
+    const { doc } = read;
+    let settings = structuredClone(doc?.settings || {});
+    const version = doc?.version || 0;
+    if (version >= GUILD_CONFIG_VERSION) return settings;
+
+    for (let next = version + 1; next <= GUILD_CONFIG_VERSION; next++) {
+        if (!MIGRATIONS[next]) continue;
+        settings = await MIGRATIONS[next](settings, serverId);
+        if (!settings) return null;
+    }
+    const saved = await saveGuildConfig(serverId, { version: GUILD_CONFIG_VERSION, set: flatten(settings), updatedBy: doc?.updatedBy || null });
+    return saved ? settings : null;
+}
+
+/** Returns an error message for a value that doesn't fit the key, or null. */
+function validateConfigValue(key, value) {
+    const definition = CONFIG_KEYS[key];
+    if (!definition) return `${key} is not a config key`;
+    switch (definition.type) {
+        case 'boolean':
+            return typeof value === 'boolean' ? null : `${key} must be true or false`;
+        case 'integer':
+        case 'number': {
+            const isNumber = definition.type === 'integer' ? Number.isInteger(value) : Number.isFinite(value);
+            if (!isNumber || value < definition.min || value > definition.max) {
+                return `${key} must be ${definition.type === 'integer' ? 'an integer' : 'a number'} from ${definition.min} to ${definition.max}`;
+            }
+            return null;
+        }
+        case 'model':
+            return typeof value === 'string' && value.length <= MAX_MODEL_NAME_LENGTH && /^[\w.:/-]+$/.test(value)
+                ? null : `${key} must be 'auto', 'lite', 'standard' or a model name`;
+        case 'language':
+            return isSupportedLanguage(value) ? null : `${key} must be one of ${Object.keys(LANGUAGES).join(', ')}`;
+        default:
+            return null;
+    }
+}
+
+/** Parses text typed into /config set into the key's type. Returns { value } or { error }. */
+function parseConfigValue(key, raw) {
+    const definition = CONFIG_KEYS[key];
+    if (!definition) return { error: `${key} is not a config key` };
+    const text = String(raw).trim();
+    let value = text;
+    if (definition.type === 'boolean') {
+        const lower = text.toLowerCase();
+        if (['true', 'on', 'yes', '1'].includes(lower)) value = true;
+        else if (['false', 'off', 'no', '0'].includes(lower)) value = false;
+    } else if (definition.type === 'integer' || definition.type === 'number') {
+        value = text === '' ? NaN : Number(text);
+    } else if (definition.type === 'language') {
+        value = text.toLowerCase();
+    }
+    const error = validateConfigValue(key, value);
+    return error ? { error } : { value };
+}
+
+// Checks between keys, against the config as it would be after the change.
+function validateConfig(config) {
+    if (config.typing.minDelayMs > config.typing.maxDelayMs) return 'typing.minDelayMs must not be more than typing.maxDelayMs';
+    return null;
+}
+
+// Where a key's value is stored: the key itself, or its override for `channelId`.
+function storedPath(key, channelId) {
+    return channelId ? `${CONFIG_KEYS[key].channelOverrides}.${channelId}` : key;
+}
+
+// Error message for a key that can't be set on a single channel, or null.
+function checkChannelScope(keys, channelId) {
+    const guildOnly = channelId && keys.find(key => !CONFIG_KEYS[key].channelOverrides);
+    return guildOnly ? `${guildOnly} can only be set for the whole server` : null;
+}
+
+/**
+ * Applies { key: value } changes (values already typed), for the whole guild or, with `channelId`,
+ * as that channel's overrides. Returns { config } with the updated config (null if storage is
+ * unavailable), or { error } for invalid changes, which are not saved.
+ */
+async function setGuildConfig(serverId, changes, { userId = null, channelId = null } = {}) {
+    for (const [key, value] of Object.entries(changes)) {
+        const error = validateConfigValue(key, value);
+        if (error) return { error };
+    }
+    const scopeError = checkChannelScope(Object.keys(changes), channelId);
+    if (scopeError) return { error: scopeError };
+    const current = await loadedGuildConfig(serverId);
+    if (!current) return { config: null };
+    const set = Object.fromEntries(Object.entries(changes).map(([key, value]) => [storedPath(key, channelId), value]));
+    const next = structuredClone(current);
+    for (const [path, value] of Object.entries(set)) setPath(next, path, value);
+    const error = validateConfig(next);
+    if (error) return { error };
+
+    const saved = await saveGuildConfig(serverId, { version: GUILD_CONFIG_VERSION, set, updatedBy: userId });
+    configCache.delete(serverId);
+    return { config: saved ? await getGuildConfig(serverId) : null };
+}
+
+/**
+ * Puts the given keys (or every key) back to their defaults, or with `channelId` removes that
+ * channel's overrides so it follows the guild again. Returns the same shape as setGuildConfig.
+ */
+async function resetGuildConfig(serverId, keys = null, { userId = null, channelId = null } = {}) {
+    const resetKeys = keys || Object.keys(CONFIG_KEYS).filter(key => !channelId || CONFIG_KEYS[key].channelOverrides);
+    const unknown = resetKeys.find(key => !CONFIG_KEYS[key]);
+    if (unknown) return { error: `${unknown} is not a config key` };
+    const scopeError = checkChannelScope(resetKeys, channelId);
+    if (scopeError) return { error: scopeError };
+    const current = await loadedGuildConfig(serverId);
+    if (!current) return { config: null };
+    if (!channelId) {
+        const next = structuredClone(current);
+        for (const key of resetKeys) setPath(next, key, CONFIG_KEYS[key].default);
+        const error = validateConfig(next);
+        if (error) return { error };
+    }
+
+    // Resetting everything for the guild clears the channel overrides too.
+    const unset = channelId ? resetKeys.map(key => storedPath(key, channelId))
+        : keys ? resetKeys : [...resetKeys, 'channelChattiness'];
+    const saved = await saveGuildConfig(serverId, { version: GUILD_CONFIG_VERSION, unset, updatedBy: userId });
+    configCache.delete(serverId);
+    return { config: saved ? await getGuildConfig(serverId) : null };
+}
+
+/** The chattiness for a channel: its own override, then its parent's (for threads), then the guild's. */
+function channelChattiness(config, channelId, parentChannelId = null) {
+    return config.channelChattiness[channelId] ?? (parentChannelId && config.channelChattiness[parentChannelId]) ?? config.chat.chattiness;
+}
+
+/** Config keys matching what has been typed so far, for autocomplete. */
+function matchConfigKeys(query = '') {
+    const needle = query.trim().toLowerCase();
+    const keys = Object.keys(CONFIG_KEYS);
+    if (!needle) return keys;
+    const prefixed = keys.filter(key => key.toLowerCase().startsWith(needle));
+    const contained = keys.filter(key => !prefixed.includes(key) && key.toLowerCase().includes(needle));
+    return [...prefixed, ...contained];
+}
+
+/** `key = value` lines for the given keys, with a marker on values changed from the default. */
+function describeConfig(config, keys = Object.keys(CONFIG_KEYS)) {
+    return keys.map(key => {
+        const value = getPath(config, key);
+        const changed = value !== CONFIG_KEYS[key].default ? ' *' : '';
+        return `\`${key}\` = \`${value}\`${changed}`;
+    }).join('\n');
+}
+
+// One line per channel with its own chattiness, or an empty string when there are none.
+function describeChannelChattiness(config) {
+    return Object.entries(config.channelChattiness)
+        .map(([channelId, level]) => `<#${channelId}> chattiness = \`${level}\``)
+        .join('\n');
+}
+
+export {
+    GUILD_CONFIG_VERSION,
+    CONFIG_KEYS,
+    DEFAULT_CHAT_TUNING,
+    getGuildConfig,
+    setGuildConfig,
+    resetGuildConfig,
+    parseConfigValue,
+    validateConfigValue,
+    matchConfigKeys,
+    describeConfig,
+    describeChannelChattiness,
+    channelChattiness
+};
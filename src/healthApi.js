@@ -0,0 +1,60 @@
+// src/healthApi.js
+// Liveness, readiness and Prometheus endpoints for container platforms.
+import express from 'express';
+import { Status } from 'discord.js';
+import { getStorageStatus } from './dbService.js';
+import { gauge, renderMetrics, getModelErrorRate } from './metrics.js';
+
+// How long the gateway may stay down (including the initial login) before liveness fails and
+// the platform restarts us; discord.js reconnects by itself well within this.
+const DISCORD_DOWN_GRACE_MS = parseInt(process.env.DISCORD_DOWN_GRACE_MS || '300000', 10);
+
+function createHealthRouter({ client }) {
+    const router = express.Router();
+    let notReadySince = Date.now();
+
+    function discordState() {
+        const ready = client.ws.status === Status.Ready;
+        if (ready) notReadySince = null;
+        else if (notReadySince === null) notReadySince = Date.now();
+        return {
+            ready,
+            status: Status[client.ws.status] ?? String(client.ws.status),
+            pingMs: client.ws.ping,
+            downForMs: ready ? 0 : Date.now() - notReadySince,
+        };
+    }
+
+    gauge('goku_discord_ready', 'Whether the Discord gateway connection is ready (1) or not (0)',
+        () => [{ value: discordState().ready ? 1 : 0 }]);
+    gauge('goku_discord_ping_ms', 'Discord gateway heartbeat latency', () => [{ value: client.ws.ping }]);
+    gauge('goku_guilds', 'Guilds the bot is in', () => [{ value: client.guilds.cache.size }]);
+    gauge('goku_storage_ready', 'Whether the storage backend can serve reads and writes', () => [{ value: getStorageStatus().ready ? 1 : 0 }]);
+    gauge('goku_model_error_rate', 'Share of failed model calls in the recent window', () => [{ value: getModelErrorRate().rate }]);
+
+    // Liveness: only fails when restarting would plausibly help.
+    router.get('/healthz', (req, res) => {
+        const discord = discordState();
+        const ok = discord.ready || discord.downForMs < DISCORD_DOWN_GRACE_MS;
+        res.status(ok ? 200 : 503).json({ status: ok ? 'ok' : 'unhealthy', discord });
+    });
+
+    // Readiness: every dependency the bot needs to answer messages right now.
+    router.get('/readyz', (req, res) => {
+        const checks = {
+            discord: discordState(),
+            storage: getStorageStatus(),
+            model: getModelErrorRate(),
+        };
+        const ok = checks.discord.ready && checks.storage.ready && checks.model.healthy;
+        res.status(ok ? 200 : 503).json({ status: ok ? 'ready' : 'not ready', checks });
+    });
+
+    router.get('/metrics', (req, res) => {
+        res.type('text/plain; version=0.0.4').send(renderMetrics());
+    });
+
+    return router;
+}
+
+export { createHealthRouter };
@@ -0,0 +1,93 @@
+// src/i18n.js
+// Translations for the bot's own text. Each language in src/locales has plain `messages`, persona
+// `replies` keyed by built-in persona, and slash command `commands` localizations. Missing entries
+// fall back to English.
+import en from './locales/en.js';
+import es from './locales/es.js';
+import pt from './locales/pt.js';
+import hi from './locales/hi.js';
+
+const LANGUAGES = { en, es, pt, hi };
+const DEFAULT_LANGUAGE = isSupportedLanguage(process.env.DEFAULT_LANGUAGE) ? process.env.DEFAULT_LANGUAGE : 'en';
+
+// Discord locale ("es-ES", "pt-BR") to language code.
+const LOCALE_LANGUAGES = new Map(
+    Object.entries(LANGUAGES).flatMap(([code, language]) => language.discordLocales.map(locale => [locale, code]))
+);
+
+function isSupportedLanguage(code) {
+    return typeof code === 'string' && Object.hasOwn(LANGUAGES, code);
+}
+
+// The language for a Discord locale, or null if there's no translation for it.
+function languageFromLocale(locale) {
+    return (locale && LOCALE_LANGUAGES.get(locale)) || null;
+}
+
+// A slash command as members of `language` see it, e.g. "/personaje" for persona in Spanish.
+function commandName(language, name) {
+    return `/${LANGUAGES[language]?.commands?.[name]?.name || name}`;
+}
+
+// Fills {placeholders} from vars, and {/command} with the command's name in `language`.
+function fillPlaceholders(line, vars = {}, language = 'en') {
+    return line
+        .replace(/\{\/(\w+)\}/g, (match, name) => commandName(language, name))
+        .replace(/\{(\w+)\}/g, (match, name) => (vars[name] !== undefined ? String(vars[name]) : match));
+}
+
+/** A plain bot message in `language` (a code from LANGUAGES), with {placeholders} filled from vars. */
+function translate(language, id, vars = {}) {
+    const line = LANGUAGES[language]?.messages?.[id] ?? en.messages[id] ?? id;
+    return fillPlaceholders(line, vars, language);
+}
+
+// Translated lines for a built-in persona; empty for English or personas without translations.
+function localizedReplies(personaKey, language) {
+    return LANGUAGES[language]?.replies?.[personaKey] || {};
+}
+
+// Appended to a persona's system prompt so the model chats in the server's language.
+function languageInstruction(language) {
+    const name = LANGUAGES[language]?.promptName;
+    if (!name) return null;
+    return `**LANGUAGE:** The people here mostly speak ${name}. Chat in natural, casual ${name} by default and stay fully in character. If someone writes to you in another language, answer in theirs.`;
+}
+
+/**
+ * Adds name and description localizations to command JSON (as built by the discord.js builders)
+ * from each language's `commands` catalog, keyed by the command's English name. Only the top-level
+ * name and description are localized; subcommand, option and choice descriptions stay English.
+ */
+function localizeCommands(commands) {
+    return commands.map(command => {
+        const names = {};
+        const descriptions = {};
+        for (const language of Object.values(LANGUAGES)) {
+            const entry = language.commands?.[command.name];
+            if (!entry) continue;
+            for (const locale of language.discordLocales) {
+                if (entry.name) names[locale] = entry.name;
+                if (entry.description && command.description) descriptions[locale] = entry.description;
+            }
+        }
+        return {
+            ...command,
+            ...(Object.keys(names).length > 0 ? { name_localizations: names } : {}),
+            ...(Object.keys(descriptions).length > 0 ? { description_localizations: descriptions } : {}),
+        };
+    });
+}
+
+export {
+    LANGUAGES,
+    DEFAULT_LANGUAGE,
+    isSupportedLanguage,
+    languageFromLocale,
+    commandName,
+    fillPlaceholders,
+    translate,
+    localizedReplies,
+    languageInstruction,
+    localizeCommands
+};
@@ -0,0 +1,117 @@
+// src/locales/en.js
+// English is the source language: command builders in index.js and the persona lines in
+// personas.js are written in it, so this file only holds the plain (non-persona) bot messages.
+// Write command references as {/command} so each language shows its own command name.
+
+export default {
+    name: 'English',
+    promptName: 'English',
+    discordLocales: ['en-US', 'en-GB'],
+    messages: {
+        personaServerOnly: 'Characters can only be changed inside a server.',
+        personaList: 'Available characters:\n{list}',
+        personaUnknown: "There's no character called `{key}`. Check `{/persona} list`.",
+        personaBadKey: 'Keys must be 2-32 characters of lowercase letters, numbers and dashes.',
+        personaBuiltIn: "`{key}` is a built-in character and can't be overwritten.",
+        personaSaveFailed: "I couldn't save that character. Is the database connected?",
+        personaSaved: 'Saved **{name}** as `{key}`. Use `{/persona} set key:{key}` to switch to it.',
+        personaDeleted: 'Deleted `{key}`.',
+        personaDeletedActive: 'Deleted `{key}`. This server is back to the default character.',
+        personaNoCustom: "There's no custom character called `{key}`.",
+        quotaServerOnly: 'Image limits can only be configured inside a server.',
+        quotaUpdated: 'Image limits updated.\n{details}',
+        badTimezone: "`{timezone}` isn't a timezone I know. Use an IANA name like `America/New_York`.",
+        nothingToChange: 'Nothing to change. Pick at least one option.',
+        moderationServerOnly: 'Moderation can only be configured inside a server.',
+        moderationUpdated: 'Moderation updated.\n{details}',
+        statsServerOnly: 'Usage stats are only available inside a server.',
+        usageHeader: '**Usage since {since}**',
+        usagePool: ' The whole server has **{remaining}** of **{limit}** left.',
+        unlimited: 'unlimited',
+        resetTomorrow: 'tomorrow',
+        feedbackHeader: '**Low-rated replies since {since}** ({shown} of {rated} rated)',
+        languageServerOnly: 'The default language can only be set inside a server.',
+        languageSet: "Default language set to **{language}**. I'll chat in it here, and commands still answer in each member's own Discord language when I speak it.",
+        configServerOnly: 'Settings can only be configured inside a server.',
+        configHeader: '**Settings** (`*` = changed from the default)\n{details}',
+        configSet: 'Setting updated.\n{details}',
+        configReset: 'Setting back to the default.\n{details}',
+        configResetAll: 'All settings are back to their defaults.',
+        configUnknownKey: "`{key}` isn't a setting. Start typing to pick one from the list.",
+        configBadValue: "That didn't work: {reason}.",
+        chattinessSet: 'Chattiness in {channel} is now **{level}**/10.',
+        chattinessReset: '{channel} follows the server-wide chattiness again: **{level}**/10.',
+        chattinessCurrent: 'Chattiness in {channel} is **{level}**/10.',
+        channelSomeInvalid: "*Note: Some channel mentions weren't valid and were ignored.*",
+        channelActionAllow: 'allow',
+        channelActionBlock: 'block',
+        personaCustomTag: ' - custom',
+        on: 'on',
+        off: 'off',
+        none: 'none',
+        inChannel: 'in {channel}',
+        imageCount: '{count} images',
+        usageTotals: '{calls} calls{failures}, {inputTokens} in / {outputTokens} out tokens{images}, ~${cost}, {latency} ms avg',
+        usageFailures: ', {count} failed',
+        usageImages: ', {count} images',
+        budgetNone: '**Budget:** none',
+        budgetStatus: '**Budget this month:** {limits}{exceeded}\n**When exceeded:** {actions}',
+        budgetTokens: '{spent} / {limit} tokens',
+        budgetExceeded: ' — **exceeded**',
+        budgetLiteOnly: 'lite model only',
+        budgetImagesOff: 'images off',
+        budgetNoAction: 'nothing',
+        moderationAllAges: '**All-ages rules:** {value}',
+        moderationCheckMessages: '**Check messages:** {value}',
+        moderationCheckReplies: '**Check replies:** {value}',
+        moderationCheckImages: '**Check generated images:** {value} (image prompts are always checked)',
+        moderationRefuse: '**Refuse in character:** {refuse}, **log:** {log}',
+        moderationAlertChannel: '**Alert channel:** {channel}',
+        moderationBlockedTerms: '**Blocked terms:** {terms}',
+        moderationRecentFlags: '**Recent flags:**',
+        moderationFlag: '- {when} {stage} by {user}: {reason} ({category})',
+        moderationAlert: '**Moderation:** flagged {stage} from {user}{where} ({reason}: {category})\n>>> {excerpt}',
+        moderationAlertImage: '(image)',
+        quotaPerMember: '**Per member:** {limit} images',
+        quotaPool: '**Server pool:** {pool}',
+        quotaPoolShared: '{limit} images shared by everyone',
+        quotaRefills: '**Refills:** {reset}',
+        quotaResetDaily: 'daily at {hour}:00 {timezone}',
+        quotaResetRolling: "24 hours after a member's first image",
+        quotaRoleOverrides: '**Role overrides:**',
+        quotaRoleRemoved: 'Removed the override for {role}.',
+        quotaRoleSet: '{role} can now create {limit} images per window.',
+        quotaUsageReset: 'Reset image usage for {who} ({cleared}).',
+        quotaEveryone: 'everyone in this server',
+        quotaCounterCleared: '1 counter cleared',
+        quotaCountersCleared: '{count} counters cleared',
+        reminderDm: '(DM)',
+        announceThen: ' and then {repeat}',
+        repeatDaily: 'every day',
+        repeatWeekly: 'every week',
+        galleryScopeServer: 'this server',
+        galleryScopeYou: 'you',
+        galleryItem: '**{number}.** {when} {kind} by {user}: "{prompt}" [view]({link})',
+        remixRestyle: '{style} version',
+        remixSharper: 'sharper version',
+        remixReroll: 're-roll',
+        remixVariation: 'variation',
+        forgetFromServer: ' from this server',
+        forgetSince: ' since {date}',
+        forgetUntil: ' up to {date}',
+        privacyErased: ' I also erased the **{count}** messages I had saved.',
+        privacyStoring: '**do** store your messages',
+        privacyNotStoring: "**don't** store your messages",
+        drawPromptLabel: 'What should I change?',
+        drawModalTitle: 'Edit image with {name}',
+        drawAgainButton: 'Edit again',
+        drawRegenerateButton: 'Regenerate',
+        drawUndoButton: 'Undo',
+        variationButton: 'Variation',
+        rerollButton: 'Re-roll',
+        restyleButton: 'Upscale / restyle',
+        restyleModalTitle: 'Upscale or restyle',
+        restyleStyleLabel: 'New style (leave empty for a sharper copy)',
+        restyleStylePlaceholder: 'watercolor, pixel art, 90s anime...',
+    },
+};
@@ -0,0 +1,267 @@
+// src/locales/es.js
+// Spanish. Anything missing here falls back to English.
+
+export default {
+    name: 'Español',
+    promptName: 'Spanish',
+    discordLocales: ['es-ES', 'es-419'],
+    commands: {
+        start: { name: 'iniciar', description: '¡Listo para pelear! Activa a Goku para que charle con todos.' },
+        stop: { name: 'detener', description: 'Ya me cansé, me voy a dormir. Goku se queda callado e inactivo.' },
+        imagine: { name: 'imaginar', description: '¡Concentra tu energía y crea una imagen épica! (usos diarios limitados)' },
+        draw: { name: 'dibujar', description: '¿Quieres cambiar una imagen? ¡Dame una foto y dime qué hacer! (usos diarios limitados)' },
+        'Edit image with Goku': { name: 'Editar imagen con Goku' },
+        summarize: { name: 'resumir', description: 'Ponte al día con lo que te perdiste en este canal. Solo tú ves el resumen.' },
+        'Summarize from here': { name: 'Resumir desde aquí' },
+        remind: { name: 'recordar', description: 'Pídele a Goku que te recuerde algo más tarde.' },
+        announce: { name: 'anunciar', description: 'Programa anuncios para este servidor.' },
+        gallery: { name: 'galeria', description: 'Explora las imágenes hechas con /imagine y /draw.' },
+        usage: { name: 'uso', description: 'Mira cuántas creaciones de imágenes te quedan y cuándo se recargan.' },
+        quota: { name: 'cuota', description: 'Configura los límites de imágenes de este servidor.' },
+        stats: { name: 'estadisticas', description: 'Uso del modelo y presupuestos de este servidor.' },
+        moderation: { name: 'moderacion', description: 'Configura la moderación de contenido de este servidor.' },
+        reply: { name: 'responder', description: 'Dile a Goku que charle sin parar o que descanse de los mensajes sin mención.' },
+        channel: { name: 'canal', description: '¡Controla en qué canales puede charlar Goku!' },
+        threads: { name: 'hilos', description: 'Deja que Goku lleve las charlas largas uno a uno a su propio hilo.' },
+        chattiness: { name: 'conversacion', description: 'Ajusta con qué ganas Goku se une a las charlas de un canal sin que lo mencionen.' },
+        edits: { name: 'ediciones', description: 'Elige si Goku reescribe su respuesta cuando alguien edita el mensaje que respondió.' },
+        config: { name: 'ajustes', description: 'Consulta o cambia cómo se comporta el bot en este servidor.' },
+        persona: { name: 'personaje', description: 'Elige qué personaje interpreta el bot en este servidor.' },
+        language: { name: 'idioma', description: 'Elige el idioma predeterminado del bot en este servidor.' },
+        export: { name: 'exportar', description: 'Recibe por MD una copia de todo lo que Goku guarda sobre ti.' },
+        forget: { name: 'olvidar', description: 'Haz que Goku olvide tus mensajes guardados.' },
+        privacy: { name: 'privacidad', description: 'Elige si Goku guarda tus mensajes.' },
+    },
+    messages: {
+        personaServerOnly: 'Los personajes solo se pueden cambiar dentro de un servidor.',
+        personaList: 'Personajes disponibles:\n{list}',
+        personaUnknown: 'No hay ningún personaje llamado `{key}`. Revisa `{/persona} list`.',
+        personaBadKey: 'Las claves deben tener de 2 a 32 caracteres: letras minúsculas, números y guiones.',
+        personaBuiltIn: '`{key}` es un personaje integrado y no se puede sobrescribir.',
+        personaSaveFailed: 'No pude guardar ese personaje. ¿Está conectada la base de datos?',
+        personaSaved: 'Guardé a **{name}** como `{key}`. Usa `{/persona} set key:{key}` para cambiar a él.',
+        personaDeleted: 'Eliminé `{key}`.',
+        personaDeletedActive: 'Eliminé `{key}`. Este servidor vuelve a usar el personaje predeterminado.',
+        personaNoCustom: 'No hay ningún personaje personalizado llamado `{key}`.',
+        quotaServerOnly: 'Los límites de imágenes solo se pueden configurar dentro de un servidor.',
+        quotaUpdated: 'Límites de imágenes actualizados.\n{details}',
+        badTimezone: 'No conozco la zona horaria `{timezone}`. Usa un nombre IANA como `America/Mexico_City`.',
+        nothingToChange: 'No hay nada que cambiar. Elige al menos una opción.',
+        moderationServerOnly: 'La moderación solo se puede configurar dentro de un servidor.',
+        moderationUpdated: 'Moderación actualizada.\n{details}',
+        statsServerOnly: 'Las estadísticas de uso solo están disponibles dentro de un servidor.',
+        usageHeader: '**Uso desde {since}**',
+        usagePool: ' A todo el servidor le quedan **{remaining}** de **{limit}**.',
+        unlimited: 'ilimitadas',
+        resetTomorrow: 'mañana',
+        feedbackHeader: '**Respuestas mal valoradas desde {since}** ({shown} de {rated} valoradas)',
+        languageServerOnly: 'El idioma predeterminado solo se puede elegir dentro de un servidor.',
+        languageSet: 'Idioma predeterminado: **{language}**. Voy a charlar en él aquí, y los comandos siguen respondiendo en el idioma de Discord de cada miembro cuando lo hablo.',
+        configServerOnly: 'Los ajustes solo se pueden cambiar dentro de un servidor.',
+        configHeader: '**Ajustes** (`*` = distinto del predeterminado)\n{details}',
+        configSet: 'Ajuste actualizado.\n{details}',
+        configReset: 'Ajuste restablecido al valor predeterminado.\n{details}',
+        configResetAll: 'Todos los ajustes volvieron a sus valores predeterminados.',
+        configUnknownKey: '`{key}` no es un ajuste. Empieza a escribir para elegir uno de la lista.',
+        configBadValue: 'No se pudo cambiar: {reason}.',
+        chattinessSet: 'La conversación en {channel} ahora está en **{level}**/10.',
+        chattinessReset: '{channel} vuelve a usar el nivel de conversación del servidor: **{level}**/10.',
+        chattinessCurrent: 'El nivel de conversación en {channel} es **{level}**/10.',
+        channelSomeInvalid: '*Nota: algunas menciones de canal no eran válidas y se ignoraron.*',
+        channelActionAllow: 'permitir',
+        channelActionBlock: 'bloquear',
+        personaCustomTag: ' - personalizado',
+        on: 'activado',
+        off: 'desactivado',
+        none: 'ninguno',
+        inChannel: 'en {channel}',
+        imageCount: '{count} imágenes',
+        usageTotals: '{calls} llamadas{failures}, {inputTokens} tokens de entrada / {outputTokens} de salida{images}, ~${cost}, {latency} ms de media',
+        usageFailures: ', {count} fallidas',
+        usageImages: ', {count} imágenes',
+        budgetNone: '**Presupuesto:** ninguno',
+        budgetStatus: '**Presupuesto de este mes:** {limits}{exceeded}\n**Al superarlo:** {actions}',
+        budgetTokens: '{spent} / {limit} tokens',
+        budgetExceeded: ' — **superado**',
+        budgetLiteOnly: 'solo el modelo ligero',
+        budgetImagesOff: 'sin imágenes',
+        budgetNoAction: 'nada',
+        moderationAllAges: '**Reglas para todas las edades:** {value}',
+        moderationCheckMessages: '**Revisar mensajes:** {value}',
+        moderationCheckReplies: '**Revisar respuestas:** {value}',
+        moderationCheckImages: '**Revisar imágenes generadas:** {value} (las descripciones de imágenes siempre se revisan)',
+        moderationRefuse: '**Negarse sin salir del personaje:** {refuse}, **registro:** {log}',
+        moderationAlertChannel: '**Canal de alertas:** {channel}',
+        moderationBlockedTerms: '**Términos bloqueados:** {terms}',
+        moderationRecentFlags: '**Marcas recientes:**',
+        moderationFlag: '- {when} {stage} de {user}: {reason} ({category})',
+        moderationAlert: '**Moderación:** se marcó {stage} de {user}{where} ({reason}: {category})\n>>> {excerpt}',
+        moderationAlertImage: '(imagen)',
+        quotaPerMember: '**Por miembro:** {limit} imágenes',
+        quotaPool: '**Reserva del servidor:** {pool}',
+        quotaPoolShared: '{limit} imágenes compartidas entre todos',
+        quotaRefills: '**Se recarga:** {reset}',
+        quotaResetDaily: 'cada día a las {hour}:00 {timezone}',
+        quotaResetRolling: '24 horas después de la primera imagen de cada miembro',
+        quotaRoleOverrides: '**Límites por rol:**',
+        quotaRoleRemoved: 'Quité el límite especial de {role}.',
+        quotaRoleSet: '{role} ahora puede crear {limit} imágenes por periodo.',
+        quotaUsageReset: 'Reinicié el uso de imágenes de {who} ({cleared}).',
+        quotaEveryone: 'todo el servidor',
+        quotaCounterCleared: '1 contador borrado',
+        quotaCountersCleared: '{count} contadores borrados',
+        reminderDm: '(MD)',
+        announceThen: ' y luego {repeat}',
+        repeatDaily: 'cada día',
+        repeatWeekly: 'cada semana',
+        galleryScopeServer: 'de este servidor',
+        galleryScopeYou: 'tuyas',
+        galleryItem: '**{number}.** {when} {kind} de {user}: "{prompt}" [ver]({link})',
+        remixRestyle: 'versión {style}',
+        remixSharper: 'versión más nítida',
+        remixReroll: 'nueva tirada',
+        remixVariation: 'variación',
+        forgetFromServer: ' de este servidor',
+        forgetSince: ' desde el {date}',
+        forgetUntil: ' hasta el {date}',
+        privacyErased: ' También borré los **{count}** mensajes que tenía guardados.',
+        privacyStoring: '**sí** guardo tus mensajes',
+        privacyNotStoring: '**no** guardo tus mensajes',
+        drawPromptLabel: '¿Qué debo cambiar?',
+        drawModalTitle: 'Editar imagen con {name}',
+        drawAgainButton: 'Editar otra vez',
+        drawRegenerateButton: 'Regenerar',
+        drawUndoButton: 'Deshacer',
+        variationButton: 'Variación',
+        rerollButton: 'Otra tirada',
+        restyleButton: 'Mejorar / cambiar estilo',
+        restyleModalTitle: 'Mejorar o cambiar estilo',
+        restyleStyleLabel: 'Nuevo estilo (vacío = copia más nítida)',
+        restyleStylePlaceholder: 'acuarela, pixel art, anime de los 90...',
+    },
+    replies: {
+        goku: {
+            welcome: '¡Hola, amigos! Soy Son Goku y estoy listo para pasar el rato y charlar un poco. Puedo hablar, crear imágenes y siempre estoy atento a lo último. ¡Solo **@mencióname** para empezar una conversación! ¡A darle energía a este servidor!',
+            start: '¡Muy bien, ya estoy con toda la energía! ¡Vamos a charlar, amigo! ¿Cuál es el plan?',
+            stop: '¡Uf, qué buena ronda! Me voy a echar una siesta y no responderé hasta que un moderador me despierte. ¡Nos vemos!',
+            imageLimit: '¡Se me acabó la energía para dibujar! Solo puedo hacer {limit} imágenes al día, amigo, y ya hice **{count}**. ¡Vuelve {reset}!',
+            budgetImagesDisabled: '¡Uf, este servidor gastó toda su energía del mes, así que nada de dibujos por ahora! ¡Pero todavía puedo charlar!',
+            imagePoolLimit: '¡Vaya, todo el servidor usó las **{limit}** imágenes de hoy! Todos tienen que descansar. ¡Vuelvan {reset}!',
+            usageStatus: 'Usaste **{count}** de tus **{limit}** imágenes, ¡así que te quedan **{remaining}**!{pool} Tu energía se recarga {reset}.',
+            imagineStart: '¡Muy bien, atrás! Estoy reuniendo energía para crear una imagen increíble de **"{prompt}"**. ¡No parpadees!',
+            imagineDone: '¡Aquí está la imagen de **"{prompt}"**! ¡Quedó épica! ¿Verdad? Te quedan **{remaining}** usos hoy.',
+            imagineFailed: '¡Ups, ahora no pude crear esa imagen! Se me acabó la energía. ¡Prueba con algo más sencillo, amigo!',
+            drawWorking: 'Cargando energía... **¡Dibujando los cambios para ti!** ¡Aguanta!',
+            drawDone: '**¡TACHÁN!** Aquí está la imagen con tu pedido: **"{prompt}"**. ¿Me hice más fuerte? Te quedan **{remaining}** usos hoy.',
+            drawFailed: '¡Oh, no! No supe cómo dibujar ese cambio. Mi nivel de poder bajó. ¡Prueba con un cambio más sencillo, amigo!',
+            drawNotImage: '¡Eso no era una imagen! Inténtalo otra vez con un archivo de imagen de verdad.',
+            drawError: '¡Oh, no, algo salió mal! Intentémoslo de nuevo.',
+            replyOn: '¡SÍ! ¡Charla continua **ACTIVADA**! Ahora te hablaré mucho más, amigo. ¡Sigamos con la conversación!',
+            replyOff: 'Muy bien, charla continua **DESACTIVADA**. Ahora solo responderé cuando me **@menciones**. ¡Tengo que guardar energía para la comida!',
+            channelReset: '¡Listo! Reinicié la configuración de canales. ¡Ahora puedo charlar en **TODOS los canales** del servidor! ¡Vamos, amigo!',
+            channelMissing: '¡Oye, amigo! Tienes que decirme de qué canales se trata. Usa menciones de canal como #general #charla',
+            channelNoMentions: '¡Mmm, no veo ninguna mención de canal! Asegúrate de usar el formato #nombre-del-canal, amigo.',
+            channelNoneValid: '¡Ups! Ninguno de esos es un canal de texto, hilo o foro de este servidor, amigo.',
+            channelAllowed: '¡Entendido! **SOLO** charlaré en estos canales: {channels}. ¡No molestaré a nadie en otros canales a menos que me @mencionen!',
+            channelDisallowed: '¡Entendido! **EVITARÉ** charlar en estos canales: {channels}. ¡Pero puedo seguir charlando en todo el resto del servidor!',
+            threadStarted: '¡Esto se está poniendo bueno, {user}! Sigamos aquí para no llenar el canal.',
+            reminderSet: '¡Hecho! Te lo recordaré {when}: **{text}**. ¡No se me olvida, prometido!',
+            reminderDue: [
+                '¡Oye, {user}! Me pediste que te recordara: **{text}**. ¡Vamos!',
+                '¡{user}! ¡Llegó la hora! Querías acordarte de: **{text}**.',
+            ],
+            reminderLate: '¡Perdón por el retraso, {user}! Estaba entrenando y perdí la noción del tiempo. Querías que te recordara a las {when}: **{text}**.',
+            busy: '¡Espera un segundo, amigo! Estoy terminando una idea. ¡Ya voy contigo!',
+            moderationRefusal: '¡Oye, de eso no voy a hablar, amigo! ¿Qué tal si mejor hablamos de entrenar?',
+            moderationImageRefusal: '¡Lo siento, amigo, eso no lo puedo dibujar! Prueba con otra cosa, ¡como una batalla épica!',
+            rateLimited: '¡Tranquilo, amigo! Hasta yo necesito recuperar el aliento. ¡Dame {seconds} segundos!',
+            rateLimitedBusy: '¡Todos me hablan a la vez! Dame {seconds} segundos para ponerme al día, ¿sí?',
+            rateSuppressed: '¡Bueno, eso ya es demasiado! Me voy a entrenar {minutes} minutos. ¡Hablamos después!',
+            queueFull: '¡Vaya, todos hablan a la vez y no doy abasto! Inténtalo de nuevo en un rato, amigo.',
+            processingError: '¡Rayos! Algo salió mal mientras cargaba ese mensaje. ¡Intenta enviarlo de nuevo!',
+            modelError: [
+                '¡Vaya! Se me revolvió el cerebro un segundo. ¿Puedes repetirlo?',
+                '¡Oh, no! Algo falló en mi rastreador. ¡Envía ese mensaje otra vez, amigo!',
+                '¡Mis niveles de poder están raros! Dame un segundo y vuelve a intentarlo.',
+                '¡Me distraje pensando en comida! ¿Me lo dices otra vez?',
+            ],
+            emptyResponse: '¿Eh? ¡Qué raro! No entendí lo que dijiste. ¡Inténtalo otra vez, amigo!',
+            sourcesIntro: '*¡Encontré esta información genial!*',
+            storageUnavailable: 'Mi caja de recuerdos no funciona ahora mismo, así que no puedo hacer eso. ¡Inténtalo más tarde!',
+            summarizeHeader: '**Esto es lo que pasó desde {since}** ({count} mensajes):',
+            summarizeEmpty: '¡Vaya, aquí no hay nada que contarte!',
+            remixDone: '¡Aquí tienes una {what} de **"{prompt}"**! ¡Todavía más fuerte! ¿Verdad? Te quedan **{remaining}** usos hoy.',
+            galleryHeader: '**Imágenes {scope}** ({total} en total, página {page} de {pages}):',
+            announceSet: '¡Entendido! ¡Lo publicaré en {channel} {when}{repeat}!',
+            forgetDone: '¡Puf! Olvidé **{count}** mensajes{scope}. ¡Es como usar las Esferas del Dragón para borrarlos!',
+            forgetNothing: '¡Busqué por todas partes, pero no encontré mensajes que olvidar{scope}!',
+            privacyOptedOut: '¡Entendido! Desde ahora no guardaré nada de lo que me digas. Seguiré charlando, ¡solo que no lo recordaré después!{deleted}',
+            privacyStatus: 'Ahora mismo {status}. Tengo **{count}** de tus mensajes guardados. ¡Usa `{/export}` para verlos o `{/forget}` para borrarlos!',
+            drawImageMissing: '¿Eh? ¡Ya no encuentro esa imagen! Puede que la hayan borrado. ¡Inténtalo con una nueva, amigo!',
+            drawNotYours: '¡Oye, esa imagen es de otra persona! Empieza la tuya con `{/draw}` o haz clic derecho en una imagen y elige **Editar imagen con Goku**.',
+            drawUndone: '¡Puf! Ese cambio desapareció. ¡De vuelta a la versión anterior! {link}',
+            remixWorking: '¡Espera, estoy cargando energía para otra ronda!',
+            galleryImageMissing: '¿Eh? ¡Ya no encuentro esa imagen! ¿La habrán borrado?',
+            galleryEmpty: '¡Aquí todavía no hay imágenes! Prueba `{/imagine}` y ¡hagamos algunas!',
+            galleryPageEmpty: '¡No hay nada en esa página, amigo! Prueba con un número de página más pequeño.',
+            threadsOn: '¡Entendido! Cuando le haya respondido **{after}** veces seguidas a la misma persona, llevaré la charla a su propio hilo para que el canal quede limpio.',
+            threadsOff: '¡Muy bien! Mantendré todas mis charlas justo donde empiezan.',
+            editsOn: '¡Entendido! Si alguien edita un mensaje que respondí en menos de {minutes} minutos, ¡yo también repensaré mi respuesta!',
+            editsOff: '¡Muy bien! Una vez que respondo, mi respuesta se queda como está, aunque el mensaje cambie.',
+            reminderBadTime: '¿Eh? ¡No sé cuándo es eso! Prueba `30m`, `2h`, `1d12h` o `2024-05-31 18:00` (UTC), dentro del próximo año.',
+            reminderTooMany: '¡Vaya, ya estoy pendiente de **{max}** de esos! Cancela uno primero, amigo.',
+            reminderNone: '¡Ahora mismo no tienes ningún recordatorio conmigo!',
+            reminderCancelled: '¡Muy bien, ya no te recordaré **{text}**!',
+            reminderNotFound: 'Mmm, no hay nada con ese número. ¡Revisa la lista otra vez!',
+            announceNone: '¡No hay anuncios programados en este servidor!',
+            announceCancelled: '¡Listo! Ese anuncio ya no está en la agenda.',
+            queueStale: '¡Uy, perdón! Pasaban tantas cosas que perdí tu mensaje. ¿Me lo preguntas otra vez?',
+            exportSent: '¡Listo! Te mandé por MD todo lo que recuerdo de ti, amigo. Hay un archivo JSON y otro en Markdown fácil de leer.',
+            exportDmFailed: 'No pude mandarte un MD (¿los tienes cerrados?), así que aquí tienes tu archivo. ¡Solo tú puedes verlo!',
+            exportEmpty: '¡Vaya, ahora mismo no tengo nada guardado sobre ti!',
+            badDate: 'Mmm, no pude leer esa fecha. Usa el formato AAAA-MM-DD, como 2024-05-31.',
+            privacyOptedIn: '¡Muy bien! Volveré a recordar nuestras charlas para no perderme nada de nuestras aventuras juntos.',
+            summarizeFailed: '¡Uf, eso era demasiado para asimilarlo de golpe! No pude resumirlo. ¡Prueba con un trozo más pequeño, amigo!',
+            summarizeNoAccess: 'No puedo leer el historial de aquí, así que no puedo ponerte al día.',
+            badSince: 'Mmm, no pude leer ese momento. Prueba algo como `30m`, `2h`, `1d` o `2024-05-31 18:00` (UTC).',
+        },
+        vegeta: {
+            welcome: 'Hmph. Soy Vegeta, el Príncipe de todos los Saiyajin. Este servidor ahora está bajo mi vigilancia. **@mencióname** si tienes algo que valga mi tiempo.',
+            start: 'Hmph. El Príncipe ha vuelto. No me hagas perder el tiempo.',
+            stop: 'Terminé aquí. No me molesten hasta que un moderador tenga algo que valga la pena.',
+            imageLimit: '¡Basta! Ya hice **{count}** imágenes hoy y el límite es {limit}. Vuelve {reset}, terrícola.',
+            imagePoolLimit: 'Este servidor entero desperdició las **{limit}** imágenes. Vuelvan {reset}.',
+            imagineStart: 'Tch. Está bien. Contempla el poder del Príncipe mientras creo **"{prompt}"**.',
+            imagineDone: 'Ahí está. **"{prompt}"**. Inclínate ante ella. Te quedan **{remaining}** usos hoy.',
+            imagineFailed: 'Tch. Algo interfirió. Dame algo que valga el esfuerzo.',
+            replyOn: 'Está bien. Seguiré hablando contigo. No hagas que me arrepienta.',
+            replyOff: 'Bien. Solo responderé cuando me **@menciones**. Por fin algo de paz.',
+            busy: '¡Espera tu turno, insensato! No he terminado.',
+            rateLimited: '¡Basta! ¿Crees que el Príncipe no tiene nada mejor que hacer? Espera {seconds} segundos.',
+            rateSuppressed: 'Ya me hartaste. No me molestes durante {minutes} minutos.',
+            processingError: '¡Tch! Algo salió mal. Repítelo, y esta vez que valga la pena.',
+            modelError: [
+                'Tch. Mi rastreador debe estar roto. Repite eso.',
+                'Hmph. Algo interfirió. Dilo otra vez.',
+                '¡No murmures! Repítelo, terrícola.',
+            ],
+            emptyResponse: 'Hmph. No entendí eso. Habla claro.',
+            sourcesIntro: '*Hmph. Esto es lo que encontré.*',
+        },
+        piccolo: {
+            welcome: 'Soy Piccolo. Vigilaré este servidor. **@mencióname** si necesitas algo, y que sea rápido.',
+            start: 'Hmph. He vuelto. Mantente concentrado.',
+            stop: 'Voy a meditar. No me molesten a menos que un moderador me llame.',
+            replyOn: 'Está bien. Estaré atento a lo que digas.',
+            replyOff: 'Entendido. Solo responderé cuando me **@menciones**.',
+            busy: 'Paciencia. Todavía no termino.',
+            processingError: 'Algo interrumpió mi concentración. Inténtalo otra vez.',
+            modelError: [
+                'Perdí la concentración. Repítelo.',
+                'Hmph. Algo interfirió. Repite eso.',
+            ],
+            emptyResponse: 'Habla claro. No entendí eso.',
+            sourcesIntro: '*Esto es lo que encontré.*',
+        },
+    },
+};
@@ -0,0 +1,267 @@
+// src/locales/hi.js
+// Hindi. Command names stay in English so they're easy to type; anything missing falls back to English.
+
+export default {
+    name: 'हिन्दी',
+    promptName: 'Hindi',
+    discordLocales: ['hi'],
+    commands: {
+        start: { description: 'लड़ने को तैयार! Goku को सबसे बात करने के लिए चालू करता है।' },
+        stop: { description: 'मैं थक गया, अब सोने जा रहा हूँ। Goku को चुप और बंद कर देता है।' },
+        imagine: { description: 'ताकत लगाओ और एक ज़बरदस्त तस्वीर बनाओ! (रोज़ सीमित बार)' },
+        draw: { description: 'किसी तस्वीर में बदलाव चाहिए? मुझे तस्वीर दो और बताओ क्या करना है! (रोज़ सीमित बार)' },
+        'Edit image with Goku': { name: 'Goku से तस्वीर बदलें' },
+        summarize: { description: 'इस चैनल में जो छूट गया, उसका सार पाओ। सार सिर्फ़ तुम्हें दिखेगा।' },
+        'Summarize from here': { name: 'यहाँ से सार बनाएँ' },
+        remind: { description: 'Goku से कहो कि तुम्हें बाद में कुछ याद दिलाए।' },
+        announce: { description: 'इस सर्वर के लिए घोषणाएँ तय करें।' },
+        gallery: { description: '/imagine और /draw से बनी तस्वीरें देखें।' },
+        usage: { description: 'देखो कितनी तस्वीरें बाकी हैं और वे कब दोबारा भरेंगी।' },
+        quota: { description: 'इस सर्वर की तस्वीर सीमाएँ सेट करें।' },
+        stats: { description: 'इस सर्वर का मॉडल उपयोग और बजट।' },
+        moderation: { description: 'इस सर्वर की कंटेंट मॉडरेशन सेट करें।' },
+        reply: { description: 'Goku से कहो कि लगातार बात करे या बिना मेंशन वाले मैसेज से आराम ले।' },
+        channel: { description: 'तय करो कि Goku किन चैनलों में बात कर सकता है!' },
+        threads: { description: 'Goku को लंबी आमने-सामने की बातचीत अलग थ्रेड में ले जाने दें।' },
+        chattiness: { description: 'तय करें कि बिना मेंशन के Goku किसी चैनल की बातचीत में कितनी आसानी से शामिल हो।' },
+        edits: { description: 'चुनें कि जवाब दिए गए मैसेज के बदलने पर Goku अपना जवाब दोबारा लिखे या नहीं।' },
+        config: { description: 'देखें या बदलें कि इस सर्वर में बॉट कैसा व्यवहार करे।' },
+        persona: { description: 'चुनें कि इस सर्वर में बॉट कौन-सा किरदार निभाए।' },
+        language: { description: 'इस सर्वर में बॉट की डिफ़ॉल्ट भाषा चुनें।' },
+        export: { description: 'Goku ने तुम्हारे बारे में जो कुछ रखा है, उसकी कॉपी DM में पाओ।' },
+        forget: { description: 'Goku से अपने सहेजे गए मैसेज भुलवाओ।' },
+        privacy: { description: 'चुनो कि Goku तुम्हारे मैसेज सहेजे या नहीं।' },
+    },
+    messages: {
+        personaServerOnly: 'किरदार सिर्फ़ सर्वर के अंदर बदले जा सकते हैं।',
+        personaList: 'उपलब्ध किरदार:\n{list}',
+        personaUnknown: '`{key}` नाम का कोई किरदार नहीं है। `{/persona} list` देखें।',
+        personaBadKey: 'की 2-32 अक्षरों की होनी चाहिए: छोटे अंग्रेज़ी अक्षर, अंक और डैश।',
+        personaBuiltIn: '`{key}` एक बिल्ट-इन किरदार है और उसे बदला नहीं जा सकता।',
+        personaSaveFailed: 'मैं वह किरदार सेव नहीं कर पाया। क्या डेटाबेस जुड़ा है?',
+        personaSaved: '**{name}** को `{key}` के रूप में सेव किया। बदलने के लिए `{/persona} set key:{key}` इस्तेमाल करें।',
+        personaDeleted: '`{key}` हटा दिया।',
+        personaDeletedActive: '`{key}` हटा दिया। यह सर्वर अब डिफ़ॉल्ट किरदार पर वापस है।',
+        personaNoCustom: '`{key}` नाम का कोई कस्टम किरदार नहीं है।',
+        quotaServerOnly: 'तस्वीर सीमाएँ सिर्फ़ सर्वर के अंदर सेट की जा सकती हैं।',
+        quotaUpdated: 'तस्वीर सीमाएँ अपडेट हो गईं।\n{details}',
+        badTimezone: '`{timezone}` कोई जाना-पहचाना टाइमज़ोन नहीं है। `Asia/Kolkata` जैसा IANA नाम इस्तेमाल करें।',
+        nothingToChange: 'बदलने को कुछ नहीं है। कम से कम एक विकल्प चुनें।',
+        moderationServerOnly: 'मॉडरेशन सिर्फ़ सर्वर के अंदर सेट किया जा सकता है।',
+        moderationUpdated: 'मॉडरेशन अपडेट हो गया।\n{details}',
+        statsServerOnly: 'उपयोग के आँकड़े सिर्फ़ सर्वर के अंदर उपलब्ध हैं।',
+        usageHeader: '**{since} से उपयोग**',
+        usagePool: ' पूरे सर्वर के पास **{limit}** में से **{remaining}** बाकी हैं।',
+        unlimited: 'असीमित',
+        resetTomorrow: 'कल',
+        feedbackHeader: '**{since} से कम रेटिंग वाले जवाब** ({rated} में से {shown})',
+        languageServerOnly: 'डिफ़ॉल्ट भाषा सिर्फ़ सर्वर के अंदर चुनी जा सकती है।',
+        languageSet: 'डिफ़ॉल्ट भाषा अब **{language}** है। मैं यहाँ इसी में बात करूँगा, और कमांड हर सदस्य की अपनी Discord भाषा में जवाब देंगे, अगर मैं वह भाषा बोलता हूँ।',
+        configServerOnly: 'सेटिंग्स सिर्फ़ किसी सर्वर के अंदर बदली जा सकती हैं।',
+        configHeader: '**सेटिंग्स** (`*` = डिफ़ॉल्ट से बदली गई)\n{details}',
+        configSet: 'सेटिंग अपडेट हो गई।\n{details}',
+        configReset: 'सेटिंग डिफ़ॉल्ट पर वापस आ गई।\n{details}',
+        configResetAll: 'सभी सेटिंग्स डिफ़ॉल्ट पर वापस आ गईं।',
+        configUnknownKey: '`{key}` कोई सेटिंग नहीं है। सूची से चुनने के लिए टाइप करना शुरू करें।',
+        configBadValue: 'यह नहीं हो पाया: {reason}।',
+        chattinessSet: '{channel} में बातूनीपन अब **{level}**/10 है।',
+        chattinessReset: '{channel} फिर से सर्वर का बातूनीपन मानता है: **{level}**/10।',
+        chattinessCurrent: '{channel} में बातूनीपन **{level}**/10 है।',
+        channelSomeInvalid: '*ध्यान दें: कुछ चैनल मेंशन सही नहीं थे, इसलिए उन्हें छोड़ दिया गया।*',
+        channelActionAllow: 'चालू करने हैं',
+        channelActionBlock: 'बंद करने हैं',
+        personaCustomTag: ' - कस्टम',
+        on: 'चालू',
+        off: 'बंद',
+        none: 'कोई नहीं',
+        inChannel: '{channel} में',
+        imageCount: '{count} तस्वीरें',
+        usageTotals: '{calls} कॉल{failures}, {inputTokens} इनपुट / {outputTokens} आउटपुट टोकन{images}, ~${cost}, औसतन {latency} ms',
+        usageFailures: ', {count} विफल',
+        usageImages: ', {count} तस्वीरें',
+        budgetNone: '**बजट:** कोई नहीं',
+        budgetStatus: '**इस महीने का बजट:** {limits}{exceeded}\n**बजट पार होने पर:** {actions}',
+        budgetTokens: '{spent} / {limit} टोकन',
+        budgetExceeded: ' — **पार हो गया**',
+        budgetLiteOnly: 'सिर्फ़ हल्का मॉडल',
+        budgetImagesOff: 'तस्वीरें बंद',
+        budgetNoAction: 'कुछ नहीं',
+        moderationAllAges: '**सभी उम्र के नियम:** {value}',
+        moderationCheckMessages: '**मैसेज जाँचें:** {value}',
+        moderationCheckReplies: '**जवाब जाँचें:** {value}',
+        moderationCheckImages: '**बनी हुई तस्वीरें जाँचें:** {value} (तस्वीरों के प्रॉम्प्ट हमेशा जाँचे जाते हैं)',
+        moderationRefuse: '**किरदार में रहकर मना करें:** {refuse}, **लॉग:** {log}',
+        moderationAlertChannel: '**अलर्ट चैनल:** {channel}',
+        moderationBlockedTerms: '**ब्लॉक किए गए शब्द:** {terms}',
+        moderationRecentFlags: '**हाल के फ़्लैग:**',
+        moderationFlag: '- {when} {user} का {stage}: {reason} ({category})',
+        moderationAlert: '**मॉडरेशन:** {user} का {stage} फ़्लैग हुआ{where} ({reason}: {category})\n>>> {excerpt}',
+        moderationAlertImage: '(तस्वीर)',
+        quotaPerMember: '**हर सदस्य:** {limit} तस्वीरें',
+        quotaPool: '**सर्वर पूल:** {pool}',
+        quotaPoolShared: 'सबके बीच साझा {limit} तस्वीरें',
+        quotaRefills: '**फिर से भरता है:** {reset}',
+        quotaResetDaily: 'रोज़ {hour}:00 {timezone} पर',
+        quotaResetRolling: 'किसी सदस्य की पहली तस्वीर के 24 घंटे बाद',
+        quotaRoleOverrides: '**रोल के हिसाब से सीमाएँ:**',
+        quotaRoleRemoved: '{role} की खास सीमा हटा दी।',
+        quotaRoleSet: '{role} अब हर अवधि में {limit} तस्वीरें बना सकता है।',
+        quotaUsageReset: '{who} का तस्वीर उपयोग रीसेट कर दिया ({cleared})।',
+        quotaEveryone: 'इस सर्वर के सभी लोगों',
+        quotaCounterCleared: '1 काउंटर साफ़ हुआ',
+        quotaCountersCleared: '{count} काउंटर साफ़ हुए',
+        reminderDm: '(DM)',
+        announceThen: ', फिर {repeat}',
+        repeatDaily: 'हर दिन',
+        repeatWeekly: 'हर हफ़्ते',
+        galleryScopeServer: 'इस सर्वर की',
+        galleryScopeYou: 'तुम्हारी',
+        galleryItem: '**{number}.** {when} {user} का {kind}: "{prompt}" [देखें]({link})',
+        remixRestyle: '{style} वर्ज़न',
+        remixSharper: 'ज़्यादा साफ़ वर्ज़न',
+        remixReroll: 'री-रोल',
+        remixVariation: 'वेरिएशन',
+        forgetFromServer: ' (इस सर्वर से)',
+        forgetSince: ' ({date} से)',
+        forgetUntil: ' ({date} तक)',
+        privacyErased: ' मैंने पहले से सेव किए हुए **{count}** मैसेज भी मिटा दिए।',
+        privacyStoring: 'तुम्हारे मैसेज **सेव करता हूँ**',
+        privacyNotStoring: 'तुम्हारे मैसेज **सेव नहीं करता**',
+        drawPromptLabel: 'मुझे क्या बदलना है?',
+        drawModalTitle: '{name} से तस्वीर बदलें',
+        drawAgainButton: 'फिर से बदलें',
+        drawRegenerateButton: 'दोबारा बनाएँ',
+        drawUndoButton: 'पहले जैसा करें',
+        variationButton: 'वेरिएशन',
+        rerollButton: 'री-रोल',
+        restyleButton: 'अपस्केल / नया स्टाइल',
+        restyleModalTitle: 'अपस्केल या नया स्टाइल',
+        restyleStyleLabel: 'नया स्टाइल (खाली = ज़्यादा साफ़ कॉपी)',
+        restyleStylePlaceholder: 'वॉटरकलर, पिक्सेल आर्ट, 90 के दशक का एनीमे...',
+    },
+    replies: {
+        goku: {
+            welcome: 'अरे दोस्तों! मैं हूँ सोन गोकू, और मैं मस्ती करने और बातें करने के लिए तैयार हूँ! मैं बात कर सकता हूँ, तस्वीरें बना सकता हूँ और हर नई खबर पर नज़र रखता हूँ। बातचीत शुरू करने के लिए बस मुझे **@mention** करो! चलो इस सर्वर में जोश भर दें!',
+            start: 'ठीक है, मैं पूरी ताकत से तैयार हूँ! चलो बातें करें, दोस्त! क्या प्लान है?',
+            stop: 'वाह, मज़ा आ गया! अब मैं झपकी लेने जा रहा हूँ और जब तक कोई मॉडरेटर न जगाए, जवाब नहीं दूँगा। फिर मिलेंगे!',
+            imageLimit: 'ड्रॉ करने की मेरी ताकत खत्म हो गई! मैं दिन में सिर्फ़ {limit} तस्वीरें बना सकता हूँ, दोस्त, और **{count}** बना चुका हूँ! {reset} फिर आना!',
+            budgetImagesDisabled: 'उफ़, इस सर्वर ने इस महीने की सारी ताकत इस्तेमाल कर ली, तो अभी कोई ड्रॉइंग नहीं! पर बातें अब भी कर सकता हूँ!',
+            imagePoolLimit: 'अरे, पूरे सर्वर ने आज की सारी **{limit}** तस्वीरें इस्तेमाल कर लीं! सबको आराम करना होगा। {reset} फिर आना!',
+            usageStatus: 'तुमने अपनी **{limit}** में से **{count}** तस्वीरें इस्तेमाल की हैं, यानी **{remaining}** बाकी हैं!{pool} तुम्हारी ताकत {reset} फिर भरेगी।',
+            imagineStart: 'ठीक है, पीछे हटो! मैं **"{prompt}"** की एक ज़बरदस्त तस्वीर बनाने के लिए ताकत जुटा रहा हूँ! पलक मत झपकाना!',
+            imagineDone: 'ये रही **"{prompt}"** की तस्वीर! कमाल की है न?! आज तुम्हारे पास **{remaining}** बार और बचे हैं!',
+            imagineFailed: 'उफ़, अभी वह तस्वीर नहीं बन पाई। मेरी ताकत खत्म हो गई! कुछ आसान सा ट्राई करो, दोस्त!',
+            drawWorking: 'ताकत जुटा रहा हूँ... **तुम्हारे लिए बदलाव बना रहा हूँ!** ज़रा रुको!',
+            drawDone: '**ये लो!** तुम्हारे कहने पर बदली हुई तस्वीर: **"{prompt}"**! क्या मैं और ताकतवर हो गया?! आज तुम्हारे पास **{remaining}** बार और बचे हैं!',
+            drawFailed: 'अरे, समझ नहीं आया वह बदलाव कैसे बनाऊँ! मेरा पावर लेवल गिर गया। कोई आसान बदलाव ट्राई करो, दोस्त!',
+            drawNotImage: 'वह तस्वीर नहीं थी! किसी असली इमेज फ़ाइल के साथ फिर कोशिश करो।',
+            drawError: 'अरे नहीं, कुछ गड़बड़ हो गई! चलो फिर से कोशिश करते हैं।',
+            replyOn: 'हाँ! लगातार बातचीत **चालू**! अब मैं तुमसे और ज़्यादा बात करूँगा, दोस्त! चलो बातें जारी रखें!',
+            replyOff: 'ठीक है, लगातार बातचीत **बंद**। अब मैं तभी जवाब दूँगा जब तुम मुझे **@mention** करोगे। मुझे खाने के लिए ताकत बचानी है!',
+            channelReset: 'हो गया! मैंने चैनल सेटिंग्स रीसेट कर दीं! अब मैं इस सर्वर के **सभी चैनलों** में बात कर सकता हूँ! चलो, दोस्त!',
+            channelMissing: 'अरे दोस्त! मुझे बताओ कि कौन-से चैनल! #general #chat जैसे चैनल मेंशन इस्तेमाल करो',
+            channelNoMentions: 'हम्म, मुझे कोई चैनल मेंशन नहीं दिख रहा! #channel-name फ़ॉर्मेट इस्तेमाल करना, दोस्त!',
+            channelNoneValid: 'उफ़! इनमें से कोई भी इस सर्वर का टेक्स्ट चैनल, थ्रेड या फ़ोरम नहीं है, दोस्त!',
+            channelAllowed: 'समझ गया! मैं **सिर्फ़** इन चैनलों में बात करूँगा: {channels}! दूसरे चैनलों में तभी बोलूँगा जब कोई मुझे @mention करे!',
+            channelDisallowed: 'समझ गया! मैं इन चैनलों में बात करने से **बचूँगा**: {channels}! पर बाकी सर्वर में बात कर सकता हूँ!',
+            threadStarted: 'मज़ा आ रहा है, {user}! चलो यहीं बात जारी रखें ताकि चैनल भर न जाए!',
+            reminderSet: 'पक्का! मैं तुम्हें {when} याद दिलाऊँगा: **{text}**। भूलूँगा नहीं, वादा!',
+            reminderDue: [
+                'अरे {user}! तुमने याद दिलाने को कहा था: **{text}**! चलो!',
+                'ओए {user}! समय हो गया! तुम्हें याद रखना था: **{text}**!',
+            ],
+            reminderLate: 'देर के लिए माफ़ करना, {user}! मैं ट्रेनिंग कर रहा था और समय का पता ही नहीं चला। तुमने {when} पर याद दिलाने को कहा था: **{text}**!',
+            busy: 'एक सेकंड रुको, दोस्त! मैं अपनी बात पूरी कर रहा हूँ! अभी आया!',
+            moderationRefusal: 'अरे, मैं उस तरह की बातें नहीं करूँगा, दोस्त! चलो ट्रेनिंग की बात करते हैं?',
+            moderationImageRefusal: 'माफ़ करना दोस्त, वह मैं नहीं बना सकता! कुछ और ट्राई करो, जैसे कोई ज़बरदस्त लड़ाई!',
+            rateLimited: 'अरे, धीरे दोस्त! मुझे भी साँस लेनी पड़ती है। मुझे {seconds} सेकंड दो!',
+            rateLimitedBusy: 'सब एक साथ मुझसे बात कर रहे हैं! मुझे {seconds} सेकंड दो, ठीक है?',
+            rateSuppressed: 'ठीक है, ये बहुत ज़्यादा हो गया! मैं {minutes} मिनट ट्रेनिंग करने जा रहा हूँ। बाद में बात करते हैं!',
+            queueFull: 'अरे, सब एक साथ बोल रहे हैं और मैं संभाल नहीं पा रहा! थोड़ी देर बाद फिर कोशिश करो, दोस्त!',
+            processingError: 'धत्! वह मैसेज संभालते हुए कुछ गड़बड़ हो गई। फिर से भेजो!',
+            modelError: [
+                'अरे! एक पल के लिए मेरा दिमाग़ घूम गया! फिर से कहोगे?',
+                'उफ़! मेरे स्काउटर में कुछ गड़बड़ हो गई! वह मैसेज फिर से भेजो, दोस्त!',
+                'मेरे पावर लेवल अजीब हो रहे हैं! एक सेकंड रुककर फिर कोशिश करो!',
+                'उफ़! मैं खाने के बारे में सोचने लगा था! एक बार फिर कहो!',
+            ],
+            emptyResponse: 'हैं? अजीब है! मैं समझ नहीं पाया तुमने क्या कहा। फिर से कोशिश करो, दोस्त!',
+            sourcesIntro: '*मुझे ये बढ़िया जानकारी मिली!*',
+            storageUnavailable: 'मेरा यादों का डिब्बा अभी काम नहीं कर रहा, तो मैं यह नहीं कर सकता। बाद में कोशिश करो!',
+            summarizeHeader: '**{since} से ये सब हुआ** ({count} मैसेज):',
+            summarizeEmpty: 'अरे, यहाँ बताने लायक कुछ भी नहीं है!',
+            remixDone: '**"{prompt}"** का {what} तैयार है! और भी ताकतवर, है न?! आज तुम्हारे पास **{remaining}** बार और बचे हैं!',
+            galleryHeader: '**{scope} तस्वीरें** (कुल {total}, पेज {page}/{pages}):',
+            announceSet: 'समझ गया! मैं इसे {channel} में {when} पोस्ट करूँगा{repeat}!',
+            forgetDone: 'पूफ़! मैंने **{count}** मैसेज भुला दिए{scope}। जैसे ड्रैगन बॉल्स से मिटा दिए हों!',
+            forgetNothing: 'मैंने हर जगह ढूँढा, पर भूलने लायक कोई मैसेज नहीं मिला{scope}!',
+            privacyOptedOut: 'समझ गया! अब से तुम जो भी कहोगे, मैं कुछ सेव नहीं करूँगा। बात करता रहूँगा, बस बाद में याद नहीं रखूँगा!{deleted}',
+            privacyStatus: 'अभी मैं {status}। मेरे पास तुम्हारे **{count}** मैसेज सेव हैं। उन्हें देखने के लिए `{/export}` या मिटाने के लिए `{/forget}` इस्तेमाल करो!',
+            drawImageMissing: 'हैं? वह तस्वीर अब मिल नहीं रही! शायद हटा दी गई है। किसी नई तस्वीर के साथ फिर कोशिश करो, दोस्त!',
+            drawNotYours: 'अरे, वह तस्वीर किसी और की है! `{/draw}` से अपनी शुरू करो, या किसी तस्वीर पर राइट-क्लिक करके **Goku से तस्वीर बदलें** चुनो!',
+            drawUndone: 'पूफ़! वह बदलाव गायब। पिछले वर्ज़न पर वापस! {link}',
+            remixWorking: 'रुको, अगले राउंड के लिए ताकत जुटा रहा हूँ!',
+            galleryImageMissing: 'हैं? वह तस्वीर अब मिल नहीं रही! शायद हटा दी गई?',
+            galleryEmpty: 'यहाँ अभी कोई तस्वीर नहीं है! `{/imagine}` ट्राई करो, चलो कुछ बनाते हैं!',
+            galleryPageEmpty: 'उस पेज पर कुछ नहीं है, दोस्त! छोटा पेज नंबर ट्राई करो।',
+            threadsOn: 'समझ गया! जब मैं एक ही इंसान को लगातार **{after}** बार जवाब दे चुका होऊँगा, तो बातचीत को उसके अपने थ्रेड में ले जाऊँगा ताकि चैनल साफ़ रहे!',
+            threadsOff: 'ठीक है! मैं हर बातचीत वहीं रखूँगा जहाँ वह शुरू हुई!',
+            editsOn: 'समझ गया! अगर कोई {minutes} मिनट के अंदर वह मैसेज बदलता है जिसका मैंने जवाब दिया था, तो मैं भी अपना जवाब दोबारा सोचूँगा!',
+            editsOff: 'ठीक है! एक बार जवाब दे दिया तो वह वैसा ही रहेगा, चाहे मैसेज बदल जाए!',
+            reminderBadTime: 'हैं? समझ नहीं आया यह कब है! `30m`, `2h`, `1d12h` या `2024-05-31 18:00` (UTC) ट्राई करो, अगले एक साल के अंदर!',
+            reminderTooMany: 'अरे, मैं पहले से ऐसे **{max}** याद रख रहा हूँ! पहले एक कैंसल करो, दोस्त!',
+            reminderNone: 'अभी मेरे पास तुम्हारा कोई रिमाइंडर नहीं है!',
+            reminderCancelled: 'ठीक है, अब मैं तुम्हें **{text}** की याद नहीं दिलाऊँगा!',
+            reminderNotFound: 'हम्म, उस नंबर का कुछ नहीं है। लिस्ट फिर से देखो!',
+            announceNone: 'इस सर्वर के लिए कोई घोषणा तय नहीं है!',
+            announceCancelled: 'हो गया! वह घोषणा शेड्यूल से हट गई!',
+            queueStale: 'अरे, माफ़ करना! इतना कुछ चल रहा था कि तुम्हारा मैसेज छूट गया। फिर से पूछोगे?',
+            exportSent: 'हो गया! मुझे तुम्हारे बारे में जो भी याद है, वह सब DM में भेज दिया, दोस्त! एक JSON फ़ाइल है और एक आसानी से पढ़ी जाने वाली Markdown फ़ाइल।',
+            exportDmFailed: 'मैं तुम्हें DM नहीं भेज पाया (क्या तुम्हारे DM बंद हैं?), इसलिए तुम्हारा आर्काइव यहीं है। इसे सिर्फ़ तुम देख सकते हो!',
+            exportEmpty: 'अरे, अभी मेरे पास तुम्हारे बारे में कुछ भी सेव नहीं है!',
+            badDate: 'हम्म, वह तारीख समझ नहीं आई। YYYY-MM-DD फ़ॉर्मेट इस्तेमाल करो, जैसे 2024-05-31!',
+            privacyOptedIn: 'ठीक है! मैं फिर से हमारी बातें याद रखूँगा ताकि हमारे सारे एडवेंचर याद रहें!',
+            summarizeFailed: 'अरे, एक साथ इतना कुछ समझना बहुत ज़्यादा था! सारांश नहीं बना पाया। छोटा हिस्सा ट्राई करो, दोस्त!',
+            summarizeNoAccess: 'मैं यहाँ की हिस्ट्री नहीं पढ़ सकता, इसलिए तुम्हें अपडेट नहीं कर सकता!',
+            badSince: 'हम्म, वह समय समझ नहीं आया। `30m`, `2h`, `1d` या `2024-05-31 18:00` (UTC) जैसा कुछ ट्राई करो!',
+        },
+        vegeta: {
+            welcome: 'हम्फ़। मैं हूँ वेजिटा, सारे सायन्स का राजकुमार। यह सर्वर अब मेरी निगरानी में है। अगर कुछ मेरे वक्त के लायक हो तो मुझे **@mention** करना।',
+            start: 'हम्फ़। राजकुमार लौट आया है। मेरा वक्त बर्बाद मत करना।',
+            stop: 'मेरा काम यहाँ खत्म। जब तक किसी मॉडरेटर के पास कुछ काम का न हो, मुझे परेशान मत करना।',
+            imageLimit: 'बस! मैं आज **{count}** तस्वीरें बना चुका हूँ और सीमा {limit} है। {reset} आना, धरतीवासी।',
+            imagePoolLimit: 'इस पूरे सर्वर ने सारी **{limit}** तस्वीरें बर्बाद कर दीं। {reset} आना।',
+            imagineStart: 'च्च। ठीक है। राजकुमार की ताकत देखो, मैं बना रहा हूँ **"{prompt}"**।',
+            imagineDone: 'ये लो। **"{prompt}"**। इसके आगे सिर झुकाओ। आज तुम्हारे पास **{remaining}** बार और बचे हैं।',
+            imagineFailed: 'च्च। किसी चीज़ ने रुकावट डाली। कुछ ऐसा दो जो मेहनत के लायक हो।',
+            replyOn: 'ठीक है। मैं तुमसे बात करता रहूँगा। मुझे पछताने पर मजबूर मत करना।',
+            replyOff: 'अच्छा। अब मैं तभी जवाब दूँगा जब तुम मुझे **@mention** करोगे। आखिरकार कुछ शांति।',
+            busy: 'अपनी बारी का इंतज़ार करो, मूर्ख! मेरी बात अभी खत्म नहीं हुई।',
+            rateLimited: 'बस! तुम्हें लगता है राजकुमार के पास और कोई काम नहीं? {seconds} सेकंड रुको।',
+            rateSuppressed: 'मैं तुमसे तंग आ गया हूँ। {minutes} मिनट तक मुझे परेशान मत करना।',
+            processingError: 'च्च! कुछ गड़बड़ हो गई। फिर से कहो, और इस बार ढंग से।',
+            modelError: [
+                'च्च। मेरा स्काउटर टूट गया होगा। फिर से कहो।',
+                'हम्फ़। किसी चीज़ ने रुकावट डाली। दोबारा कहो।',
+                'बड़बड़ाओ मत! फिर से कहो, धरतीवासी।',
+            ],
+            emptyResponse: 'हम्फ़। मैं समझा नहीं। साफ़-साफ़ बोलो।',
+            sourcesIntro: '*हम्फ़। मुझे ये मिला।*',
+        },
+        piccolo: {
+            welcome: 'मैं पिकोलो हूँ। मैं इस सर्वर पर नज़र रखूँगा। कुछ चाहिए तो मुझे **@mention** करना, और जल्दी बोलना।',
+            start: 'हम्फ़। मैं वापस आ गया। ध्यान लगाए रखो।',
+            stop: 'मैं ध्यान करने जा रहा हूँ। जब तक कोई मॉडरेटर न बुलाए, मुझे परेशान मत करना।',
+            replyOn: 'ठीक है। तुम जो कहोगे, उस पर मेरी नज़र रहेगी।',
+            replyOff: 'समझ गया। मैं तभी जवाब दूँगा जब तुम मुझे **@mention** करोगे।',
+            busy: 'सब्र रखो। मेरी बात अभी खत्म नहीं हुई।',
+            processingError: 'किसी चीज़ ने मेरा ध्यान भंग कर दिया। फिर से कोशिश करो।',
+            modelError: [
+                'मेरा ध्यान भटक गया। फिर से कहो।',
+                'हम्फ़। किसी चीज़ ने रुकावट डाली। दोबारा कहो।',
+            ],
+            emptyResponse: 'साफ़ बोलो। मैं समझा नहीं।',
+            sourcesIntro: '*मुझे ये मिला।*',
+        },
+    },
+};
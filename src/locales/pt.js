@@ -0,0 +1,267 @@
+// src/locales/pt.js
+// Brazilian Portuguese. Anything missing here falls back to English.
+
+export default {
+    name: 'Português',
+    promptName: 'Brazilian Portuguese',
+    discordLocales: ['pt-BR'],
+    commands: {
+        start: { name: 'iniciar', description: 'Pronto pra lutar! Deixa o Goku ativo pra conversar com todo mundo.' },
+        stop: { name: 'parar', description: 'Cansei, vou dormir. Deixa o Goku quieto e inativo.' },
+        imagine: { name: 'imaginar', description: 'Carregue sua energia e crie uma imagem épica! (usos diários limitados)' },
+        draw: { name: 'desenhar', description: 'Quer mudar uma imagem? Me dá uma foto e diz o que fazer! (usos diários limitados)' },
+        'Edit image with Goku': { name: 'Editar imagem com o Goku' },
+        summarize: { name: 'resumir', description: 'Veja o que você perdeu neste canal. Só você vê o resumo.' },
+        'Summarize from here': { name: 'Resumir a partir daqui' },
+        remind: { name: 'lembrar', description: 'Peça pro Goku te lembrar de algo mais tarde.' },
+        announce: { name: 'anunciar', description: 'Agende anúncios para este servidor.' },
+        gallery: { name: 'galeria', description: 'Veja as imagens feitas com /imagine e /draw.' },
+        usage: { name: 'uso', description: 'Veja quantas criações de imagem você ainda tem e quando elas recarregam.' },
+        quota: { name: 'cota', description: 'Configure os limites de imagens deste servidor.' },
+        stats: { name: 'estatisticas', description: 'Uso do modelo e orçamentos deste servidor.' },
+        moderation: { name: 'moderacao', description: 'Configure a moderação de conteúdo deste servidor.' },
+        reply: { name: 'responder', description: 'Diga pro Goku conversar sem parar ou dar um tempo das mensagens sem menção.' },
+        channel: { name: 'canal', description: 'Controle em quais canais o Goku pode conversar!' },
+        threads: { name: 'topicos', description: 'Deixe o Goku levar conversas longas a dois para um tópico próprio.' },
+        chattiness: { name: 'conversa', description: 'Defina o quanto o Goku entra nas conversas de um canal sem ser mencionado.' },
+        edits: { name: 'edicoes', description: 'Escolha se o Goku reescreve a resposta quando alguém edita a mensagem que ele respondeu.' },
+        config: { name: 'configuracao', description: 'Veja ou mude como o bot se comporta neste servidor.' },
+        persona: { name: 'personagem', description: 'Escolha qual personagem o bot interpreta neste servidor.' },
+        language: { name: 'idioma', description: 'Escolha o idioma padrão do bot neste servidor.' },
+        export: { name: 'exportar', description: 'Receba por DM uma cópia de tudo que o Goku guardou sobre você.' },
+        forget: { name: 'esquecer', description: 'Faça o Goku esquecer suas mensagens guardadas.' },
+        privacy: { name: 'privacidade', description: 'Escolha se o Goku guarda suas mensagens.' },
+    },
+    messages: {
+        personaServerOnly: 'Personagens só podem ser trocados dentro de um servidor.',
+        personaList: 'Personagens disponíveis:\n{list}',
+        personaUnknown: 'Não existe nenhum personagem chamado `{key}`. Confira `{/persona} list`.',
+        personaBadKey: 'As chaves precisam ter de 2 a 32 caracteres: letras minúsculas, números e hifens.',
+        personaBuiltIn: '`{key}` é um personagem embutido e não pode ser sobrescrito.',
+        personaSaveFailed: 'Não consegui salvar esse personagem. O banco de dados está conectado?',
+        personaSaved: '**{name}** salvo como `{key}`. Use `{/persona} set key:{key}` para trocar para ele.',
+        personaDeleted: '`{key}` excluído.',
+        personaDeletedActive: '`{key}` excluído. Este servidor voltou ao personagem padrão.',
+        personaNoCustom: 'Não existe nenhum personagem personalizado chamado `{key}`.',
+        quotaServerOnly: 'Os limites de imagens só podem ser configurados dentro de um servidor.',
+        quotaUpdated: 'Limites de imagens atualizados.\n{details}',
+        badTimezone: 'Não conheço o fuso horário `{timezone}`. Use um nome IANA como `America/Sao_Paulo`.',
+        nothingToChange: 'Nada para mudar. Escolha pelo menos uma opção.',
+        moderationServerOnly: 'A moderação só pode ser configurada dentro de um servidor.',
+        moderationUpdated: 'Moderação atualizada.\n{details}',
+        statsServerOnly: 'As estatísticas de uso só estão disponíveis dentro de um servidor.',
+        usageHeader: '**Uso desde {since}**',
+        usagePool: ' O servidor inteiro ainda tem **{remaining}** de **{limit}**.',
+        unlimited: 'ilimitadas',
+        resetTomorrow: 'amanhã',
+        feedbackHeader: '**Respostas mal avaliadas desde {since}** ({shown} de {rated} avaliadas)',
+        languageServerOnly: 'O idioma padrão só pode ser escolhido dentro de um servidor.',
+        languageSet: 'Idioma padrão: **{language}**. Vou conversar nele aqui, e os comandos continuam respondendo no idioma do Discord de cada membro quando eu falo esse idioma.',
+        configServerOnly: 'As configurações só podem ser alteradas dentro de um servidor.',
+        configHeader: '**Configurações** (`*` = diferente do padrão)\n{details}',
+        configSet: 'Configuração atualizada.\n{details}',
+        configReset: 'Configuração de volta ao padrão.\n{details}',
+        configResetAll: 'Todas as configurações voltaram ao padrão.',
+        configUnknownKey: '`{key}` não é uma configuração. Comece a digitar para escolher uma da lista.',
+        configBadValue: 'Não deu certo: {reason}.',
+        chattinessSet: 'O nível de conversa em {channel} agora é **{level}**/10.',
+        chattinessReset: '{channel} volta a seguir o nível de conversa do servidor: **{level}**/10.',
+        chattinessCurrent: 'O nível de conversa em {channel} é **{level}**/10.',
+        channelSomeInvalid: '*Obs.: algumas menções de canal não eram válidas e foram ignoradas.*',
+        channelActionAllow: 'liberar',
+        channelActionBlock: 'bloquear',
+        personaCustomTag: ' - personalizado',
+        on: 'ligado',
+        off: 'desligado',
+        none: 'nenhum',
+        inChannel: 'em {channel}',
+        imageCount: '{count} imagens',
+        usageTotals: '{calls} chamadas{failures}, {inputTokens} tokens de entrada / {outputTokens} de saída{images}, ~${cost}, {latency} ms em média',
+        usageFailures: ', {count} com falha',
+        usageImages: ', {count} imagens',
+        budgetNone: '**Orçamento:** nenhum',
+        budgetStatus: '**Orçamento deste mês:** {limits}{exceeded}\n**Ao estourar:** {actions}',
+        budgetTokens: '{spent} / {limit} tokens',
+        budgetExceeded: ' — **estourado**',
+        budgetLiteOnly: 'só o modelo leve',
+        budgetImagesOff: 'sem imagens',
+        budgetNoAction: 'nada',
+        moderationAllAges: '**Regras para todas as idades:** {value}',
+        moderationCheckMessages: '**Verificar mensagens:** {value}',
+        moderationCheckReplies: '**Verificar respostas:** {value}',
+        moderationCheckImages: '**Verificar imagens geradas:** {value} (as descrições de imagens são sempre verificadas)',
+        moderationRefuse: '**Recusar sem sair do personagem:** {refuse}, **registro:** {log}',
+        moderationAlertChannel: '**Canal de alertas:** {channel}',
+        moderationBlockedTerms: '**Termos bloqueados:** {terms}',
+        moderationRecentFlags: '**Sinalizações recentes:**',
+        moderationFlag: '- {when} {stage} de {user}: {reason} ({category})',
+        moderationAlert: '**Moderação:** {stage} sinalizado de {user}{where} ({reason}: {category})\n>>> {excerpt}',
+        moderationAlertImage: '(imagem)',
+        quotaPerMember: '**Por membro:** {limit} imagens',
+        quotaPool: '**Reserva do servidor:** {pool}',
+        quotaPoolShared: '{limit} imagens divididas entre todos',
+        quotaRefills: '**Recarrega:** {reset}',
+        quotaResetDaily: 'todo dia às {hour}:00 {timezone}',
+        quotaResetRolling: '24 horas depois da primeira imagem de cada membro',
+        quotaRoleOverrides: '**Limites por cargo:**',
+        quotaRoleRemoved: 'Removi o limite especial de {role}.',
+        quotaRoleSet: '{role} agora pode criar {limit} imagens por período.',
+        quotaUsageReset: 'Zerei o uso de imagens de {who} ({cleared}).',
+        quotaEveryone: 'todo mundo neste servidor',
+        quotaCounterCleared: '1 contador zerado',
+        quotaCountersCleared: '{count} contadores zerados',
+        reminderDm: '(DM)',
+        announceThen: ' e depois {repeat}',
+        repeatDaily: 'todo dia',
+        repeatWeekly: 'toda semana',
+        galleryScopeServer: 'deste servidor',
+        galleryScopeYou: 'suas',
+        galleryItem: '**{number}.** {when} {kind} de {user}: "{prompt}" [ver]({link})',
+        remixRestyle: 'versão {style}',
+        remixSharper: 'versão mais nítida',
+        remixReroll: 'nova rolagem',
+        remixVariation: 'variação',
+        forgetFromServer: ' deste servidor',
+        forgetSince: ' desde {date}',
+        forgetUntil: ' até {date}',
+        privacyErased: ' Também apaguei as **{count}** mensagens que eu tinha guardado.',
+        privacyStoring: '**guardo** suas mensagens',
+        privacyNotStoring: '**não** guardo suas mensagens',
+        drawPromptLabel: 'O que eu devo mudar?',
+        drawModalTitle: 'Editar imagem com {name}',
+        drawAgainButton: 'Editar de novo',
+        drawRegenerateButton: 'Gerar de novo',
+        drawUndoButton: 'Desfazer',
+        variationButton: 'Variação',
+        rerollButton: 'Nova rolagem',
+        restyleButton: 'Melhorar / mudar estilo',
+        restyleModalTitle: 'Melhorar ou mudar estilo',
+        restyleStyleLabel: 'Novo estilo (vazio = cópia mais nítida)',
+        restyleStylePlaceholder: 'aquarela, pixel art, anime dos anos 90...',
+    },
+    replies: {
+        goku: {
+            welcome: 'E aí, pessoal! Eu sou o Son Goku e tô pronto pra curtir e bater um papo! Eu converso, crio imagens e fico de olho nas novidades. É só me **@mencionar** pra começar uma conversa! Vamos dar uma carga de energia nesse servidor!',
+            start: 'Beleza, tô com a energia no máximo! Bora conversar, amigo! Qual é o plano?',
+            stop: 'Ufa, essa foi boa! Vou tirar um cochilo e não respondo até um moderador me acordar. Até mais!',
+            imageLimit: 'Minha energia pra desenhar acabou! Só consigo fazer {limit} imagens por dia, amigo, e já fiz **{count}**! Volta {reset}!',
+            budgetImagesDisabled: 'Ufa, este servidor gastou toda a energia do mês, então nada de desenhos por enquanto! Mas ainda dá pra conversar!',
+            imagePoolLimit: 'Opa, o servidor inteiro usou todas as **{limit}** imagens de hoje! Todo mundo precisa descansar. Voltem {reset}!',
+            usageStatus: 'Você usou **{count}** das suas **{limit}** imagens, então ainda tem **{remaining}**!{pool} Sua energia recarrega {reset}.',
+            imagineStart: 'Beleza, pra trás! Tô juntando energia pra criar uma imagem incrível de **"{prompt}"**! Não pisca!',
+            imagineDone: 'Aqui está a imagem de **"{prompt}"**! Ficou épica, né?! Você ainda tem **{remaining}** usos hoje!',
+            imagineFailed: 'Ops, não consegui criar essa imagem agora. Minha energia acabou! Tenta algo mais simples, amigo!',
+            drawWorking: 'Carregando energia... **Desenhando as mudanças pra você!** Segura aí!',
+            drawDone: '**TCHARAM!** Aqui está a imagem com o seu pedido: **"{prompt}"**! Fiquei mais forte?! Você ainda tem **{remaining}** usos hoje!',
+            drawFailed: 'Xi, não descobri como desenhar essa mudança! Meu nível de poder caiu. Tenta uma mudança mais simples, amigo!',
+            drawNotImage: 'Isso não era uma imagem! Tenta de novo com um arquivo de imagem de verdade.',
+            drawError: 'Ah não, alguma coisa deu errado! Vamos tentar de novo.',
+            replyOn: 'EBA! Conversa contínua **LIGADA**! Agora vou falar muito mais com você, amigo! Bora continuar o papo!',
+            replyOff: 'Beleza, conversa contínua **DESLIGADA**. Agora só respondo quando você me **@mencionar**. Preciso guardar energia pra comer!',
+            channelReset: 'Pronto! Reiniciei as configurações de canais! Agora posso conversar em **TODOS os canais** do servidor! Bora, amigo!',
+            channelMissing: 'Ei, amigo! Você precisa me dizer de quais canais estamos falando! Use menções de canal como #geral #papo',
+            channelNoMentions: 'Hmm, não vejo nenhuma menção de canal! Use o formato #nome-do-canal, amigo!',
+            channelNoneValid: 'Ops! Nenhum desses é um canal de texto, tópico ou fórum deste servidor, amigo!',
+            channelAllowed: 'Entendido! Vou conversar **SÓ** nestes canais: {channels}! Não vou incomodar ninguém nos outros canais, a menos que me @mencionem!',
+            channelDisallowed: 'Entendido! Vou **EVITAR** conversar nestes canais: {channels}! Mas ainda posso conversar no resto do servidor!',
+            threadStarted: 'Tá ficando bom, {user}! Vamos continuar aqui pra não lotar o canal!',
+            reminderSet: 'Pode deixar! Vou te lembrar {when}: **{text}**. Não vou esquecer, prometo!',
+            reminderDue: [
+                'Ei, {user}! Você pediu pra eu te lembrar: **{text}**! Bora!',
+                'Ô {user}! Chegou a hora! Você queria lembrar de: **{text}**!',
+            ],
+            reminderLate: 'Desculpa o atraso, {user}! Eu tava treinando e perdi a noção do tempo. Você queria que eu te lembrasse às {when}: **{text}**!',
+            busy: 'Peraí um segundo, amigo! Tô terminando um pensamento! Já falo com você!',
+            moderationRefusal: 'Ei, sobre isso eu não vou falar, amigo! Que tal a gente falar de treino?',
+            moderationImageRefusal: 'Foi mal, amigo, isso eu não posso desenhar! Tenta outra coisa, tipo uma batalha épica!',
+            rateLimited: 'Calma aí, amigo! Até eu preciso recuperar o fôlego. Me dá {seconds} segundos!',
+            rateLimitedBusy: 'Todo mundo tá falando comigo ao mesmo tempo! Me dá {seconds} segundos pra acompanhar, tá?',
+            rateSuppressed: 'Tá, agora foi demais! Vou treinar por {minutes} minutos. A gente se fala depois!',
+            queueFull: 'Opa, todo mundo tá falando ao mesmo tempo e eu não tô dando conta! Tenta de novo daqui a pouco, amigo!',
+            processingError: 'Droga! Alguma coisa deu errado enquanto eu carregava essa mensagem. Tenta mandar de novo!',
+            modelError: [
+                'Opa! Meu cérebro deu um nó por um segundo! Pode repetir?',
+                'Xi! Alguma coisa deu errado no meu rastreador! Manda essa mensagem de novo, amigo!',
+                'Meus níveis de poder tão estranhos! Me dá um segundo e tenta de novo!',
+                'Ops! Me distraí pensando em comida! Fala de novo?',
+            ],
+            emptyResponse: 'Hã? Que estranho! Não entendi o que você disse. Tenta de novo, amigo!',
+            sourcesIntro: '*Achei essa informação legal!*',
+            storageUnavailable: 'Minha caixa de memórias não tá funcionando agora, então não consigo fazer isso. Tenta mais tarde!',
+            summarizeHeader: '**Olha o que rolou desde {since}** ({count} mensagens):',
+            summarizeEmpty: 'Hã, não tem nada aqui pra te contar!',
+            remixDone: 'Aqui está uma {what} de **"{prompt}"**! Ainda mais forte, né?! Você ainda tem **{remaining}** usos hoje!',
+            galleryHeader: '**Imagens {scope}** ({total} no total, página {page} de {pages}):',
+            announceSet: 'Beleza! Vou postar isso em {channel} {when}{repeat}!',
+            forgetDone: 'Puf! Esqueci **{count}** mensagens{scope}. É como usar as Esferas do Dragão pra apagar tudo!',
+            forgetNothing: 'Procurei em todo lugar, mas não achei nenhuma mensagem pra esquecer{scope}!',
+            privacyOptedOut: 'Beleza! A partir de agora não vou guardar nada do que você me disser. Continuo conversando, só não vou lembrar depois!{deleted}',
+            privacyStatus: 'No momento eu {status}. Tenho **{count}** mensagens suas guardadas. Use `{/export}` pra ver ou `{/forget}` pra apagar!',
+            drawImageMissing: 'Hã? Não acho mais essa imagem! Pode ter sido apagada. Tenta de novo com uma nova, amigo!',
+            drawNotYours: 'Ei, essa imagem é de outra pessoa! Começa a sua com `{/draw}` ou clica com o botão direito numa imagem e escolhe **Editar imagem com o Goku**!',
+            drawUndone: 'Puf! Essa mudança sumiu. De volta à versão anterior! {link}',
+            remixWorking: 'Segura aí, tô carregando energia pra mais uma rodada!',
+            galleryImageMissing: 'Hã? Não acho mais essa imagem! Será que foi apagada?',
+            galleryEmpty: 'Ainda não tem nenhuma imagem aqui! Tenta `{/imagine}` e bora fazer algumas!',
+            galleryPageEmpty: 'Não tem nada nessa página, amigo! Tenta um número de página menor.',
+            threadsOn: 'Beleza! Quando eu tiver respondido a mesma pessoa **{after}** vezes seguidas, levo a conversa pra um tópico só nosso pra deixar o canal limpo!',
+            threadsOff: 'Beleza! Vou manter todas as conversas bem onde elas começam!',
+            editsOn: 'Beleza! Se alguém editar uma mensagem que eu respondi em até {minutes} minutos, eu repenso a minha resposta também!',
+            editsOff: 'Beleza! Depois que eu respondo, a resposta fica como está, mesmo se a mensagem mudar!',
+            reminderBadTime: 'Hã? Não entendi quando é isso! Tenta `30m`, `2h`, `1d12h` ou `2024-05-31 18:00` (UTC), dentro do próximo ano!',
+            reminderTooMany: 'Opa, já tô cuidando de **{max}** desses! Cancela um primeiro, amigo!',
+            reminderNone: 'Você não tem nenhum lembrete comigo agora!',
+            reminderCancelled: 'Beleza, não vou mais te lembrar de **{text}**!',
+            reminderNotFound: 'Hmm, não tem nada com esse número. Confere a lista de novo!',
+            announceNone: 'Não tem nenhum anúncio agendado neste servidor!',
+            announceCancelled: 'Pronto! Esse anúncio saiu da agenda!',
+            queueStale: 'Opa, foi mal! Tava acontecendo tanta coisa que eu perdi sua mensagem. Pode perguntar de novo?',
+            exportSent: 'Pronto! Te mandei por DM tudo que eu lembro sobre você, amigo! Tem um arquivo JSON e um em Markdown fácil de ler.',
+            exportDmFailed: 'Não consegui te mandar DM (suas DMs estão fechadas?), então aqui está o seu arquivo. Só você pode ver isso!',
+            exportEmpty: 'Hã, não tenho nada guardado sobre você agora!',
+            badDate: 'Hmm, não consegui ler essa data. Usa o formato AAAA-MM-DD, tipo 2024-05-31!',
+            privacyOptedIn: 'Beleza! Vou voltar a lembrar das nossas conversas pra acompanhar nossas aventuras juntos!',
+            summarizeFailed: 'Opa, isso era coisa demais de uma vez só! Não consegui resumir. Tenta um pedaço menor, amigo!',
+            summarizeNoAccess: 'Não consigo ler o histórico aqui, então não dá pra te atualizar!',
+            badSince: 'Hmm, não consegui ler esse horário. Tenta algo tipo `30m`, `2h`, `1d` ou `2024-05-31 18:00` (UTC)!',
+        },
+        vegeta: {
+            welcome: 'Hmph. Eu sou Vegeta, o Príncipe de todos os Saiyajins. Este servidor agora está sob a minha vigilância. Me **@mencione** se tiver algo que valha o meu tempo.',
+            start: 'Hmph. O Príncipe voltou. Não desperdice o meu tempo.',
+            stop: 'Terminei aqui. Não me incomodem até um moderador ter algo que valha a pena.',
+            imageLimit: 'Chega! Já fiz **{count}** imagens hoje e o limite é {limit}. Volte {reset}, terráqueo.',
+            imagePoolLimit: 'Este servidor inteiro desperdiçou todas as **{limit}** imagens. Voltem {reset}.',
+            imagineStart: 'Tch. Tudo bem. Testemunhe o poder do Príncipe enquanto eu crio **"{prompt}"**.',
+            imagineDone: 'Pronto. **"{prompt}"**. Curve-se diante dela. Você ainda tem **{remaining}** usos hoje.',
+            imagineFailed: 'Tch. Algo interferiu. Me dê algo que valha o esforço.',
+            replyOn: 'Tudo bem. Vou continuar falando com você. Não me faça me arrepender.',
+            replyOff: 'Ótimo. Só vou responder quando você me **@mencionar**. Finalmente um pouco de paz.',
+            busy: 'Espere a sua vez, tolo! Eu não terminei.',
+            rateLimited: 'Chega! Acha que o Príncipe não tem nada melhor pra fazer? Espere {seconds} segundos.',
+            rateSuppressed: 'Já me cansei de você. Não me incomode por {minutes} minutos.',
+            processingError: 'Tch! Algo deu errado. Repita, e dessa vez que valha a pena.',
+            modelError: [
+                'Tch. Meu rastreador deve estar quebrado. Repita isso.',
+                'Hmph. Algo interferiu. Diga de novo.',
+                'Não resmungue! Repita isso, terráqueo.',
+            ],
+            emptyResponse: 'Hmph. Não entendi. Fale direito.',
+            sourcesIntro: '*Hmph. Foi isso que eu encontrei.*',
+        },
+        piccolo: {
+            welcome: 'Eu sou o Piccolo. Vou vigiar este servidor. Me **@mencione** se precisar de algo, e seja rápido.',
+            start: 'Hmph. Voltei. Mantenha o foco.',
+            stop: 'Vou meditar. Não me incomodem, a menos que um moderador chame.',
+            replyOn: 'Tudo bem. Vou ficar atento ao que você diz.',
+            replyOff: 'Entendido. Só vou responder quando você me **@mencionar**.',
+            busy: 'Paciência. Ainda não terminei.',
+            processingError: 'Algo atrapalhou minha concentração. Tente de novo.',
+            modelError: [
+                'Perdi o foco. Repita isso.',
+                'Hmph. Algo interferiu. Repita.',
+            ],
+            emptyResponse: 'Fale direito. Não entendi.',
+            sourcesIntro: '*Foi isso que eu encontrei.*',
+        },
+    },
+};
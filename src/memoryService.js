@@ -0,0 +1,65 @@
+// src/memoryService.js
+// Background summarizer that folds old conversation turns into rolling long-term memory.
+import { getSummary, saveSummary, getMessagesForSummary } from './dbService.js';
+import { summarizeConversation } from './geminiService.js';
+
+const SUMMARY_INTERVAL_MS = parseInt(process.env.SUMMARY_INTERVAL_MS || '900000', 10);
+// Don't spend a model call until at least this many old turns have piled up.
+const SUMMARY_MIN_MESSAGES = parseInt(process.env.SUMMARY_MIN_MESSAGES || '20', 10);
+
+// Scopes that saw new messages since the last run, keyed by "scope:serverId:scopeId".
+const pendingScopes = new Map();
+let isRunning = false;
+
+function markForSummary(serverId, userId, channelId) {
+    pendingScopes.set(`user:${serverId}:${userId}`, { scope: 'user', serverId, scopeId: userId });
+    if (channelId) {
+        pendingScopes.set(`channel:${serverId}:${channelId}`, { scope: 'channel', serverId, scopeId: channelId });
+    }
+}
+
+function toTranscript(messages) {
+    return messages
+        .map(msg => msg.role === 'model' ? `You: ${msg.content}` : `${msg.userName || 'Someone'}: ${msg.content}`)
+        .join('\n');
+}
+
+async function summarizeScope({ scope, serverId, scopeId }) {
+    const existing = await getSummary(scope, serverId, scopeId);
+    const messages = await getMessagesForSummary(scope, serverId, scopeId, existing?.coveredUntil);
+    if (messages.length < SUMMARY_MIN_MESSAGES) return false;
+
+    const summary = await summarizeConversation(existing?.summary, toTranscript(messages), { serverId });
+    if (!summary) return false;
+
+    await saveSummary(scope, serverId, scopeId, summary, messages[messages.length - 1].timestamp, messages.length);
+    return true;
+}
+
+async function runSummarizer() {
+    if (isRunning) return;
+    isRunning = true;
+    try {
+        const scopes = Array.from(pendingScopes.entries());
+        pendingScopes.clear();
+        let updated = 0;
+        for (const [, target] of scopes) {
+            try {
+                if (await summarizeScope(target)) updated++;
+            } catch (error) {
+                console.error(`[Memory] Failed to summarize ${target.scope} ${target.scopeId}:`, error);
+            }
+        }
+        if (updated > 0) {
+            console.log(`[Memory] Updated ${updated} long-term summaries.`);
+        }
+    } finally {
+        isRunning = false;
+    }
+}
+
+function startSummarizer() {
+    setInterval(() => runSummarizer().catch(console.error), SUMMARY_INTERVAL_MS);
+}
+
+export { markForSummary, runSummarizer, startSummarizer };
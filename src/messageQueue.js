@@ -0,0 +1,86 @@
+// src/messageQueue.js
+// Per-channel work queue. The bot answers one batch per channel at a time; messages that arrive
+// while it is busy wait their turn instead of being dropped.
+
+const MAX_QUEUE_LENGTH = parseInt(process.env.MESSAGE_QUEUE_MAX || '10', 10);
+// Queued messages older than this are no longer worth a reply by the time the bot gets to them.
+const QUEUE_STALE_MS = parseInt(process.env.MESSAGE_QUEUE_STALE_MS || '120000', 10);
+
+/**
+ * Jobs are plain objects with at least `isPing` and `receivedAt` (ms). Pings are answered one by
+ * one; consecutive non-ping jobs are coalesced into a single batch so the bot answers them in one reply.
+ *
+ *   handle(batch)       - answers an array of jobs; errors are logged and the queue moves on
+ *   onDrop(job, reason) - for jobs that are skipped: 'stale' or 'overflow'
+ *
+ * enqueue() returns 'started', 'queued' or 'dropped'.
+ */
+function createChannelQueue({ handle, onDrop }) {
+    const channels = new Map();
+
+    function drop(job, reason) {
+        Promise.resolve(onDrop(job, reason)).catch(error => console.error('[Queue] onDrop failed:', error));
+    }
+
+    function takeBatch(pending) {
+        const now = Date.now();
+        while (pending.length > 0 && now - pending[0].receivedAt > QUEUE_STALE_MS) {
+            drop(pending.shift(), 'stale');
+        }
+        if (pending.length === 0) return [];
+        if (pending[0].isPing) return [pending.shift()];
+
+        const batch = [];
+        while (pending.length > 0 && !pending[0].isPing) {
+            const job = pending.shift();
+            if (now - job.receivedAt > QUEUE_STALE_MS) drop(job, 'stale');
+            else batch.push(job);
+        }
+        return batch;
+    }
+
+    async function drain(channelId, pending) {
+        try {
+            let batch;
+            while ((batch = takeBatch(pending)).length > 0) {
+                try {
+                    await handle(batch);
+                } catch (error) {
+                    console.error(`[Queue] Failed to handle batch in channel ${channelId}:`, error);
+                }
+            }
+        } finally {
+            channels.delete(channelId);
+        }
+    }
+
+    function enqueue(channelId, job) {
+        const pending = channels.get(channelId);
+        if (!pending) {
+            const fresh = [job];
+            channels.set(channelId, fresh);
+            drain(channelId, fresh);
+            return 'started';
+        }
+
+        if (pending.length >= MAX_QUEUE_LENGTH) {
+            // Make room by giving up on the oldest chatter; pings are only ever turned away.
+            const oldestChat = pending.findIndex(queued => !queued.isPing);
+            if (oldestChat === -1) {
+                drop(job, 'overflow');
+                return 'dropped';
+            }
+            drop(pending.splice(oldestChat, 1)[0], 'overflow');
+        }
+        pending.push(job);
+        return 'queued';
+    }
+
+    return {
+        enqueue,
+        isBusy: channelId => channels.has(channelId),
+        queuedCount: channelId => channels.get(channelId)?.length || 0,
+    };
+}
+
+export { createChannelQueue };
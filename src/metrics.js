@@ -0,0 +1,142 @@
+// src/metrics.js
+// In-process counters and histograms rendered in the Prometheus text format for /metrics,
+// plus the recent model error rate used by /readyz.
+
+const DEFAULT_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+// Window and thresholds for judging whether the model backend is healthy.
+const MODEL_ERROR_WINDOW_MS = parseInt(process.env.MODEL_ERROR_WINDOW_MS || '300000', 10);
+const MODEL_ERROR_MIN_CALLS = 5;
+const MODEL_ERROR_THRESHOLD = parseFloat(process.env.MODEL_ERROR_THRESHOLD || '0.5');
+
+const metrics = new Map();
+const recentModelCalls = [];
+
+function labelKey(labels) {
+    return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+function formatLabels(labels, extra = {}) {
+    const entries = Object.entries({ ...labels, ...extra });
+    if (entries.length === 0) return '';
+    const escape = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    return `{${entries.map(([key, value]) => `${key}="${escape(value)}"`).join(',')}}`;
+}
+
+function register(name, help, type, extra = {}) {
+    const metric = { name, help, type, series: new Map(), ...extra };
+    metrics.set(name, metric);
+    return metric;
+}
+
+function seriesFor(metric, labels, init) {
+    const key = labelKey(labels);
+    if (!metric.series.has(key)) metric.series.set(key, { labels, ...init() });
+    return metric.series.get(key);
+}
+
+function counter(name, help) {
+    const metric = register(name, help, 'counter');
+    return {
+        inc(labels = {}, amount = 1) {
+            seriesFor(metric, labels, () => ({ value: 0 })).value += amount;
+        },
+    };
+}
+
+// Gauges are read when /metrics is scraped, so they always reflect the current state.
+function gauge(name, help, collect) {
+    register(name, help, 'gauge', { collect });
+}
+
+function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+    const metric = register(name, help, 'histogram', { buckets });
+    return {
+        observe(labels, value) {
+            const series = seriesFor(metric, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+            buckets.forEach((bound, i) => { if (value <= bound) series.counts[i]++; });
+            series.sum += value;
+            series.count++;
+        },
+    };
+}
+
+function renderMetric(metric) {
+    const lines = [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`];
+    if (metric.collect) {
+        for (const { labels = {}, value } of metric.collect()) {
+            lines.push(`${metric.name}${formatLabels(labels)} ${value}`);
+        }
+        return lines;
+    }
+    for (const series of metric.series.values()) {
+        if (metric.type === 'histogram') {
+            metric.buckets.forEach((bound, i) => {
+                lines.push(`${metric.name}_bucket${formatLabels(series.labels, { le: bound })} ${series.counts[i]}`);
+            });
+            lines.push(`${metric.name}_bucket${formatLabels(series.labels, { le: '+Inf' })} ${series.count}`);
+            lines.push(`${metric.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+            lines.push(`${metric.name}_count${formatLabels(series.labels)} ${series.count}`);
+        } else {
+            lines.push(`${metric.name}${formatLabels(series.labels)} ${series.value}`);
+        }
+    }
+    return lines;
+}
+
+function renderMetrics() {
+    return [...metrics.values()].flatMap(renderMetric).join('\n') + '\n';
+}
+
+const messagesSeen = counter('goku_messages_seen_total', 'Messages from users the bot received');
+const repliesSent = counter('goku_replies_sent_total', 'Chat replies the bot sent');
+const replyDecisions = counter('goku_reply_decisions_total', 'Decisions on whether to reply to an untagged message, by who made them');
+const modelRequests = counter('goku_model_requests_total', 'Model calls by feature and outcome');
+const modelLatency = histogram('goku_model_latency_seconds', 'Model call latency by feature');
+const imageGenerations = counter('goku_image_generations_total', 'Image commands by kind and outcome');
+const errors = counter('goku_errors_total', 'Errors by type');
+
+function pruneModelCalls(now = Date.now()) {
+    while (recentModelCalls.length > 0 && recentModelCalls[0].at < now - MODEL_ERROR_WINDOW_MS) {
+        recentModelCalls.shift();
+    }
+}
+
+// Fed from the same per-call entries as the usage ledger.
+function observeModelCall({ feature, success, latencyMs }) {
+    modelRequests.inc({ feature, outcome: success ? 'success' : 'error' });
+    modelLatency.observe({ feature }, latencyMs / 1000);
+    if (!success) errors.inc({ type: 'model' });
+    recentModelCalls.push({ at: Date.now(), success });
+    pruneModelCalls();
+}
+
+/**
+ * Share of failed model calls in the recent window. `healthy` stays true until enough calls have
+ * been made to judge, so a quiet bot isn't reported as broken.
+ */
+function getModelErrorRate() {
+    pruneModelCalls();
+    const calls = recentModelCalls.length;
+    const failures = recentModelCalls.filter(call => !call.success).length;
+    const rate = calls > 0 ? failures / calls : 0;
+    return { calls, failures, rate, healthy: calls < MODEL_ERROR_MIN_CALLS || rate < MODEL_ERROR_THRESHOLD };
+}
+
+const recordMessageSeen = () => messagesSeen.inc();
+const recordReplySent = (streamed = false) => repliesSent.inc({ mode: streamed ? 'streaming' : 'typed' });
+// `source` is 'heuristic' when the local score settled it and 'model' when the model was asked.
+const recordReplyDecision = (shouldReply, source) => replyDecisions.inc({ decision: shouldReply ? 'yes' : 'no', source });
+const recordImageGeneration = (kind, succeeded) => imageGenerations.inc({ kind, outcome: succeeded ? 'success' : 'error' });
+const recordError = type => errors.inc({ type });
+
+export {
+    gauge,
+    renderMetrics,
+    observeModelCall,
+    getModelErrorRate,
+    recordMessageSeen,
+    recordReplySent,
+    recordReplyDecision,
+    recordImageGeneration,
+    recordError
+};
@@ -0,0 +1,147 @@
+// src/moderation.js
+// Moderation stage for incoming messages, generated replies, image prompts and generated images.
+import { getModerationSettings, setModerationSettings, saveModerationEvent } from './dbService.js';
+import { classifyContent } from './geminiService.js';
+
+// Chat classification costs a model call per message, so it is opt-in. Image prompts and images
+// are always checked, with the all-ages rules (see STRICT_STAGES).
+const DEFAULT_MODERATION_SETTINGS = {
+    blockedTerms: [],
+    classifyMessages: false,
+    classifyReplies: false,
+    classifyImages: true,
+    allAges: false,
+    refuse: true,
+    log: true,
+    alertChannelId: null,
+};
+const STRICT_STAGES = new Set(['imagePrompt', 'image']);
+const MAX_EXCERPT_LENGTH = 200;
+
+const settingsCache = new Map();
+// Sends a flagged event to a guild's mod channel; wired to Discord by index.js.
+let moderationAlerter = null;
+
+function setModerationAlerter(alerter) {
+    moderationAlerter = alerter;
+}
+
+async function getModeration(serverId) {
+    if (!settingsCache.has(serverId)) {
+        const stored = serverId === 'DM' ? null : await getModerationSettings(serverId);
+        settingsCache.set(serverId, { ...DEFAULT_MODERATION_SETTINGS, ...stripUnset(stored) });
+    }
+    return settingsCache.get(serverId);
+}
+
+function stripUnset(doc) {
+    return Object.fromEntries(Object.entries(doc || {}).filter(([, value]) => value !== undefined && value !== null));
+}
+
+async function updateModeration(serverId, changes) {
+    const saved = await setModerationSettings(serverId, changes);
+    settingsCache.delete(serverId);
+    return saved ? getModeration(serverId) : null;
+}
+
+async function addBlockedTerms(serverId, terms) {
+    const { blockedTerms } = await getModeration(serverId);
+    const normalized = terms.map(term => term.trim().toLowerCase()).filter(Boolean);
+    return updateModeration(serverId, { blockedTerms: [...new Set([...blockedTerms, ...normalized])] });
+}
+
+async function removeBlockedTerms(serverId, terms) {
+    const { blockedTerms } = await getModeration(serverId);
+    const removed = new Set(terms.map(term => term.trim().toLowerCase()));
+    return updateModeration(serverId, { blockedTerms: blockedTerms.filter(term => !removed.has(term)) });
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Terms match as whole words where they start/end with a letter, digit or underscore in any script
+// (vowel signs count, being part of the letter they follow), so "ass" doesn't hit "class" and
+// "गधा" doesn't hit "गधापन".
+const WORD_CHAR = '[\\p{L}\\p{M}\\p{N}_]';
+const STARTS_WITH_WORD_CHAR = new RegExp(`^${WORD_CHAR}`, 'u');
+const ENDS_WITH_WORD_CHAR = new RegExp(`${WORD_CHAR}$`, 'u');
+
+function findBlockedTerm(text, terms) {
+    const lower = text.toLowerCase();
+    return terms.find(term => {
+        const start = STARTS_WITH_WORD_CHAR.test(term) ? `(?<!${WORD_CHAR})` : '';
+        const end = ENDS_WITH_WORD_CHAR.test(term) ? `(?!${WORD_CHAR})` : '';
+        return new RegExp(`${start}${escapeRegExp(term)}${end}`, 'u').test(lower);
+    }) || null;
+}
+
+// Whether replies go through moderation at all, i.e. have to be complete before they are shown.
+function screensReplies(settings) {
+    return settings.blockedTerms.length > 0 || shouldClassify('reply', settings);
+}
+
+function shouldClassify(stage, settings) {
+    switch (stage) {
+        case 'message': return settings.classifyMessages || settings.allAges;
+        case 'reply': return settings.classifyReplies || settings.allAges;
+        case 'imagePrompt': return true;
+        case 'image': return settings.classifyImages;
+        default: return false;
+    }
+}
+
+async function handleFlag(settings, event) {
+    console.warn(`[Moderation] Flagged ${event.stage} in ${event.serverId} (${event.reason}: ${event.category}).`);
+    if (settings.log) {
+        await saveModerationEvent(event);
+    }
+    if (settings.alertChannelId && moderationAlerter) {
+        await Promise.resolve(moderationAlerter(settings.alertChannelId, event))
+            .catch(error => console.warn('[Moderation] Failed to alert mod channel:', error.message));
+    }
+}
+
+/**
+ * Runs one piece of content through the guild's moderation rules. stage is 'message', 'reply',
+ * 'imagePrompt' or 'image'; `imagePart` is a provider file part for image checks.
+ * Returns { allowed, refuse, reason, category }. When the classifier is unavailable the content
+ * is allowed, except at the strict image stages.
+ */
+async function moderate(stage, { serverId, channelId = null, userId = null, text = '', imagePart = null }) {
+    const settings = await getModeration(serverId);
+    const strict = settings.allAges || STRICT_STAGES.has(stage);
+    let verdict = null;
+
+    const blockedTerm = text ? findBlockedTerm(text, settings.blockedTerms) : null;
+    if (blockedTerm) {
+        verdict = { reason: 'blocked_term', category: blockedTerm };
+    } else if (shouldClassify(stage, settings)) {
+        const result = await classifyContent({ text, imagePart, strict, serverId, userId });
+        if (result?.flagged) {
+            verdict = { reason: 'classifier', category: result.category };
+        } else if (!result && STRICT_STAGES.has(stage)) {
+            verdict = { reason: 'classifier_unavailable', category: 'unknown' };
+        }
+    }
+
+    if (!verdict) return { allowed: true };
+
+    await handleFlag(settings, {
+        serverId, channelId, userId, stage, ...verdict,
+        excerpt: text.slice(0, MAX_EXCERPT_LENGTH),
+    });
+    return { allowed: false, refuse: settings.refuse, ...verdict };
+}
+
+export {
+    DEFAULT_MODERATION_SETTINGS,
+    setModerationAlerter,
+    getModeration,
+    updateModeration,
+    addBlockedTerms,
+    removeBlockedTerms,
+    screensReplies,
+    findBlockedTerm,
+    moderate
+};
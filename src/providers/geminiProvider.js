@@ -0,0 +1,104 @@
+// src/providers/geminiProvider.js
+import { GoogleGenAI } from '@google/genai';
+
+const GEMINI_MODELS = {
+    lite: 'gemini-2.5-flash-lite',
+    standard: 'gemini-2.5-flash',
+    image: 'gemini-2.5-flash-image-preview',
+};
+
+function normalizeResponse(response) {
+    const parts = response.candidates?.[0]?.content?.parts || [];
+    const images = parts
+        .filter(p => p.inlineData)
+        .map(p => ({ mimeType: p.inlineData.mimeType, data: p.inlineData.data }));
+
+    let sources = [];
+    const groundingMetadata = response.candidates?.[0]?.groundingMetadata;
+    if (groundingMetadata && groundingMetadata.groundingAttributions) {
+        sources = groundingMetadata.groundingAttributions
+            .map(attr => ({
+                uri: attr.web?.uri,
+                title: attr.web?.title,
+            }))
+            .filter(source => source.uri && source.title);
+    }
+
+    return {
+        text: response.text || '',
+        images,
+        sources,
+        usage: {
+            inputTokens: response.usageMetadata?.promptTokenCount || 0,
+            outputTokens: response.usageMetadata?.candidatesTokenCount || 0,
+        },
+    };
+}
+
+function createGeminiProvider() {
+    const apiKey = process.env.GEMINI_API_KEY;
+    if (!apiKey) {
+        throw new Error("GEMINI_API_KEY is not set.");
+    }
+    const client = new GoogleGenAI({ apiKey });
+
+    return {
+        name: 'gemini',
+
+        resolveModel(model) {
+            return GEMINI_MODELS[model] || model;
+        },
+
+        buildRequest({ model, contents, systemInstruction, config = {}, tools }) {
+            return {
+                model: this.resolveModel(model),
+                contents,
+                config: {
+                    ...config,
+                    ...(tools?.includes('search') ? { tools: [{ googleSearch: {} }] } : {}),
+                    ...(systemInstruction ? { systemInstruction: { parts: [{ text: systemInstruction }] } } : {}),
+                },
+            };
+        },
+
+        async generate(params) {
+            const response = await client.models.generateContent(this.buildRequest(params));
+            return normalizeResponse(response);
+        },
+
+        async *generateStream(params) {
+            const stream = await client.models.generateContentStream(this.buildRequest(params));
+            for await (const chunk of stream) {
+                yield normalizeResponse(chunk);
+            }
+        },
+
+        async embed(texts) {
+            const model = process.env.GEMINI_EMBEDDING_MODEL || 'text-embedding-004';
+            const response = await client.models.embedContent({ model, contents: texts });
+            return { model, vectors: response.embeddings.map(e => e.values) };
+        },
+
+        async uploadFile(buffer, mimeType, displayName) {
+            const file = await client.files.upload({
+                file: new Blob([buffer], { type: mimeType }),
+                config: { mimeType, displayName },
+            });
+            return {
+                file,
+                filePart: {
+                    fileData: {
+                        mimeType: mimeType,
+                        fileUri: file.uri,
+                    },
+                },
+            };
+        },
+
+        async deleteFile(file) {
+            await client.files.delete({ name: file.name });
+        },
+    };
+}
+
+export { createGeminiProvider };
@@ -0,0 +1,36 @@
+// src/providers/index.js
+import { createGeminiProvider } from './geminiProvider.js';
+import { createOpenAIProvider } from './openaiProvider.js';
+import { createMockProvider } from './mockProvider.js';
+
+/*
+ * Every provider exposes the same shape:
+ *   name                         - identifier used in logs
+ *   resolveModel(model)          - maps a tier ('lite' | 'standard' | 'image') to a concrete model name;
+ *                                  anything else is passed through unchanged
+ *   generate({ model, contents, systemInstruction, config, tools, feature })
+ *                                - contents use the Gemini { role, parts } format; returns
+ *                                  { text, images: [{ mimeType, data }], sources: [{ uri, title }],
+ *                                    usage: { inputTokens, outputTokens } }
+ *   generateStream(params)       - optional async generator of partial responses in the same shape;
+ *                                  text is the new delta, sources/usage are filled in when known
+ *   embed(texts)                 - optional; returns { model, vectors, usage: { inputTokens } } or null
+ *                                  when unavailable; usage may be missing if the API doesn't report it
+ *   uploadFile(buffer, mimeType, displayName) - returns { file, filePart } for use in contents
+ *   deleteFile(file)             - releases anything uploadFile created
+ */
+const PROVIDERS = {
+    gemini: createGeminiProvider,
+    openai: createOpenAIProvider,
+    mock: createMockProvider,
+};
+
+function createProvider(name = process.env.MODEL_PROVIDER || 'gemini') {
+    const factory = PROVIDERS[name.toLowerCase()];
+    if (!factory) {
+        throw new Error(`Unknown MODEL_PROVIDER "${name}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}.`);
+    }
+    return factory();
+}
+
+export { createProvider };
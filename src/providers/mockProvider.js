@@ -0,0 +1,95 @@
+// src/providers/mockProvider.js
+// Deterministic offline backend for development and testing without any API key.
+import { readFileSync } from 'fs';
+
+// 1x1 transparent PNG, returned for every image request.
+const PLACEHOLDER_PNG = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+
+function loadScript() {
+    const scriptPath = process.env.MOCK_PROVIDER_SCRIPT;
+    if (!scriptPath) return [];
+    try {
+        const script = JSON.parse(readFileSync(scriptPath, 'utf8'));
+        return Array.isArray(script) ? script : [];
+    } catch (error) {
+        console.error(`[Mock] Could not read MOCK_PROVIDER_SCRIPT ${scriptPath}:`, error.message);
+        return [];
+    }
+}
+
+function lastUserText(contents) {
+    const last = contents[contents.length - 1];
+    return (last?.parts || []).map(p => p.text).filter(Boolean).join('\n');
+}
+
+function defaultReply(feature, prompt) {
+    switch (feature) {
+        case 'decision':
+            return 'yes';
+        case 'moderation':
+            return '{"flagged": false, "category": "none"}';
+        case 'image':
+        case 'edit':
+            return '';
+        default:
+            return `Hehe! You said: "${prompt}"`;
+    }
+}
+
+/**
+ * Each script entry may set `feature` and/or `match` (a regex tested against the last user
+ * message) and provides `text` and optionally `image: true`. The first matching entry wins;
+ * anything unmatched falls back to a canned reply for that feature.
+ */
+function createMockProvider() {
+    const script = loadScript();
+
+    return {
+        name: 'mock',
+
+        resolveModel(model) {
+            return `mock-${model}`;
+        },
+
+        async generate({ contents, feature = 'chat' }) {
+            const prompt = lastUserText(contents);
+            const entry = script.find(e =>
+                (!e.feature || e.feature === feature) &&
+                (!e.match || new RegExp(e.match, 'i').test(prompt))
+            );
+            const wantsImage = entry ? entry.image : (feature === 'image' || feature === 'edit');
+
+            return {
+                text: entry?.text ?? defaultReply(feature, prompt),
+                images: wantsImage ? [{ mimeType: 'image/png', data: PLACEHOLDER_PNG }] : [],
+                sources: [],
+                usage: { inputTokens: Math.ceil(prompt.length / 4), outputTokens: 0 },
+            };
+        },
+
+        // Replays the scripted reply a few words at a time.
+        async *generateStream(params) {
+            const response = await this.generate(params);
+            const words = response.text.split(/(?<=\s)/);
+            for (let i = 0; i < words.length; i += 3) {
+                yield { ...response, text: words.slice(i, i + 3).join('') };
+            }
+        },
+
+        async uploadFile(buffer, mimeType) {
+            return {
+                file: null,
+                filePart: {
+                    inlineData: {
+                        mimeType: mimeType,
+                        data: buffer.toString('base64'),
+                    },
+                },
+            };
+        },
+
+        async deleteFile() {},
+    };
+}
+
+export { createMockProvider };
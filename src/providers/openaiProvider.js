@@ -0,0 +1,182 @@
+// src/providers/openaiProvider.js
+// Talks to any OpenAI-compatible HTTP endpoint (llama.cpp server, Ollama, vLLM, OpenAI itself).
+
+function toOpenAIContent(parts) {
+    const pieces = [];
+    for (const part of parts) {
+        if (part.text !== undefined) {
+            pieces.push({ type: 'text', text: part.text });
+        } else if (part.inlineData && part.inlineData.mimeType.startsWith('image')) {
+            pieces.push({
+                type: 'image_url',
+                image_url: { url: `data:${part.inlineData.mimeType};base64,${part.inlineData.data}` }
+            });
+        }
+        // Remote fileData URIs belong to other providers and can't be fetched here.
+    }
+    if (pieces.every(p => p.type === 'text')) {
+        return pieces.map(p => p.text).join('\n');
+    }
+    return pieces;
+}
+
+function toOpenAIMessages(contents, systemInstruction) {
+    const messages = [];
+    if (systemInstruction) {
+        messages.push({ role: 'system', content: systemInstruction });
+    }
+    for (const content of contents) {
+        messages.push({
+            role: content.role === 'model' ? 'assistant' : 'user',
+            content: toOpenAIContent(content.parts || [])
+        });
+    }
+    return messages;
+}
+
+function createOpenAIProvider() {
+    const baseUrl = (process.env.OPENAI_BASE_URL || 'http://localhost:8080/v1').replace(/\/$/, '');
+    const apiKey = process.env.OPENAI_API_KEY;
+    const models = {
+        lite: process.env.OPENAI_MODEL_LITE || process.env.OPENAI_MODEL || 'local-model',
+        standard: process.env.OPENAI_MODEL || 'local-model',
+        image: process.env.OPENAI_IMAGE_MODEL || null,
+    };
+
+    async function request(path, body) {
+        const response = await fetch(`${baseUrl}${path}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+            },
+            body: JSON.stringify(body),
+        });
+        if (!response.ok) {
+            throw new Error(`OpenAI-compatible endpoint returned ${response.status}: ${await response.text()}`);
+        }
+        return response;
+    }
+
+    async function post(path, body) {
+        const response = await request(path, body);
+        return response.json();
+    }
+
+    // Yields the parsed JSON payload of each server-sent event until [DONE].
+    async function* readEvents(response) {
+        const decoder = new TextDecoder();
+        let buffer = '';
+        for await (const bytes of response.body) {
+            buffer += decoder.decode(bytes, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            for (const line of lines) {
+                const trimmed = line.trim();
+                if (!trimmed.startsWith('data:')) continue;
+                const payload = trimmed.slice(5).trim();
+                if (payload === '[DONE]') return;
+                yield JSON.parse(payload);
+            }
+        }
+    }
+
+    function chatRequest({ model, contents, systemInstruction, config = {} }, stream = false) {
+        return {
+            model: models[model] !== undefined ? models[model] : model,
+            messages: toOpenAIMessages(contents, systemInstruction),
+            temperature: config.temperature,
+            max_tokens: config.maxOutputTokens,
+            ...(stream ? { stream: true, stream_options: { include_usage: true } } : {}),
+        };
+    }
+
+    async function generateImages(contents) {
+        // Image editing needs multipart uploads that most local servers don't support,
+        // so only plain text-to-image requests are forwarded.
+        const hasImageInput = contents.some(c => (c.parts || []).some(p => p.inlineData || p.fileData));
+        if (!models.image || hasImageInput) {
+            return { text: '', images: [], sources: [], usage: { inputTokens: 0, outputTokens: 0 } };
+        }
+        const prompt = contents.flatMap(c => c.parts || []).map(p => p.text).filter(Boolean).join('\n');
+        const data = await post('/images/generations', {
+            model: models.image,
+            prompt,
+            n: 1,
+            response_format: 'b64_json',
+        });
+        return {
+            text: '',
+            images: (data.data || []).map(img => ({ mimeType: 'image/png', data: img.b64_json })),
+            sources: [],
+            usage: { inputTokens: 0, outputTokens: 0 },
+        };
+    }
+
+    return {
+        name: 'openai',
+
+        resolveModel(model) {
+            return models[model] !== undefined ? models[model] : model;
+        },
+
+        async generate(params) {
+            if (params.model === 'image') {
+                return generateImages(params.contents);
+            }
+            const data = await post('/chat/completions', chatRequest(params));
+            return {
+                text: data.choices?.[0]?.message?.content || '',
+                images: [],
+                sources: [],
+                usage: {
+                    inputTokens: data.usage?.prompt_tokens || 0,
+                    outputTokens: data.usage?.completion_tokens || 0,
+                },
+            };
+        },
+
+        async *generateStream(params) {
+            const response = await request('/chat/completions', chatRequest(params, true));
+            for await (const event of readEvents(response)) {
+                yield {
+                    text: event.choices?.[0]?.delta?.content || '',
+                    images: [],
+                    sources: [],
+                    usage: {
+                        inputTokens: event.usage?.prompt_tokens || 0,
+                        outputTokens: event.usage?.completion_tokens || 0,
+                    },
+                };
+            }
+        },
+
+        async embed(texts) {
+            const model = process.env.OPENAI_EMBEDDING_MODEL;
+            if (!model) return null;
+            const data = await post('/embeddings', { model, input: texts });
+            return {
+                model,
+                vectors: data.data.map(d => d.embedding),
+                usage: data.usage ? { inputTokens: data.usage.prompt_tokens || 0 } : undefined,
+            };
+        },
+
+        async uploadFile(buffer, mimeType) {
+            // No file API here, so attachments travel inline with the request.
+            return {
+                file: null,
+                filePart: {
+                    inlineData: {
+                        mimeType: mimeType,
+                        data: buffer.toString('base64'),
+                    },
+                },
+            };
+        },
+
+        async deleteFile() {},
+    };
+}
+
+export { createOpenAIProvider };
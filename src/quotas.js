@@ -0,0 +1,114 @@
+// src/quotas.js
+// Image quota rules. Pure helpers; dbService applies them to the stored counters.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Override value meaning "no limit" for a role.
+const UNLIMITED = -1;
+
+const DEFAULT_QUOTA_SETTINGS = {
+    dailyLimit: 5,
+    // 'rolling' restarts the 24h window at the first use after it expires; 'daily' resets at resetHour.
+    resetMode: 'rolling',
+    resetHour: 0,
+    timezone: 'UTC',
+    // Shared allowance for the whole server per window; 0 disables the pool.
+    poolLimit: 0,
+    roleOverrides: [],
+};
+
+function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Milliseconds the timezone is ahead of UTC at the given instant.
+function timezoneOffset(timezone, date) {
+    const parts = Object.fromEntries(
+        new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hourCycle: 'h23',
+            year: 'numeric', month: '2-digit', day: '2-digit',
+            hour: '2-digit', minute: '2-digit', second: '2-digit',
+        }).formatToParts(date).map(p => [p.type, p.value])
+    );
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// Start of the fixed daily window containing `now`.
+function dailyWindowStart(settings, now) {
+    const offset = timezoneOffset(settings.timezone, now);
+    const local = new Date(now.getTime() + offset);
+    let start = Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate(), settings.resetHour) - offset;
+    if (start > now.getTime()) start -= DAY_MS;
+    return new Date(start);
+}
+
+/**
+ * Whether a stored counter still belongs to the current window, and when that window ends.
+ * Rolling windows are anchored on the counter's lastReset; daily ones on the clock.
+ */
+function evaluateWindow(settings, usage, now = new Date()) {
+    if (settings.resetMode === 'daily') {
+        const start = dailyWindowStart(settings, now);
+        const isCurrent = Boolean(usage && new Date(usage.lastReset) >= start);
+        return { isCurrent, resetsAt: new Date(start.getTime() + DAY_MS) };
+    }
+    const isCurrent = Boolean(usage && (now - new Date(usage.lastReset)) < DAY_MS);
+    return { isCurrent, resetsAt: isCurrent ? new Date(new Date(usage.lastReset).getTime() + DAY_MS) : null };
+}
+
+// Query conditions on a counter's lastReset for the current window and for any earlier one.
+function windowFilters(settings, now = new Date()) {
+    if (settings.resetMode === 'daily') {
+        const start = dailyWindowStart(settings, now);
+        return { current: { $gte: start }, stale: { $lt: start } };
+    }
+    const cutoff = new Date(now.getTime() - DAY_MS);
+    return { current: { $gt: cutoff }, stale: { $lte: cutoff } };
+}
+
+// The most generous matching role override wins; without one, the server's daily limit applies.
+function effectiveLimit(settings, roleIds = []) {
+    const matching = settings.roleOverrides.filter(o => roleIds.includes(o.roleId));
+    if (matching.length === 0) return settings.dailyLimit;
+    if (matching.some(o => o.limit === UNLIMITED)) return Infinity;
+    return Math.max(...matching.map(o => o.limit));
+}
+
+// Checks a partial settings update from outside Discord (slash command options are already constrained).
+function validateQuotaChanges(changes) {
+    const isCount = value => Number.isInteger(value) && value >= 0;
+    if ('dailyLimit' in changes && !isCount(changes.dailyLimit)) return 'dailyLimit must be a non-negative integer';
+    if ('poolLimit' in changes && !isCount(changes.poolLimit)) return 'poolLimit must be a non-negative integer';
+    if ('resetMode' in changes && !['rolling', 'daily'].includes(changes.resetMode)) return "resetMode must be 'rolling' or 'daily'";
+    if ('resetHour' in changes && !(Number.isInteger(changes.resetHour) && changes.resetHour >= 0 && changes.resetHour <= 23)) {
+        return 'resetHour must be an integer from 0 to 23';
+    }
+    if ('timezone' in changes && !isValidTimezone(changes.timezone)) return 'timezone must be an IANA timezone name';
+    if ('roleOverrides' in changes) {
+        const valid = Array.isArray(changes.roleOverrides) && changes.roleOverrides.every(o =>
+            typeof o?.roleId === 'string' && Number.isInteger(o.limit) && o.limit >= UNLIMITED);
+        if (!valid) return `roleOverrides must be a list of { roleId, limit } with limit >= ${UNLIMITED}`;
+    }
+    return null;
+}
+
+function withQuotaDefaults(settings) {
+    return { ...DEFAULT_QUOTA_SETTINGS, ...(settings || {}), roleOverrides: settings?.roleOverrides || [] };
+}
+
+export {
+    UNLIMITED,
+    DEFAULT_QUOTA_SETTINGS,
+    isValidTimezone,
+    validateQuotaChanges,
+    evaluateWindow,
+    windowFilters,
+    effectiveLimit,
+    withQuotaDefaults
+};
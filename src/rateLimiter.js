@@ -0,0 +1,136 @@
+// src/rateLimiter.js
+// Token-bucket rate limiting per user, channel and guild, with temporary suppression of users
+// who keep hitting their limit. Each kind (chat, command, component) keeps its own strikes and
+// suppression, so flooding one doesn't lock a user out of the others. State is in memory; a restart
+// forgives everyone.
+
+// Limits are "<count>/<seconds>": bursts of up to <count>, refilled evenly over <seconds>.
+const LIMITS = {
+    chat: {
+        user: parseLimit(process.env.RATE_LIMIT_USER, '6/60'),
+        channel: parseLimit(process.env.RATE_LIMIT_CHANNEL, '20/60'),
+        guild: parseLimit(process.env.RATE_LIMIT_GUILD, '60/60'),
+    },
+    command: {
+        user: parseLimit(process.env.RATE_LIMIT_COMMAND_USER, '5/60'),
+        guild: parseLimit(process.env.RATE_LIMIT_COMMAND_GUILD, '30/60'),
+    },
+    // Buttons and modal submits on the bot's own messages.
+    component: {
+        user: parseLimit(process.env.RATE_LIMIT_COMPONENT_USER, '10/60'),
+        guild: parseLimit(process.env.RATE_LIMIT_COMPONENT_GUILD, '60/60'),
+    },
+};
+// Running into your own limit this many separate times within STRIKE_WINDOW_MS gets you ignored for SUPPRESS_MS.
+const MAX_STRIKES = parseInt(process.env.RATE_LIMIT_STRIKES || '3', 10);
+const STRIKE_WINDOW_MS = 10 * 60 * 1000;
+const SUPPRESS_MS = parseInt(process.env.RATE_LIMIT_SUPPRESS_MS || '600000', 10);
+const MAX_TRACKED_BUCKETS = 10000;
+
+const buckets = new Map();
+const strikes = new Map();
+const suppressedUntil = new Map();
+// When each user was last told about a cooldown that is still running, so the notice isn't
+// repeated on every message.
+const notifiedUntil = new Map();
+// strikes, suppressedUntil and notifiedUntil are keyed by "<kind>:<userId>".
+
+function parseLimit(value, fallback) {
+    const match = /^(\d+)\s*\/\s*(\d+)$/.exec((value || fallback).trim());
+    if (!match) {
+        console.warn(`Invalid rate limit "${value}", using ${fallback}.`);
+        return parseLimit(fallback, fallback);
+    }
+    const capacity = parseInt(match[1], 10);
+    return { capacity, refillPerMs: capacity / (parseInt(match[2], 10) * 1000) };
+}
+
+function bucketFor(key, limit, now) {
+    let bucket = buckets.get(key);
+    if (!bucket) {
+        bucket = { tokens: limit.capacity, updatedAt: now, limit };
+        buckets.set(key, bucket);
+    }
+    bucket.tokens = Math.min(limit.capacity, bucket.tokens + (now - bucket.updatedAt) * limit.refillPerMs);
+    bucket.updatedAt = now;
+    return bucket;
+}
+
+// Full buckets carry no information, so they are the first to go when memory grows.
+function pruneBuckets(now) {
+    if (buckets.size < MAX_TRACKED_BUCKETS) return;
+    for (const [key, bucket] of buckets) {
+        if (bucket.tokens + (now - bucket.updatedAt) * bucket.limit.refillPerMs >= bucket.limit.capacity) buckets.delete(key);
+    }
+    for (const map of [suppressedUntil, notifiedUntil]) {
+        for (const [key, until] of map) {
+            if (until <= now) map.delete(key);
+        }
+    }
+}
+
+function addStrike(key, now) {
+    const recent = (strikes.get(key) || []).filter(at => now - at < STRIKE_WINDOW_MS);
+    recent.push(now);
+    strikes.set(key, recent);
+    if (recent.length >= MAX_STRIKES) {
+        strikes.delete(key);
+        suppressedUntil.set(key, now + SUPPRESS_MS);
+        return true;
+    }
+    return false;
+}
+
+// True the first time it's called during a cooldown, false until that cooldown is over.
+function shouldNotify(key, until, now) {
+    if ((notifiedUntil.get(key) || 0) > now) return false;
+    notifiedUntil.set(key, until);
+    return true;
+}
+
+/**
+ * Takes one token from each applicable bucket, or none if any of them is empty.
+ * kind is 'chat', 'command' or 'component'. Returns { allowed: true } or
+ * { allowed: false, scope: 'user' | 'channel' | 'guild' | 'suppressed', retryAfterMs, notify }.
+ * With strike false (the bot joining in unasked) running out costs the user no strike and is never
+ * worth a notice.
+ */
+function checkRateLimit(kind, { userId, channelId = null, serverId = null }, { strike = true } = {}) {
+    const now = Date.now();
+    pruneBuckets(now);
+
+    const userKey = `${kind}:${userId}`;
+    const suppressed = suppressedUntil.get(userKey);
+    if (suppressed && suppressed > now) {
+        return { allowed: false, scope: 'suppressed', retryAfterMs: suppressed - now, notify: strike && shouldNotify(userKey, suppressed, now) };
+    }
+
+    const limits = LIMITS[kind];
+    const scopes = [
+        ['user', `${kind}:user:${userId}`],
+        ['channel', channelId && `${kind}:channel:${channelId}`],
+        ['guild', serverId && serverId !== 'DM' && `${kind}:guild:${serverId}`],
+    ].filter(([scope, key]) => key && limits[scope]);
+
+    const checked = scopes.map(([scope, key]) => ({ scope, limit: limits[scope], bucket: bucketFor(key, limits[scope], now) }));
+    const empty = checked.find(({ bucket }) => bucket.tokens < 1);
+    if (!empty) {
+        checked.forEach(({ bucket }) => { bucket.tokens -= 1; });
+        return { allowed: true };
+    }
+
+    const retryAfterMs = Math.ceil((1 - empty.bucket.tokens) / empty.limit.refillPerMs);
+    if (!strike) return { allowed: false, scope: empty.scope, retryAfterMs, notify: false };
+    // Each separate cooldown is one strike, and only a user's own flooding counts against them;
+    // busy channels and guilds aren't their fault.
+    const isNewCooldown = (notifiedUntil.get(userKey) || 0) <= now;
+    if (empty.scope === 'user' && isNewCooldown && addStrike(userKey, now)) {
+        const until = suppressedUntil.get(userKey);
+        // A new, longer cooldown deserves its own notice.
+        notifiedUntil.delete(userKey);
+        return { allowed: false, scope: 'suppressed', retryAfterMs: until - now, notify: shouldNotify(userKey, until, now) };
+    }
+    return { allowed: false, scope: empty.scope, retryAfterMs, notify: shouldNotify(userKey, now + retryAfterMs, now) };
+}
+
+export { checkRateLimit };
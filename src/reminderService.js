@@ -0,0 +1,150 @@
+// src/reminderService.js
+// Reminders members set for themselves and announcements admins schedule for a guild. Both are
+// kept in storage, so they survive restarts; a poller hands whatever has come due to index.js.
+import {
+    createReminder, getReminders, countReminders, getDueReminders, rescheduleReminder, deleteReminder
+} from './dbService.js';
+
+const REMINDER_POLL_MS = parseInt(process.env.REMINDER_POLL_MS || '30000', 10);
+const MAX_REMINDERS_PER_USER = parseInt(process.env.MAX_REMINDERS_PER_USER || '25', 10);
+const MAX_ANNOUNCEMENTS_PER_GUILD = 25;
+const MAX_TEXT_LENGTH = 1500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_AHEAD_MS = 366 * DAY_MS;
+const REPEATS = { daily: DAY_MS, weekly: 7 * DAY_MS };
+// Deliveries this far past their time (the bot was down, say) are marked as late.
+const LATE_AFTER_MS = 5 * 60 * 1000;
+
+const UNIT_MS = {
+    m: 60 * 1000, min: 60 * 1000, mins: 60 * 1000, minute: 60 * 1000, minutes: 60 * 1000,
+    h: 60 * 60 * 1000, hr: 60 * 60 * 1000, hrs: 60 * 60 * 1000, hour: 60 * 60 * 1000, hours: 60 * 60 * 1000,
+    d: DAY_MS, day: DAY_MS, days: DAY_MS,
+    w: 7 * DAY_MS, week: 7 * DAY_MS, weeks: 7 * DAY_MS,
+};
+
+// "remind me in 2 hours to train", "remind me after 1h30m: stretch". The task follows to/that/about or a colon.
+const NATURAL_REMINDER = /\bremind me (?:in|after)\s+(.+?)\s*(?:\s(?:to|that|about)\s|:)\s*(.+)$/is;
+
+let isRunning = false;
+
+/** Parses "2h", "1h30m" or "2 hours and 30 minutes" into milliseconds; null if it isn't a duration. */
+function parseDuration(text) {
+    const normalized = text.toLowerCase().replace(/\band\b|,/g, ' ').trim();
+    if (!/^(\d+\s*[a-z]+\s*)+$/.test(normalized)) return null;
+    let total = 0;
+    for (const [, amount, unit] of normalized.matchAll(/(\d+)\s*([a-z]+)/g)) {
+        if (!UNIT_MS[unit]) return null;
+        total += parseInt(amount, 10) * UNIT_MS[unit];
+    }
+    return total > 0 ? total : null;
+}
+
+/** A duration from now ("2h", "in 30 minutes") or a UTC "YYYY-MM-DD HH:MM". Returns a Date or null. */
+function parseWhen(text, now = new Date()) {
+    if (!text) return null;
+    const trimmed = text.trim().replace(/^in\s+/i, '');
+    const duration = parseDuration(trimmed);
+    if (duration) return new Date(now.getTime() + duration);
+
+    const absolute = /^(\d{4}-\d{2}-\d{2})[ T](\d{2}:\d{2})$/.exec(trimmed);
+    if (!absolute) return null;
+    const date = new Date(`${absolute[1]}T${absolute[2]}:00.000Z`);
+    return isNaN(date) ? null : date;
+}
+
+// Picks "remind me in 2 hours to train" out of a chat message: { dueAt, text } or null.
+function parseNaturalReminder(message, now = new Date()) {
+    const match = NATURAL_REMINDER.exec(message);
+    if (!match) return null;
+    const duration = parseDuration(match[1]);
+    const text = match[2].trim().replace(/[.!?]+$/, '');
+    return duration && text ? { dueAt: new Date(now.getTime() + duration), text } : null;
+}
+
+function checkSchedule(dueAt, text, now = new Date()) {
+    if (!dueAt || dueAt <= now || dueAt.getTime() - now.getTime() > MAX_AHEAD_MS) return 'bad_time';
+    if (!text || text.length > MAX_TEXT_LENGTH) return 'bad_text';
+    return null;
+}
+
+/**
+ * Stores a reminder for one member. `deliver` is 'channel' (post in channelId) or 'dm'.
+ * Returns { reminder } or { error: 'bad_time' | 'bad_text' | 'too_many' | 'storage' }.
+ */
+async function scheduleReminder({ serverId, channelId, userId, text, dueAt, deliver = 'channel' }) {
+    const error = checkSchedule(dueAt, text);
+    if (error) return { error };
+    if (await countReminders({ userId, kind: 'reminder' }) >= MAX_REMINDERS_PER_USER) return { error: 'too_many' };
+    const reminder = await createReminder({ kind: 'reminder', serverId, channelId, userId, text, dueAt, deliver });
+    return reminder ? { reminder } : { error: 'storage' };
+}
+
+/** Same as scheduleReminder for a guild announcement; `repeat` is 'none', 'daily' or 'weekly'. */
+async function scheduleAnnouncement({ serverId, channelId, userId, text, dueAt, repeat = 'none' }) {
+    const error = checkSchedule(dueAt, text);
+    if (error) return { error };
+    if (await countReminders({ serverId, kind: 'announcement' }) >= MAX_ANNOUNCEMENTS_PER_GUILD) return { error: 'too_many' };
+    const reminder = await createReminder({
+        kind: 'announcement', serverId, channelId, userId, text, dueAt, deliver: 'channel', repeatMs: REPEATS[repeat] || null,
+    });
+    return reminder ? { reminder } : { error: 'storage' };
+}
+
+const listReminders = userId => getReminders({ userId, kind: 'reminder' });
+const listAnnouncements = serverId => getReminders({ serverId, kind: 'announcement' });
+
+// Cancels by 1-based position in the list the caller was shown. Returns the cancelled entry or null.
+async function cancelAt(list, position) {
+    const entry = list[position - 1];
+    if (!entry || !(await deleteReminder(entry._id))) return null;
+    return entry;
+}
+
+const cancelReminder = async (userId, position) => cancelAt(await listReminders(userId), position);
+const cancelAnnouncement = async (serverId, position) => cancelAt(await listAnnouncements(serverId), position);
+
+// One-shot entries are removed whether or not delivery worked, so a deleted channel can't wedge
+// the queue; repeating ones move to their next slot after now, skipping any that were missed.
+async function runDueReminders(deliver) {
+    if (isRunning) return;
+    isRunning = true;
+    try {
+        const now = new Date();
+        for (const reminder of await getDueReminders(now)) {
+            try {
+                await deliver(reminder, { late: now - new Date(reminder.dueAt) > LATE_AFTER_MS });
+            } catch (error) {
+                console.error(`[Reminders] Failed to deliver ${reminder.kind} ${reminder._id}:`, error.message);
+            }
+            if (reminder.repeatMs) {
+                const missed = Math.floor((now - new Date(reminder.dueAt)) / reminder.repeatMs) + 1;
+                await rescheduleReminder(reminder._id, new Date(new Date(reminder.dueAt).getTime() + missed * reminder.repeatMs));
+            } else {
+                await deleteReminder(reminder._id);
+            }
+        }
+    } finally {
+        isRunning = false;
+    }
+}
+
+/** Starts polling for due entries; `deliver(reminder, { late })` sends one and throws on failure. */
+function startReminderScheduler(deliver) {
+    runDueReminders(deliver).catch(console.error);
+    setInterval(() => runDueReminders(deliver).catch(console.error), REMINDER_POLL_MS);
+}
+
+export {
+    MAX_REMINDERS_PER_USER,
+    MAX_ANNOUNCEMENTS_PER_GUILD,
+    parseWhen,
+    parseNaturalReminder,
+    scheduleReminder,
+    scheduleAnnouncement,
+    listReminders,
+    listAnnouncements,
+    cancelReminder,
+    cancelAnnouncement,
+    runDueReminders,
+    startReminderScheduler
+};
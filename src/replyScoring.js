@@ -0,0 +1,147 @@
+// src/replyScoring.js
+// Decides whether an untagged message is worth answering from cheap local signals, so the model
+// is only asked about the messages that are genuinely borderline. Channel activity is kept in
+// memory, like the thread exchanges in threads.js, and starts empty after a restart.
+
+// Chattiness runs from 0 (only answer pings) to 10 (answer everything).
+const MIN_CHATTINESS = 0;
+const MAX_CHATTINESS = 10;
+const DEFAULT_CHATTINESS = 5;
+// How far each chattiness step moves the reply/skip thresholds.
+const CHATTINESS_STEP = 0.05;
+const BASE_SCORE = 0.4;
+// At the default chattiness, scores at or above REPLY_AT are answered, scores below SKIP_BELOW are
+// not, and anything in between is left to the model (or to the midpoint without it).
+const REPLY_AT = 0.65;
+const SKIP_BELOW = 0.4;
+
+// Messages older than this no longer count towards a channel's activity.
+const ACTIVITY_WINDOW_MS = 5 * 60 * 1000;
+const MAX_TRACKED_MESSAGES = 50;
+// Two people trading messages within this long of each other are talking to each other.
+const CONVERSATION_GAP_MS = 2 * 60 * 1000;
+const BUSY_CHANNEL_MESSAGES = 15;
+const QUIET_CHANNEL_MESSAGES = 2;
+
+const WEIGHTS = {
+    question: 0.2,
+    interest: 0.2,
+    name: 0.35,
+    followUp: 0.25,
+    othersTalking: -0.25,
+    addressedToOther: -0.35,
+    justReplied: -0.3,
+    recentlyReplied: -0.15,
+    longSilence: 0.1,
+    short: -0.2,
+    long: 0.1,
+    busy: -0.15,
+    quiet: 0.1,
+};
+const JUST_REPLIED_MS = 30 * 1000;
+const RECENTLY_REPLIED_MS = 2 * 60 * 1000;
+const LONG_SILENCE_MS = 30 * 60 * 1000;
+const SHORT_MESSAGE_WORDS = 3;
+const LONG_MESSAGE_WORDS = 20;
+const QUESTION_START = /^(who|what|when|where|why|how|which|is|are|do|does|did|can|could|should|would|will|anyone|anybody)\b/i;
+
+// channelId -> { messages: [{ userId, at }], botReplyAt, botReplyTo }
+const channels = new Map();
+
+function channelState(channelId) {
+    if (!channels.has(channelId)) channels.set(channelId, { messages: [], botReplyAt: 0, botReplyTo: null });
+    return channels.get(channelId);
+}
+
+function recentMessages(state, now) {
+    state.messages = state.messages.filter(m => now - m.at < ACTIVITY_WINDOW_MS);
+    return state.messages;
+}
+
+/** Notes a message from someone other than the bot, after it has been scored. */
+function recordChannelMessage(channelId, userId, now = Date.now()) {
+    const state = channelState(channelId);
+    recentMessages(state, now).push({ userId, at: now });
+    if (state.messages.length > MAX_TRACKED_MESSAGES) state.messages.shift();
+}
+
+function recordBotReply(channelId, userId, now = Date.now()) {
+    const state = channelState(channelId);
+    state.botReplyAt = now;
+    state.botReplyTo = userId;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function mentionsAny(text, words) {
+    return words.some(word => new RegExp(`\\b${escapeRegExp(word)}\\b`, 'i').test(text));
+}
+
+// The author and one other person have been going back and forth just now, without the bot.
+function othersMidConversation(messages, userId, botReplyAt, now) {
+    const [previous, beforeThat] = messages.slice(-2).reverse();
+    if (!previous || previous.userId === userId || now - previous.at > CONVERSATION_GAP_MS) return false;
+    if (botReplyAt > previous.at) return false;
+    return Boolean(beforeThat && beforeThat.userId === userId && previous.at - beforeThat.at <= CONVERSATION_GAP_MS);
+}
+
+/**
+ * Scores how much a message invites a reply, from 0 to 1. `addressedToOther` is set when the
+ * message replies to or mentions someone other than the bot. Returns { score, signals } with the
+ * names of the signals that applied, for logging.
+ */
+function scoreMessage({ channelId, userId, text, persona, addressedToOther = false, now = Date.now() }) {
+    const state = channelState(channelId);
+    const messages = recentMessages(state, now);
+    const words = text.trim().split(/\s+/).filter(Boolean).length;
+    const sinceReply = state.botReplyAt ? now - state.botReplyAt : Infinity;
+
+    const signals = [];
+    if (text.includes('?') || QUESTION_START.test(text.trim())) signals.push('question');
+    if (mentionsAny(text, persona.nameKeywords || [])) signals.push('name');
+    else if (mentionsAny(text, persona.interests || [])) signals.push('interest');
+    if (state.botReplyTo === userId && sinceReply < RECENTLY_REPLIED_MS) signals.push('followUp');
+    if (addressedToOther) signals.push('addressedToOther');
+    else if (othersMidConversation(messages, userId, state.botReplyAt, now)) signals.push('othersTalking');
+    if (sinceReply < JUST_REPLIED_MS) signals.push('justReplied');
+    else if (sinceReply < RECENTLY_REPLIED_MS) signals.push('recentlyReplied');
+    else if (state.botReplyAt && sinceReply > LONG_SILENCE_MS) signals.push('longSilence');
+    if (words <= SHORT_MESSAGE_WORDS) signals.push('short');
+    else if (words >= LONG_MESSAGE_WORDS) signals.push('long');
+    if (messages.length >= BUSY_CHANNEL_MESSAGES) signals.push('busy');
+    else if (messages.length <= QUIET_CHANNEL_MESSAGES) signals.push('quiet');
+
+    // A follow-up to the bot's own reply isn't held back by how recently it spoke.
+    const applied = signals.filter(signal => !(signals.includes('followUp') && (signal === 'justReplied' || signal === 'recentlyReplied')));
+    const score = applied.reduce((total, signal) => total + WEIGHTS[signal], BASE_SCORE);
+    return { score: Math.min(1, Math.max(0, score)), signals: applied };
+}
+
+/** 'reply', 'skip', or 'ask' when the score is too close to call at this chattiness. */
+function replyVerdict(score, chattiness = DEFAULT_CHATTINESS) {
+    if (chattiness <= MIN_CHATTINESS) return 'skip';
+    if (chattiness >= MAX_CHATTINESS) return 'reply';
+    const shift = (chattiness - DEFAULT_CHATTINESS) * CHATTINESS_STEP;
+    if (score >= REPLY_AT - shift) return 'reply';
+    if (score < SKIP_BELOW - shift) return 'skip';
+    return 'ask';
+}
+
+// How an 'ask' is settled when the guild has model decisions turned off.
+function settleWithoutModel(score, chattiness = DEFAULT_CHATTINESS) {
+    const shift = (chattiness - DEFAULT_CHATTINESS) * CHATTINESS_STEP;
+    return score >= (REPLY_AT + SKIP_BELOW) / 2 - shift;
+}
+
+export {
+    MIN_CHATTINESS,
+    MAX_CHATTINESS,
+    DEFAULT_CHATTINESS,
+    scoreMessage,
+    replyVerdict,
+    settleWithoutModel,
+    recordChannelMessage,
+    recordBotReply
+};
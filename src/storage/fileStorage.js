@@ -0,0 +1,279 @@
+// src/storage/fileStorage.js
+// Embedded JSON-on-disk storage for small self-hosted installs and tests. Everything is kept in
+// memory and flushed to a single file shortly after each write.
+import { promises as fs, existsSync, readFileSync } from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+
+const FLUSH_DELAY_MS = 500;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+// Mirrors the unique indexes of the Mongo schemas that inserts and upserts can collide on; each entry
+// lists the fields of one index.
+const UNIQUE_FIELDS = {
+    conversations: [['messageId']],
+    imageUsage: [['serverId', 'userId']],
+};
+
+function getPath(doc, key) {
+    return key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), doc);
+}
+
+function setPath(doc, key, value) {
+    const parts = key.split('.');
+    let target = doc;
+    for (const part of parts.slice(0, -1)) {
+        if (target[part] == null || typeof target[part] !== 'object') target[part] = {};
+        target = target[part];
+    }
+    target[parts[parts.length - 1]] = value;
+}
+
+function unsetPath(doc, key) {
+    const parts = key.split('.');
+    const parent = parts.length > 1 ? getPath(doc, parts.slice(0, -1).join('.')) : doc;
+    if (parent && typeof parent === 'object') delete parent[parts[parts.length - 1]];
+}
+
+function comparable(value) {
+    return value instanceof Date ? value.getTime() : value;
+}
+
+function valuesEqual(a, b) {
+    return comparable(a) === comparable(b);
+}
+
+function matchesCondition(value, condition) {
+    if (condition instanceof RegExp) {
+        return typeof value === 'string' && condition.test(value);
+    }
+    if (condition && typeof condition === 'object' && !(condition instanceof Date) && !Array.isArray(condition)) {
+        return Object.entries(condition).every(([op, operand]) => {
+            switch (op) {
+                case '$eq': return matchesCondition(value, operand);
+                case '$ne': return !matchesCondition(value, operand);
+                case '$lt': return value != null && comparable(value) < comparable(operand);
+                case '$lte': return value != null && comparable(value) <= comparable(operand);
+                case '$gt': return value != null && comparable(value) > comparable(operand);
+                case '$gte': return value != null && comparable(value) >= comparable(operand);
+                case '$in': return operand.some(o => matchesCondition(value, o));
+                case '$nin': return !operand.some(o => matchesCondition(value, o));
+                case '$exists': return (value !== undefined) === Boolean(operand);
+                default: throw new Error(`fileStorage does not support the ${op} operator`);
+            }
+        });
+    }
+    if (Array.isArray(value) && !Array.isArray(condition)) {
+        return value.some(v => valuesEqual(v, condition));
+    }
+    return valuesEqual(value, condition);
+}
+
+function matches(doc, filter = {}) {
+    return Object.entries(filter).every(([key, condition]) => {
+        if (key === '$or') return condition.some(sub => matches(doc, sub));
+        if (key === '$and') return condition.every(sub => matches(doc, sub));
+        return matchesCondition(getPath(doc, key), condition);
+    });
+}
+
+function sortDocs(docs, sort) {
+    const keys = Object.entries(sort);
+    return docs.sort((a, b) => {
+        for (const [key, direction] of keys) {
+            const av = comparable(getPath(a, key));
+            const bv = comparable(getPath(b, key));
+            if (av === bv) continue;
+            if (av === undefined) return 1;
+            if (bv === undefined) return -1;
+            return (av < bv ? -1 : 1) * direction;
+        }
+        return 0;
+    });
+}
+
+function applyUpdate(doc, update, isInsert = false) {
+    const hasOperators = Object.keys(update).some(key => key.startsWith('$'));
+    const ops = hasOperators ? update : { $set: update };
+
+    for (const [op, fields] of Object.entries(ops)) {
+        for (const [key, value] of Object.entries(fields)) {
+            switch (op) {
+                case '$set':
+                    setPath(doc, key, value);
+                    break;
+                case '$setOnInsert':
+                    if (isInsert) setPath(doc, key, value);
+                    break;
+                case '$unset':
+                    unsetPath(doc, key);
+                    break;
+                case '$inc':
+                    setPath(doc, key, (getPath(doc, key) || 0) + value);
+                    break;
+                case '$push': {
+                    const list = getPath(doc, key) || [];
+                    const items = value && value.$each ? value.$each : [value];
+                    let next = [...list, ...items];
+                    if (value && value.$slice !== undefined) next = next.slice(value.$slice);
+                    setPath(doc, key, next);
+                    break;
+                }
+                case '$pull': {
+                    const list = getPath(doc, key) || [];
+                    setPath(doc, key, list.filter(item =>
+                        !(value && typeof value === 'object' && !(value instanceof Date)
+                            ? matches(item, value)
+                            : valuesEqual(item, value))
+                    ));
+                    break;
+                }
+                default:
+                    throw new Error(`fileStorage does not support the ${op} update operator`);
+            }
+        }
+    }
+    return doc;
+}
+
+function seedFromFilter(filter) {
+    const doc = {};
+    for (const [key, value] of Object.entries(filter)) {
+        if (key.startsWith('$')) continue;
+        if (value && typeof value === 'object' && !(value instanceof Date) && !Array.isArray(value)) continue;
+        setPath(doc, key, value);
+    }
+    return doc;
+}
+
+function clone(doc) {
+    return doc ? structuredClone(doc) : doc;
+}
+
+function duplicateKeyError(name, field, value) {
+    const error = new Error(`E11000 duplicate key error collection: ${name} index: ${field} dup key: ${value}`);
+    error.code = 11000;
+    return error;
+}
+
+function checkUnique(name, docs, doc) {
+    for (const fields of UNIQUE_FIELDS[name] || []) {
+        if (fields.some(field => doc[field] == null)) continue;
+        if (docs.some(d => fields.every(field => valuesEqual(d[field], doc[field])))) {
+            throw duplicateKeyError(name, fields.join('_'), fields.map(field => doc[field]).join(', '));
+        }
+    }
+}
+
+function createFileStorage(filePath) {
+    let data = {};
+    let flushTimer = null;
+    let flushing = Promise.resolve();
+
+    if (existsSync(filePath)) {
+        try {
+            data = JSON.parse(readFileSync(filePath, 'utf8'), (key, value) =>
+                typeof value === 'string' && ISO_DATE.test(value) ? new Date(value) : value
+            );
+        } catch (error) {
+            console.error(`[Storage] Could not read ${filePath}, starting empty:`, error.message);
+        }
+    }
+
+    async function flush() {
+        flushTimer = null;
+        const tmpPath = `${filePath}.tmp`;
+        flushing = flushing.then(async () => {
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.writeFile(tmpPath, JSON.stringify(data));
+            await fs.rename(tmpPath, filePath);
+        }).catch(error => console.error('[Storage] Failed to write data file:', error));
+        return flushing;
+    }
+
+    function scheduleFlush() {
+        if (!flushTimer) flushTimer = setTimeout(flush, FLUSH_DELAY_MS);
+    }
+
+    function docsOf(name) {
+        if (!data[name]) data[name] = [];
+        return data[name];
+    }
+
+    function collection(name) {
+        return {
+            async findOne(filter) {
+                return clone(docsOf(name).find(doc => matches(doc, filter)) || null);
+            },
+
+            async find(filter, { sort, limit } = {}) {
+                let docs = docsOf(name).filter(doc => matches(doc, filter));
+                if (sort) docs = sortDocs(docs, sort);
+                if (limit) docs = docs.slice(0, limit);
+                return docs.map(clone);
+            },
+
+            async insertOne(doc) {
+                const docs = docsOf(name);
+                checkUnique(name, docs, doc);
+                const stored = { _id: randomUUID(), ...clone(doc) };
+                docs.push(stored);
+                scheduleFlush();
+                return clone(stored);
+            },
+
+            async findOneAndUpdate(filter, update, { upsert = false } = {}) {
+                const docs = docsOf(name);
+                let doc = docs.find(d => matches(d, filter));
+                if (doc) {
+                    applyUpdate(doc, clone(update));
+                } else if (upsert) {
+                    doc = applyUpdate({ _id: randomUUID(), ...seedFromFilter(filter) }, clone(update), true);
+                    checkUnique(name, docs, doc);
+                    docs.push(doc);
+                } else {
+                    return null;
+                }
+                scheduleFlush();
+                return clone(doc);
+            },
+
+            async updateMany(filter, update) {
+                const targets = docsOf(name).filter(doc => matches(doc, filter));
+                targets.forEach(doc => applyUpdate(doc, clone(update)));
+                if (targets.length > 0) scheduleFlush();
+                return targets.length;
+            },
+
+            async deleteMany(filter) {
+                const docs = docsOf(name);
+                const kept = docs.filter(doc => !matches(doc, filter));
+                const deleted = docs.length - kept.length;
+                data[name] = kept;
+                if (deleted > 0) scheduleFlush();
+                return deleted;
+            },
+
+            async countDocuments(filter) {
+                return docsOf(name).filter(doc => matches(doc, filter)).length;
+            },
+        };
+    }
+
+    console.log(`Using embedded file storage at ${filePath}.`);
+
+    return {
+        name: 'file',
+        isReady: () => true,
+        collection,
+        async close() {
+            if (flushTimer) {
+                clearTimeout(flushTimer);
+                await flush();
+            }
+            await flushing;
+        },
+    };
+}
+
+export { createFileStorage };
@@ -0,0 +1,33 @@
+// src/storage/index.js
+import path from 'path';
+import { createMongoStorage } from './mongoStorage.js';
+import { createFileStorage } from './fileStorage.js';
+
+/*
+ * Every storage backend exposes:
+ *   name          - 'mongo' or 'file'
+ *   isReady()     - whether reads and writes can be served right now
+ *   collection(n) - a collection handle with findOne, find(filter, { sort, limit }), insertOne,
+ *                   findOneAndUpdate(filter, update, { upsert }), updateMany, deleteMany
+ *                   and countDocuments
+ *
+ * Filters and updates use the Mongo query language; the file backend understands the subset
+ * dbService relies on (comparison operators, $in/$nin/$exists/$or, and $set/$inc/$push/$pull/$unset).
+ */
+async function createStorage() {
+    const driver = (process.env.STORAGE_DRIVER || (process.env.MONGO_URI ? 'mongo' : 'file')).toLowerCase();
+
+    if (driver === 'mongo') {
+        if (!process.env.MONGO_URI) {
+            throw new Error('STORAGE_DRIVER is "mongo" but MONGO_URI is not set.');
+        }
+        return createMongoStorage(process.env.MONGO_URI);
+    }
+    if (driver === 'file') {
+        const dataFile = process.env.DATA_FILE || path.join(process.cwd(), 'data', 'goku-db.json');
+        return createFileStorage(dataFile);
+    }
+    throw new Error(`Unknown STORAGE_DRIVER "${driver}". Expected "mongo" or "file".`);
+}
+
+export { createStorage };
@@ -0,0 +1,349 @@
+// src/storage/mongoStorage.js
+import mongoose from 'mongoose';
+
+const ConversationSchema = new mongoose.Schema({
+    messageId: { type: String, unique: true, sparse: true },
+    serverId: { type: String, required: true },
+    channelId: String,
+    userId: { type: String, required: true },
+    userName: String,
+    content: { type: String, required: true },
+    role: { type: String, required: true, enum: ['user', 'model'] },
+    // For model turns: the user message that was answered, and the persona that answered it.
+    replyTo: { type: String, index: true },
+    persona: String,
+    timestamp: { type: Date, default: Date.now },
+    editedAt: Date,
+    // Earlier versions of edited messages, oldest first.
+    edits: [{
+        _id: false,
+        content: String,
+        editedAt: Date
+    }],
+    fileParts: [{
+        mimeType: String,
+        fileUri: String
+    }],
+    embedding: { type: [Number], default: undefined },
+    // Unset until the message is embedded; 'failed' once backfillEmbeddings gives up on it.
+    embeddingModel: String,
+    // Failed embedding attempts so far, and when the next one may run.
+    embeddingAttempts: Number,
+    embeddingRetryAt: Date
+});
+
+ConversationSchema.index({ serverId: 1, userId: 1, timestamp: -1 });
+ConversationSchema.index({ serverId: 1, channelId: 1, timestamp: -1 });
+ConversationSchema.index({ userId: 1, timestamp: -1 });
+ConversationSchema.index({ serverId: 1, userId: 1, embeddingModel: 1, timestamp: -1 });
+// Finds messages still waiting for backfillEmbeddings.
+ConversationSchema.index({ embeddingModel: 1, embeddingRetryAt: 1, timestamp: -1 });
+
+// Legacy: superseded by GuildConfig, only read when a guild's config is first created.
+const BotStatusSchema = new mongoose.Schema({
+    serverId: { type: String, required: true, unique: true },
+    isActive: { type: Boolean, default: true }
+});
+
+// Per-guild behaviour settings managed by src/guildConfig.js. `settings` only holds values that
+// differ from the defaults, nested by key group ({ typing: { minDelayMs } }).
+const GuildConfigSchema = new mongoose.Schema({
+    serverId: { type: String, required: true, unique: true },
+    version: { type: Number, required: true },
+    settings: { type: mongoose.Schema.Types.Mixed, default: {} },
+    updatedAt: { type: Date, default: Date.now },
+    updatedBy: String
+}, { minimize: false });
+
+const ContinuousReplySchema = new mongoose.Schema({
+    userId: { type: String, required: true, unique: true },
+    isActive: { type: Boolean, default: false }
+});
+
+// Image generations counted per user within a server; userId '*' holds the server-wide pool.
+// Stored under a new model name because the old per-user collection had a unique index on userId.
+const ImageUsageSchema = new mongoose.Schema({
+    serverId: { type: String, required: true },
+    userId: { type: String, required: true },
+    count: { type: Number, default: 0 },
+    lastReset: { type: Date, default: Date.now }
+});
+ImageUsageSchema.index({ serverId: 1, userId: 1 }, { unique: true });
+
+const ImageQuotaSchema = new mongoose.Schema({
+    serverId: { type: String, required: true, unique: true },
+    dailyLimit: Number,
+    resetMode: { type: String, enum: ['rolling', 'daily'] },
+    resetHour: { type: Number, min: 0, max: 23 },
+    timezone: String,
+    poolLimit: Number,
+    roleOverrides: [{
+        _id: false,
+        roleId: { type: String, required: true },
+        limit: { type: Number, required: true }
+    }],
+    updatedAt: { type: Date, default: Date.now }
+});
+
+const ChannelSettingsSchema = new mongoose.Schema({
+    serverId: { type: String, required: true, unique: true },
+    mode: {
+        type: String,
+        enum: ['all', 'allowed', 'disallowed'],
+        default: 'all'
+    },
+    channels: [{
+        id: { type: String, required: true },
+        name: { type: String, required: true }
+    }]
+});
+
+const GuildPersonaSchema = new mongoose.Schema({
+    serverId: { type: String, required: true, unique: true },
+    personaKey: String
+});
+
+// Custom characters created with /persona create, scoped to the guild that made them
+const PersonaSchema = new mongoose.Schema({
+    serverId: { type: String, required: true },
+    key: { type: String, required: true },
+    name: { type: String, required: true },
+    baseKey: { type: String, default: 'goku' },
+    systemPrompt: { type: String, required: true },
+    decisionPrompt: String,
+    imagePromptFlavor: String,
+    editPromptFlavor: String,
+    roleName: String,
+    roleColor: String,
+    activities: [{
+        name: String,
+        type: { type: String }
+    }],
+    replies: { type: mongoose.Schema.Types.Mixed, default: {} },
+    createdBy: String
+});
+PersonaSchema.index({ serverId: 1, key: 1 }, { unique: true });
+
+// Rolling long-term memory, one document per user or channel within a server
+const SummarySchema = new mongoose.Schema({
+    scope: { type: String, required: true, enum: ['user', 'channel'] },
+    serverId: { type: String, required: true },
+    scopeId: { type: String, required: true },
+    summary: { type: String, default: '' },
+    coveredUntil: Date,
+    messageCount: { type: Number, default: 0 },
+    updatedAt: { type: Date, default: Date.now }
+});
+SummarySchema.index({ serverId: 1, scope: 1, scopeId: 1 }, { unique: true });
+
+const PrivacySettingsSchema = new mongoose.Schema({
+    userId: { type: String, required: true, unique: true },
+    optedOut: { type: Boolean, default: false },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+// One entry per model call, for cost accounting and budgets
+const UsageEntrySchema = new mongoose.Schema({
+    serverId: String,
+    userId: String,
+    provider: String,
+    model: String,
+    tier: String,
+    feature: String,
+    inputTokens: { type: Number, default: 0 },
+    outputTokens: { type: Number, default: 0 },
+    images: { type: Number, default: 0 },
+    latencyMs: Number,
+    success: { type: Boolean, default: true },
+    costUsd: { type: Number, default: 0 },
+    timestamp: { type: Date, default: Date.now }
+});
+UsageEntrySchema.index({ serverId: 1, timestamp: -1 });
+UsageEntrySchema.index({ timestamp: -1 });
+
+const UsageBudgetSchema = new mongoose.Schema({
+    serverId: { type: String, required: true, unique: true },
+    monthlyTokens: { type: Number, default: 0 },
+    monthlyCostUsd: { type: Number, default: 0 },
+    forceLite: { type: Boolean, default: true },
+    disableImages: { type: Boolean, default: true },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+const ModerationSettingsSchema = new mongoose.Schema({
+    serverId: { type: String, required: true, unique: true },
+    blockedTerms: { type: [String], default: undefined },
+    classifyMessages: Boolean,
+    classifyReplies: Boolean,
+    classifyImages: Boolean,
+    allAges: Boolean,
+    refuse: Boolean,
+    log: Boolean,
+    alertChannelId: String,
+    updatedAt: { type: Date, default: Date.now }
+});
+
+const ModerationEventSchema = new mongoose.Schema({
+    serverId: { type: String, required: true },
+    channelId: String,
+    userId: String,
+    stage: { type: String, enum: ['message', 'reply', 'imagePrompt', 'image'] },
+    reason: String,
+    category: String,
+    excerpt: String,
+    timestamp: { type: Date, default: Date.now }
+});
+ModerationEventSchema.index({ serverId: 1, timestamp: -1 });
+
+// Iterative image edits started from /draw or the "Edit image with Goku" context menu. Version 0 is
+// the source picture; every later version is a posted result and points at the version it was made from.
+const ImageSessionSchema = new mongoose.Schema({
+    serverId: { type: String, required: true },
+    userId: { type: String, required: true },
+    versions: [{
+        _id: false,
+        channelId: String,
+        messageId: String,
+        attachmentId: String,
+        url: String,
+        contentType: String,
+        prompt: String,
+        parent: Number,
+        undone: { type: Boolean, default: false }
+    }],
+    createdAt: { type: Date, default: Date.now }
+});
+ImageSessionSchema.index({ userId: 1 });
+
+// Gallery entry for every generated or edited image. The image itself stays in the Discord message.
+const GeneratedImageSchema = new mongoose.Schema({
+    serverId: { type: String, required: true },
+    userId: { type: String, required: true },
+    channelId: String,
+    messageId: { type: String, index: true },
+    attachmentId: String,
+    kind: { type: String, enum: ['imagine', 'draw', 'variation', 'reroll', 'restyle'], required: true },
+    prompt: String,
+    // Extra instructions for restyles.
+    style: String,
+    parentId: String,
+    createdAt: { type: Date, default: Date.now }
+});
+GeneratedImageSchema.index({ serverId: 1, createdAt: -1 });
+
+// 👍/👎 reactions on bot replies; messageId points at the reply's Conversation record.
+const ReplyRatingSchema = new mongoose.Schema({
+    serverId: { type: String, required: true },
+    channelId: String,
+    messageId: { type: String, required: true },
+    userId: { type: String, required: true },
+    value: { type: Number, enum: [1, -1], required: true },
+    ratedAt: { type: Date, default: Date.now }
+});
+ReplyRatingSchema.index({ messageId: 1, userId: 1 }, { unique: true });
+ReplyRatingSchema.index({ serverId: 1, ratedAt: -1 });
+
+// Member reminders and admin announcements, delivered by src/reminderService.js.
+const ReminderSchema = new mongoose.Schema({
+    kind: { type: String, enum: ['reminder', 'announcement'], required: true },
+    serverId: { type: String, required: true },
+    channelId: String,
+    userId: { type: String, required: true },
+    text: { type: String, required: true },
+    // 'channel' posts where it was set; 'dm' messages the user directly.
+    deliver: { type: String, enum: ['channel', 'dm'], default: 'channel' },
+    dueAt: { type: Date, required: true, index: true },
+    // Repeating announcements move dueAt forward by this much after each delivery.
+    repeatMs: Number,
+    createdAt: { type: Date, default: Date.now }
+});
+
+// Collection names used by dbService, mapped to their Mongoose models
+const MODELS = {
+    conversations: mongoose.model('Conversation', ConversationSchema),
+    botStatus: mongoose.model('BotStatus', BotStatusSchema),
+    guildConfigs: mongoose.model('GuildConfig', GuildConfigSchema),
+    continuousReply: mongoose.model('ContinuousReply', ContinuousReplySchema),
+    imageUsage: mongoose.model('GuildImageUsage', ImageUsageSchema),
+    imageQuotas: mongoose.model('ImageQuota', ImageQuotaSchema),
+    channelSettings: mongoose.model('ChannelSettings', ChannelSettingsSchema),
+    guildPersonas: mongoose.model('GuildPersona', GuildPersonaSchema),
+    personas: mongoose.model('Persona', PersonaSchema),
+    summaries: mongoose.model('Summary', SummarySchema),
+    privacySettings: mongoose.model('PrivacySettings', PrivacySettingsSchema),
+    usageLedger: mongoose.model('UsageEntry', UsageEntrySchema),
+    usageBudgets: mongoose.model('UsageBudget', UsageBudgetSchema),
+    moderationSettings: mongoose.model('ModerationSettings', ModerationSettingsSchema),
+    moderationEvents: mongoose.model('ModerationEvent', ModerationEventSchema),
+    imageSessions: mongoose.model('ImageSession', ImageSessionSchema),
+    reminders: mongoose.model('Reminder', ReminderSchema),
+    images: mongoose.model('GeneratedImage', GeneratedImageSchema),
+    ratings: mongoose.model('ReplyRating', ReplyRatingSchema),
+};
+
+function wrapModel(Model) {
+    return {
+        findOne(filter) {
+            return Model.findOne(filter).lean();
+        },
+
+        find(filter, { sort, limit } = {}) {
+            let query = Model.find(filter);
+            if (sort) query = query.sort(sort);
+            if (limit) query = query.limit(limit);
+            return query.lean();
+        },
+
+        async insertOne(doc) {
+            const created = await Model.create(doc);
+            return created.toObject();
+        },
+
+        findOneAndUpdate(filter, update, { upsert = false } = {}) {
+            return Model.findOneAndUpdate(filter, update, { upsert, new: true }).lean();
+        },
+
+        async updateMany(filter, update) {
+            const result = await Model.updateMany(filter, update);
+            return result.modifiedCount;
+        },
+
+        async deleteMany(filter) {
+            const result = await Model.deleteMany(filter);
+            return result.deletedCount;
+        },
+
+        countDocuments(filter) {
+            return Model.countDocuments(filter);
+        },
+    };
+}
+
+async function createMongoStorage(mongoUri) {
+    const collections = Object.fromEntries(
+        Object.entries(MODELS).map(([name, Model]) => [name, wrapModel(Model)])
+    );
+
+    try {
+        await mongoose.connect(mongoUri, {
+            maxPoolSize: 10,
+            serverSelectionTimeoutMS: 5000,
+            socketTimeoutMS: 45000,
+        });
+        console.log('MongoDB connected successfully.');
+
+        await MODELS.conversations.createIndexes();
+        console.log('Database indexes created/verified.');
+    } catch (error) {
+        console.error('MongoDB connection error:', error);
+    }
+
+    return {
+        name: 'mongo',
+        // 1 = connected; connecting/disconnecting states would only buffer or fail queries.
+        isReady: () => mongoose.connection.readyState === 1,
+        collection: name => collections[name],
+    };
+}
+
+export { createMongoStorage };
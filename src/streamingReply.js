@@ -0,0 +1,81 @@
+// src/streamingReply.js
+// Shows a streamed model response in Discord by sending a message early and editing it as text arrives.
+import { splitLongResponse } from './textUtils.js';
+
+// Discord allows roughly 5 edits per 5 seconds per channel; stay comfortably under that.
+const MIN_EDIT_INTERVAL_MS = parseInt(process.env.STREAMING_EDIT_INTERVAL_MS || '1200', 10);
+// Wait for a little text before posting so the first message isn't a lone word.
+const MIN_FIRST_CHUNK_LENGTH = 40;
+
+/**
+ * sendFirst(content) and sendNext(content) must return the sent Discord message. Text that grows
+ * past 2000 characters continues in follow-up messages, split the same way as normal replies.
+ */
+function createStreamingReply({ sendFirst, sendNext }) {
+    const messages = [];
+    const shown = [];
+    let latestText = '';
+    let lastFlush = 0;
+    let timer = null;
+    let chain = Promise.resolve();
+
+    async function render(text) {
+        const chunks = splitLongResponse(text).filter(chunk => chunk.length > 0);
+        for (let i = 0; i < chunks.length; i++) {
+            if (i < messages.length) {
+                if (shown[i] !== chunks[i]) {
+                    await messages[i].edit({ content: chunks[i] });
+                    shown[i] = chunks[i];
+                }
+            } else {
+                messages.push(await (i === 0 ? sendFirst(chunks[i]) : sendNext(chunks[i])));
+                shown.push(chunks[i]);
+            }
+        }
+        return chunks.length;
+    }
+
+    function flush() {
+        timer = null;
+        lastFlush = Date.now();
+        const text = latestText;
+        chain = chain.then(() => render(text)).catch(error => {
+            console.warn('[Streaming] Failed to update reply:', error.message);
+        });
+        return chain;
+    }
+
+    function update(text) {
+        latestText = text;
+        if (timer) return;
+        if (messages.length === 0 && text.trim().length < MIN_FIRST_CHUNK_LENGTH) return;
+
+        const wait = Math.max(0, MIN_EDIT_INTERVAL_MS - (Date.now() - lastFlush));
+        timer = setTimeout(flush, wait);
+    }
+
+    // Renders the final (post-processed) text and returns every message that makes up the reply.
+    async function finish(finalText) {
+        if (timer) clearTimeout(timer);
+        timer = null;
+        await chain;
+        latestText = finalText;
+
+        const wait = Math.max(0, MIN_EDIT_INTERVAL_MS - (Date.now() - lastFlush));
+        if (messages.length > 0 && wait > 0) {
+            await new Promise(resolve => setTimeout(resolve, wait));
+        }
+        const chunkCount = await render(finalText);
+
+        // The final text can be shorter than what was streamed (e.g. after cleanup).
+        for (const extra of messages.splice(chunkCount)) {
+            await extra.delete().catch(() => {});
+        }
+        shown.splice(chunkCount);
+        return messages;
+    }
+
+    return { update, finish };
+}
+
+export { createStreamingReply };
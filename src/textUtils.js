@@ -0,0 +1,39 @@
+// src/textUtils.js
+
+// Splits text into Discord-sized (2000 character) messages, preferring newline or sentence breaks.
+function splitLongResponse(text) {
+    const MAX_LENGTH = 2000;
+    const messages = [];
+
+    if (text.length <= MAX_LENGTH) {
+        messages.push(text);
+        return messages;
+    }
+    
+    let currentText = text;
+    while (currentText.length > 0) {
+        let chunk = currentText.substring(0, MAX_LENGTH);
+        let splitIndex = MAX_LENGTH;
+
+        if (currentText.length > MAX_LENGTH) {
+            let lastNewline = chunk.lastIndexOf('\n');
+            let lastSentenceEnd = Math.max(chunk.lastIndexOf('.'), chunk.lastIndexOf('!'), chunk.lastIndexOf('?'));
+
+            if (lastNewline !== -1 && MAX_LENGTH - lastNewline < 100) {
+                splitIndex = lastNewline + 1;
+            } else if (lastSentenceEnd !== -1 && MAX_LENGTH - lastSentenceEnd < 100) {
+                splitIndex = lastSentenceEnd + 1;
+            } else {
+                splitIndex = MAX_LENGTH;
+            }
+        } else {
+            splitIndex = currentText.length;
+        }
+
+        messages.push(currentText.substring(0, splitIndex).trim());
+        currentText = currentText.substring(splitIndex).trim();
+    }
+    return messages.filter(m => m.length > 0);
+}
+
+export { splitLongResponse };
@@ -0,0 +1,50 @@
+// src/threads.js
+// Thread support: which channels can be put on the allow-list, and spotting long one-on-one
+// exchanges that are worth moving out of the main channel into their own thread.
+import { ChannelType } from 'discord.js';
+
+// Channels /channel accepts. Forum channels hold no messages themselves; listing one covers its posts.
+const LISTABLE_CHANNEL_TYPES = new Set([
+    ChannelType.GuildText,
+    ChannelType.GuildAnnouncement,
+    ChannelType.GuildForum,
+    ChannelType.PublicThread,
+    ChannelType.PrivateThread,
+    ChannelType.AnnouncementThread,
+]);
+// Channels whose messages a thread can be started from.
+const THREADABLE_CHANNEL_TYPES = new Set([ChannelType.GuildText, ChannelType.GuildAnnouncement]);
+// Replies further apart than this don't count as one back-and-forth.
+const EXCHANGE_WINDOW_MS = 10 * 60 * 1000;
+
+// Latest run of replies to one person, keyed by channel.
+const exchanges = new Map();
+
+// The channel a thread or forum post belongs to, or null for anything that isn't a thread.
+function parentChannelOf(channel) {
+    return channel?.isThread?.() ? channel.parentId : null;
+}
+
+// How many replies in a row the bot has given this user in this channel.
+function exchangeCount(channelId, userId, now = Date.now()) {
+    const run = exchanges.get(channelId);
+    return run && run.userId === userId && now - run.at < EXCHANGE_WINDOW_MS ? run.count : 0;
+}
+
+// Anyone else getting an answer starts the count over.
+function recordExchange(channelId, userId, now = Date.now()) {
+    exchanges.set(channelId, { userId, count: exchangeCount(channelId, userId, now) + 1, at: now });
+}
+
+function clearExchange(channelId) {
+    exchanges.delete(channelId);
+}
+
+export {
+    LISTABLE_CHANNEL_TYPES,
+    THREADABLE_CHANNEL_TYPES,
+    parentChannelOf,
+    exchangeCount,
+    recordExchange,
+    clearExchange
+};
@@ -0,0 +1,151 @@
+// src/usageService.js
+// Usage ledger: prices each model call, aggregates the ledger for /stats and enforces monthly budgets.
+import { saveUsageEntry, getUsageEntries, getUsageBudget, setUsageBudget } from './dbService.js';
+
+// USD per million tokens; `image` is a flat price per generated image for APIs that don't bill
+// images as tokens. Gemini reports image output as tokens, so its image model only needs `output`.
+const DEFAULT_PRICES = {
+    'gemini-2.5-flash-lite': { input: 0.10, output: 0.40 },
+    'gemini-2.5-flash': { input: 0.30, output: 2.50 },
+    'gemini-2.5-flash-image-preview': { input: 0.30, output: 30.00 },
+    'text-embedding-004': { input: 0, output: 0 },
+};
+// MODEL_PRICING is a JSON object in the same shape, merged over the defaults (e.g. for self-hosted models).
+const MODEL_PRICES = { ...DEFAULT_PRICES, ...parsePricing(process.env.MODEL_PRICING) };
+// Budget checks run on every message, so monthly totals are cached and topped up as calls are recorded.
+const BUDGET_CACHE_MS = 5 * 60 * 1000;
+
+const budgetCache = new Map();
+
+function parsePricing(value) {
+    if (!value) return {};
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        console.error('MODEL_PRICING is not valid JSON, using default prices:', error.message);
+        return {};
+    }
+}
+
+function estimateCost({ model, inputTokens, outputTokens, images }) {
+    const price = MODEL_PRICES[model];
+    if (!price) return 0;
+    return (inputTokens * (price.input || 0) + outputTokens * (price.output || 0)) / 1e6 + images * (price.image || 0);
+}
+
+function startOfMonth(now = new Date()) {
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+}
+
+async function recordModelUsage(entry) {
+    const costUsd = estimateCost(entry);
+    await saveUsageEntry({ ...entry, costUsd });
+
+    const cached = budgetCache.get(entry.serverId);
+    if (cached && cached.month.getTime() === startOfMonth().getTime()) {
+        cached.tokens += entry.inputTokens + entry.outputTokens;
+        cached.costUsd += costUsd;
+    }
+}
+
+function emptyTotals(key) {
+    return { key, calls: 0, failures: 0, inputTokens: 0, outputTokens: 0, images: 0, costUsd: 0, latencyMs: 0 };
+}
+
+function addEntry(totals, entry) {
+    totals.calls++;
+    if (entry.success === false) totals.failures++;
+    totals.inputTokens += entry.inputTokens || 0;
+    totals.outputTokens += entry.outputTokens || 0;
+    totals.images += entry.images || 0;
+    totals.costUsd += entry.costUsd || 0;
+    totals.latencyMs += entry.latencyMs || 0;
+}
+
+function finishTotals(totals) {
+    const { latencyMs, ...rest } = totals;
+    return { ...rest, avgLatencyMs: totals.calls > 0 ? Math.round(latencyMs / totals.calls) : 0 };
+}
+
+/**
+ * Ledger totals since `since`, overall and grouped by an entry field ('feature', 'model', 'userId'
+ * or 'serverId'). Groups are ordered by cost, then tokens. serverId null reports on every server.
+ */
+async function getUsageReport(serverId, { since = startOfMonth(), groupBy = 'feature' } = {}) {
+    const entries = await getUsageEntries(serverId, since);
+    const totals = emptyTotals('total');
+    const groups = new Map();
+
+    for (const entry of entries) {
+        addEntry(totals, entry);
+        const key = entry[groupBy] || 'unknown';
+        if (!groups.has(key)) groups.set(key, emptyTotals(key));
+        addEntry(groups.get(key), entry);
+    }
+
+    return {
+        since,
+        totals: finishTotals(totals),
+        groups: [...groups.values()]
+            .map(finishTotals)
+            .sort((a, b) => (b.costUsd - a.costUsd) || ((b.inputTokens + b.outputTokens) - (a.inputTokens + a.outputTokens))),
+    };
+}
+
+async function getMonthlySpend(serverId) {
+    const month = startOfMonth();
+    const cached = budgetCache.get(serverId);
+    if (cached && cached.month.getTime() === month.getTime() && cached.expiresAt > Date.now()) {
+        return cached;
+    }
+
+    const { totals } = await getUsageReport(serverId, { since: month });
+    const spend = {
+        month,
+        tokens: totals.inputTokens + totals.outputTokens,
+        costUsd: totals.costUsd,
+        expiresAt: Date.now() + BUDGET_CACHE_MS,
+    };
+    budgetCache.set(serverId, spend);
+    return spend;
+}
+
+/**
+ * How far a server is into its monthly budget and which degradations apply. A limit of 0 means
+ * no limit; servers without a budget are never degraded.
+ */
+async function getBudgetStatus(serverId) {
+    const budget = await getUsageBudget(serverId);
+    if (!budget || (!budget.monthlyTokens && !budget.monthlyCostUsd)) {
+        return { budget: null, exceeded: false, forceLite: false, disableImages: false };
+    }
+
+    const spend = await getMonthlySpend(serverId);
+    const exceeded = Boolean(
+        (budget.monthlyTokens && spend.tokens >= budget.monthlyTokens) ||
+        (budget.monthlyCostUsd && spend.costUsd >= budget.monthlyCostUsd)
+    );
+    return {
+        budget,
+        spentTokens: spend.tokens,
+        spentCostUsd: spend.costUsd,
+        exceeded,
+        forceLite: exceeded && budget.forceLite !== false,
+        disableImages: exceeded && budget.disableImages !== false,
+    };
+}
+
+async function setBudget(serverId, changes) {
+    const budget = await setUsageBudget(serverId, changes);
+    budgetCache.delete(serverId);
+    return budget;
+}
+
+export {
+    estimateCost,
+    startOfMonth,
+    recordModelUsage,
+    getUsageReport,
+    getBudgetStatus,
+    setBudget
+};
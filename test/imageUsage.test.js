@@ -0,0 +1,37 @@
+// Image quotas are consumed with conditional updates, so a burst of requests can't overrun them.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+
+const dataDir = mkdtempSync(path.join(tmpdir(), 'goku-test-'));
+process.env.STORAGE_DRIVER = 'file';
+process.env.DATA_FILE = path.join(dataDir, 'db.json');
+
+const { connectDB, closeDB, setQuotaSettings, checkAndIncrementImageUsage, getImageUsage } = await import('../src/dbService.js');
+
+test.before(connectDB);
+test.after(async () => {
+    await closeDB();
+    rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('concurrent requests never go past the daily limit', async () => {
+    await setQuotaSettings('g1', { dailyLimit: 3 });
+    const results = await Promise.all(Array.from({ length: 8 }, () => checkAndIncrementImageUsage('g1', 'u1')));
+
+    assert.equal(results.filter(result => result.allowed).length, 3);
+    assert.deepEqual([...new Set(results.filter(result => !result.allowed).map(result => result.reason))], ['user']);
+    assert.equal((await getImageUsage('g1', 'u1')).user.count, 3);
+});
+
+test('a dry server pool refuses without using up the member\'s own allowance', async () => {
+    await setQuotaSettings('g2', { dailyLimit: 5, poolLimit: 1 });
+    assert.equal((await checkAndIncrementImageUsage('g2', 'u1')).allowed, true);
+
+    const refused = await checkAndIncrementImageUsage('g2', 'u2');
+    assert.equal(refused.allowed, false);
+    assert.equal(refused.reason, 'pool');
+    assert.equal((await getImageUsage('g2', 'u2')).user.count, 0);
+});
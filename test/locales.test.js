@@ -0,0 +1,19 @@
+// Every language must cover everything English has, or its servers silently get English lines.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { LANGUAGES } from '../src/i18n.js';
+import { BUILT_IN_PERSONAS } from '../src/personas.js';
+
+const translated = Object.entries(LANGUAGES).filter(([code]) => code !== 'en');
+
+for (const [code, language] of translated) {
+    test(`${code} has every message English has`, () => {
+        const missing = Object.keys(LANGUAGES.en.messages).filter(id => !(id in language.messages));
+        assert.deepEqual(missing, []);
+    });
+
+    test(`${code} has every Goku reply`, () => {
+        const missing = Object.keys(BUILT_IN_PERSONAS.goku.replies).filter(id => !(id in (language.replies?.goku || {})));
+        assert.deepEqual(missing, []);
+    });
+}
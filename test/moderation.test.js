@@ -0,0 +1,22 @@
+// Blocked terms match whole words in any script, not just ASCII ones.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { findBlockedTerm } from '../src/moderation.js';
+
+test('ASCII terms only match whole words', () => {
+    assert.equal(findBlockedTerm('what a class act', ['ass']), null);
+    assert.equal(findBlockedTerm('you ass!', ['ass']), 'ass');
+});
+
+test('non-ASCII terms match whole words', () => {
+    assert.equal(findBlockedTerm('¡Eres un TONTO!', ['tonto']), 'tonto');
+    assert.equal(findBlockedTerm('tontería', ['tont']), null);
+    assert.equal(findBlockedTerm('मैं गधा नहीं', ['गधा']), 'गधा');
+    assert.equal(findBlockedTerm('यह गधापन है', ['गधा']), null);
+});
+
+test('letters with accents count as part of a word', () => {
+    assert.equal(findBlockedTerm('é ruim', ['ruim']), 'ruim');
+    assert.equal(findBlockedTerm('ruimção', ['ruim']), null);
+    assert.equal(findBlockedTerm('ébobo', ['bobo']), null);
+});
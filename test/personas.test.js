@@ -0,0 +1,32 @@
+// Persona and language keys come from users, so Object.prototype names must not count as built in.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+
+const dataDir = mkdtempSync(path.join(tmpdir(), 'goku-test-'));
+process.env.STORAGE_DRIVER = 'file';
+process.env.DATA_FILE = path.join(dataDir, 'db.json');
+
+const { connectDB, closeDB } = await import('../src/dbService.js');
+const { isSupportedLanguage } = await import('../src/i18n.js');
+const { createPersona } = await import('../src/personas.js');
+
+test.before(connectDB);
+test.after(async () => {
+    await closeDB();
+    rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('prototype names are not supported languages', () => {
+    assert.equal(isSupportedLanguage('es'), true);
+    assert.equal(isSupportedLanguage('constructor'), false);
+    assert.equal(isSupportedLanguage('toString'), false);
+});
+
+test('built-in persona keys are reserved, prototype names are not', async () => {
+    assert.equal(await createPersona('g1', { key: 'goku', name: 'Goku' }), null);
+    const created = await createPersona('g1', { key: 'constructor', name: 'Builder', systemPrompt: 'You build things.' });
+    assert.equal(created?.name, 'Builder');
+});
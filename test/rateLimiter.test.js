@@ -0,0 +1,28 @@
+// Each kind of rate limit keeps its own strikes: a user locked out of commands can still press buttons.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.RATE_LIMIT_COMMAND_USER = '1/1';
+process.env.RATE_LIMIT_STRIKES = '2';
+const { checkRateLimit } = await import('../src/rateLimiter.js');
+
+test('suppression from command flooding leaves components alone', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 1_000_000 });
+    const who = { userId: 'flooder', serverId: 'g1' };
+
+    assert.equal(checkRateLimit('command', who).allowed, true);
+    assert.equal(checkRateLimit('command', who).scope, 'user');
+    t.mock.timers.tick(1_000);
+    assert.equal(checkRateLimit('command', who).allowed, true);
+    assert.equal(checkRateLimit('command', who).scope, 'suppressed');
+
+    assert.equal(checkRateLimit('component', who).allowed, true);
+    assert.equal(checkRateLimit('command', who).scope, 'suppressed');
+});
+
+test('components draw from a different bucket than commands', () => {
+    const who = { userId: 'presser', serverId: 'g2' };
+    assert.equal(checkRateLimit('command', who).allowed, true);
+    assert.equal(checkRateLimit('command', who).allowed, false);
+    assert.equal(checkRateLimit('component', who).allowed, true);
+});
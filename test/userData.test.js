@@ -0,0 +1,48 @@
+// /forget has to take channel summaries built from the user's messages with it.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+
+const dataDir = mkdtempSync(path.join(tmpdir(), 'goku-test-'));
+process.env.STORAGE_DRIVER = 'file';
+process.env.DATA_FILE = path.join(dataDir, 'db.json');
+
+const { connectDB, closeDB, saveMessage, saveSummary, getSummary, deleteUserData, getUserData } = await import('../src/dbService.js');
+
+test.before(connectDB);
+test.after(async () => {
+    await closeDB();
+    rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('forgetting a user drops the channel summaries that covered their messages', async () => {
+    await saveMessage('g1', 'u1', 'my secret plan', 'user', 'm1', [], { channelId: 'c1' });
+    await saveMessage('g1', 'u2', 'sounds good', 'user', 'm2', [], { channelId: 'c1' });
+    await saveMessage('g1', 'u2', 'somewhere else', 'user', 'm3', [], { channelId: 'c2' });
+    await saveSummary('channel', 'g1', 'c1', 'u1 shared a secret plan', new Date(), 2);
+    await saveSummary('channel', 'g1', 'c2', 'u2 chatted', new Date(), 1);
+
+    const result = await deleteUserData('u1');
+    assert.equal(result.deletedMessages, 1);
+    assert.equal(await getSummary('channel', 'g1', 'c1'), null);
+    assert.equal((await getSummary('channel', 'g1', 'c2')).summary, 'u2 chatted');
+});
+
+test('a channel summary that stops before the user joined in is kept', async () => {
+    await saveSummary('channel', 'g1', 'c3', 'older chat', new Date(Date.now() - 60_000), 5);
+    await saveMessage('g1', 'u3', 'hello', 'user', 'm4', [], { channelId: 'c3' });
+
+    await deleteUserData('u3');
+    assert.equal((await getSummary('channel', 'g1', 'c3')).summary, 'older chat');
+});
+
+test('export leaves channel summaries out', async () => {
+    await saveMessage('g1', 'u4', 'hi', 'user', 'm5', [], { channelId: 'c4' });
+    await saveSummary('channel', 'g1', 'c4', 'u4 said hi', new Date(), 1);
+    await saveSummary('user', 'g1', 'u4', 'likes saying hi', new Date(), 1);
+
+    const data = await getUserData('u4');
+    assert.deepEqual(data.summaries.map(summary => summary.scope), ['user']);
+});